@@ -1,17 +1,363 @@
 #! /usr/bin/env node
 
+/// <reference path="../types.js" />
+
 import { createReadStream } from 'fs'
+import { basename, extname } from 'path'
+import fs from 'fs/promises'
+import { once } from 'events'
 import * as readline from 'node:readline/promises'
 
 import log from 'loglevel'
 import logPrefix from 'loglevel-plugin-prefix'
-import { Command } from 'commander'
+import { Command, InvalidArgumentError } from 'commander'
 
-import { WACZ } from '../index.js'
+import { WACZ, WACZ_EVENTS, DEFAULT_PAGE_LIST, validateWACZ, extractWACZ, mergeWACZ, redactWACZ, inspectWACZ } from '../index.js'
 import { PACKAGE_INFO, LOGGING_COLORS } from '../constants.js'
+import { parseFilterRule } from '../utils/filters.js'
 
 const program = new Command()
 
+/**
+ * Sets log output level and formatting.
+ * @param {?string} logLevel - Can be "silent", "trace", "debug", "info", "warn", "error".
+ * @returns {void}
+ */
+const setupLogging = (logLevel) => {
+  logPrefix.reg(log)
+  logPrefix.apply(log, {
+    format (level, _name, timestamp) {
+      const timestampColor = LOGGING_COLORS.DEFAULT
+      const msgColor = LOGGING_COLORS[level.toUpperCase()]
+      return `${timestampColor(`[${timestamp}]`)} ${msgColor(level)}`
+    }
+  })
+
+  if (logLevel) {
+    let level = 'info'
+
+    if (['silent', 'trace', 'debug', 'info', 'warn', 'error'].includes(logLevel)) {
+      level = logLevel
+    }
+
+    log.setLevel(level)
+    log.info(`Log output level as been set to ${level}.`)
+  }
+}
+
+/**
+ * Turns signing-related CLI options into their WACZOptions counterparts.
+ * Reads the private key at --signing-key, if any, and parses --signing-header values.
+ * @param {Object} values - Parsed CLI options.
+ * @returns {Promise<?Object>} - `null` if options could not be parsed (errors are logged).
+ */
+const parseSigningOptions = async (values) => {
+  // Load private key for local signing, if provided.
+  let signingKey = null
+
+  if (values?.signingKey) {
+    try {
+      signingKey = await fs.readFile(values.signingKey, 'utf-8')
+
+      try {
+        signingKey = JSON.parse(signingKey) // JWK
+      } catch (_err) { } // PEM
+    } catch (err) {
+      log.trace(err)
+      log.error(`--signing-key: ${values.signingKey} could not be read.`)
+      return null
+    }
+  }
+
+  // Parse additional signing headers, if any.
+  const signingHeaders = {}
+
+  for (const header of values?.signingHeader || []) {
+    const separator = header.indexOf(':')
+
+    if (separator < 1) {
+      log.error(`--signing-header: "${header}" is not formatted as "Name: value".`)
+      return null
+    }
+
+    signingHeaders[header.slice(0, separator).trim()] = header.slice(separator + 1).trim()
+  }
+
+  return {
+    signingUrl: values?.signingUrl,
+    signingToken: values?.signingToken,
+    signingHeaders,
+    signingTimeout: values?.signingTimeout,
+    signingRetries: values?.signingRetries,
+    signingKey
+  }
+}
+
+/**
+ * Returns an AbortSignal which is aborted on Ctrl-C (SIGINT): processing stops and partial output is removed.
+ * A second Ctrl-C exits immediately.
+ * @returns {AbortSignal}
+ */
+const createInterruptSignal = () => {
+  const controller = new AbortController()
+
+  process.once('SIGINT', () => {
+    log.warn('Interrupted: stopping and removing partial output. Press Ctrl-C again to exit immediately.')
+    controller.abort()
+  })
+
+  return controller.signal
+}
+
+/**
+ * Converts `--threads` into worker pool options for WACZ: `0` indexes WARCs in the main thread.
+ * @param {Object} values - Parsed options.
+ * @returns {Object} - `{workers: false}`, `{maxThreads}` or nothing.
+ */
+const parseThreadsOption = (values) => {
+  if (values?.threads === undefined) {
+    return {}
+  }
+
+  if (values.threads === 0) {
+    return { workers: false }
+  }
+
+  return { maxThreads: values.threads } // Validated by WACZ
+}
+
+/**
+ * Parses a `--include` / `--exclude` rule (see `parseFilterRule()`) and adds it to those already provided.
+ * @param {string} value
+ * @param {?WACZFilterRule[]} previous
+ * @returns {WACZFilterRule[]}
+ */
+const collectFilterRule = (value, previous) => {
+  try {
+    return [...(previous ?? []), parseFilterRule(value)]
+  } catch (err) {
+    throw new InvalidArgumentError(`${err.message} Expected "url:<glob>", "regex:<expression>", "surt:<prefix>", "mime:<glob>", "status:<code or range>" or "date:<from>..<to>".`)
+  }
+}
+
+/**
+ * Parses a redaction rule: either a url, which may contain wildcards, or a rule using the same syntax as `--include` / `--exclude`.
+ * @param {string} value
+ * @returns {WACZRedactionRule}
+ */
+const parseRedactionRule = (value) => {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return { url: value }
+  }
+
+  return parseFilterRule(value)
+}
+
+/**
+ * Parses a redaction rule (see `parseRedactionRule()`) and adds it to those already provided.
+ * @param {string} value
+ * @param {?WACZRedactionRule[]} previous
+ * @returns {WACZRedactionRule[]}
+ */
+const collectRedactionRule = (value, previous) => {
+  try {
+    return [...(previous ?? []), parseRedactionRule(value)]
+  } catch (err) {
+    throw new InvalidArgumentError(`${err.message} Expected a url or a rule such as "surt:<prefix>" (same syntax as --include).`)
+  }
+}
+
+/**
+ * Gathers redaction rules provided via the CLI: rules passed one by one, and rules listed in a file (one per line, "#" for comments).
+ * `reason`, if provided, is added to all of them.
+ * @param {?WACZRedactionRule[]} rules
+ * @param {?string} file - Path to a list of rules.
+ * @param {?string} reason
+ * @returns {Promise<?WACZRedactionRule[]>} - `null` if the file could not be read or lists an invalid rule (errors are logged).
+ */
+const parseRedactionOptions = async (rules, file, reason) => {
+  const output = [...(rules ?? [])]
+
+  if (file) {
+    let lines = []
+
+    try {
+      lines = (await fs.readFile(file, 'utf-8')).split('\n').map(line => line.trim())
+    } catch (err) {
+      log.trace(err)
+      log.error(`${file} could not be read.`)
+      return null
+    }
+
+    for (const [index, line] of lines.entries()) {
+      if (!line || line.startsWith('#')) {
+        continue
+      }
+
+      try {
+        output.push(parseRedactionRule(line))
+      } catch (err) {
+        log.error(`${file}, line ${index + 1}: ${err.message}`)
+        return null
+      }
+    }
+  }
+
+  return reason ? output.map(rule => ({ ...rule, reason })) : output
+}
+
+/**
+ * Reads the files provided via --pages. The first one replaces `pages/pages.jsonl`, regardless of its header line.
+ * Additional files become extra pages lists, identified by the id found in their header line or, failing that,
+ * by their filename (i.e: "extraPages.jsonl" -> "extraPages"). Files sharing the same id are combined.
+ * Files which cannot be read and lines which are not valid JSON are skipped (errors are logged).
+ * @param {string[]} paths
+ * @returns {Promise<Array<{list: WACZPageListDefinition, pages: Object[]}>>} - Entries other than header lines, as parsed. See `WACZ.addPageEntry()`.
+ */
+const readPagesFiles = async (paths) => {
+  const output = []
+
+  for (const [index, path] of paths.entries()) {
+    const list = { id: null, title: null, description: null }
+    const pages = []
+
+    try {
+      log.info(`Reading pages from ${path}`)
+      const rl = readline.createInterface({ input: createReadStream(path) })
+      let lineNumber = 0
+
+      for await (const line of rl) {
+        lineNumber += 1
+
+        if (!line.trim()) {
+          continue
+        }
+
+        let entry = null
+
+        try {
+          entry = JSON.parse(line)
+        } catch (err) {
+          log.error(`${path}, line ${lineNumber}: ${err.message} Skipping.`)
+          continue
+        }
+
+        // Header line
+        if (entry?.format) {
+          list.id = entry?.id ?? null
+          list.title = entry?.title ?? null
+          list.description = entry?.description ?? null
+          continue
+        }
+
+        pages.push(entry)
+      }
+    } catch (err) {
+      log.trace(err)
+      log.error(`An error occurred while processing user-provided pages list ${path}.`)
+      continue
+    }
+
+    if (index === 0) {
+      list.id = DEFAULT_PAGE_LIST.id
+    } else if (typeof list.id !== 'string' || !/^[\w.-]+$/.test(list.id)) {
+      const fallback = basename(path, extname(path)).replace(/[^\w.-]/g, '_')
+
+      if (list.id !== null) {
+        log.warn(`${path}: ${JSON.stringify(list.id)} cannot be used as a pages list id (letters, digits, "_", "." and "-" only). Using "${fallback}" instead.`)
+      }
+
+      list.id = fallback
+    }
+
+    const existing = output.find(entry => entry.list.id === list.id)
+
+    if (existing) {
+      existing.pages.push(...pages)
+    } else {
+      output.push({ list, pages })
+    }
+  }
+
+  return output
+}
+
+/**
+ * Formats a number of bytes for display. I.E: 1536 -> "1.5 KB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let unit = 0
+
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024
+    unit += 1
+  }
+
+  return `${unit ? bytes.toFixed(1) : bytes} ${units[unit]}`
+}
+
+/**
+ * Reports progress events emitted by a WACZ instance to stderr, if requested:
+ * - `--json-progress`: Each event is written as a line of JSON (NDJSON).
+ * - `--progress`: A progress bar is drawn, if stderr is a terminal.
+ * @param {WACZ} archive
+ * @param {Object} values - Parsed CLI options.
+ * @returns {void}
+ */
+const reportProgress = (archive, values) => {
+  if (values?.jsonProgress) {
+    for (const event of WACZ_EVENTS) {
+      archive.on(event, data => {
+        process.stderr.write(`${JSON.stringify({ event, time: new Date().toISOString(), ...data })}\n`)
+      })
+    }
+
+    return
+  }
+
+  if (!values?.progress || !process.stderr.isTTY) {
+    return
+  }
+
+  const warcs = {} // Indexing progress, by WARC name
+  let step = ''
+  let pages = 0
+  let errors = 0
+  let zipBytes = 0
+
+  const render = () => {
+    let line = step
+
+    if (step === 'indexWARCs') {
+      const read = Object.values(warcs).reduce((total, warc) => total + warc.bytesRead, 0)
+      const size = Object.values(warcs).reduce((total, warc) => total + warc.bytesTotal, 0)
+      const records = Object.values(warcs).reduce((total, warc) => total + warc.records, 0)
+      const ratio = size ? read / size : 0
+      const width = 30
+
+      line = `[${'#'.repeat(Math.round(ratio * width)).padEnd(width, '-')}] ${Math.floor(ratio * 100)}% ` +
+        `Indexing WARCs: ${formatBytes(read)} / ${formatBytes(size)}, ${records} records, ${pages} pages` +
+        (errors ? `, ${errors} errors` : '')
+    } else if (zipBytes) {
+      line = `${step}: ${formatBytes(zipBytes)} written`
+    }
+
+    const columns = (process.stderr.columns || 80) - 1
+    process.stderr.write(`\r${line.slice(0, columns).padEnd(columns)}`)
+  }
+
+  archive.on('step-start', data => { step = data.step; render() })
+  archive.on('warc-progress', ({ warc, bytesRead, bytesTotal, records }) => { warcs[warc] = { bytesRead, bytesTotal, records }; render() })
+  archive.on('page-detected', () => { pages += 1 })
+  archive.on('indexing-error', () => { errors += 1 })
+  archive.on('zip-progress', data => { zipBytes = data.bytes; render() })
+  archive.on('finalized', data => process.stderr.write(`\rWACZ finalized: ${formatBytes(data.bytes)}\n`))
+  archive.on('step-end', data => data.step === 'writeIndexesToDirectory' && process.stderr.write('\n')) // Index-only mode
+}
+
 /**
  * Program info
  * @type {Command}
@@ -30,13 +376,21 @@ program.command('create')
   .option(
     '-f --file <string>',
     'Path to .warc / .warc.gz file(s) to process. Wrap in quotation marks if glob.')
+  .option(
+    '--preserve-directories',
+    'If set, WARCs keep their path relative to the start of --file under archive/ instead of being stored by name. ' +
+    'i.e: "crawls/*/*.warc.gz" -> "archive/a/data.warc.gz", "archive/b/data.warc.gz".')
   .option(
     '-o --output <string>',
     'Path to output .wacz file.', 'archive.wacz')
   .option(
     '-p --pages <string>',
-    'Path to a jsonl files to be used to replace pages.jsonl. ' +
-    'If not provided, js-wacz will attempt to detect pages.')
+    'Path to a jsonl file to be used to replace pages.jsonl. Can be repeated: additional files are written as extra pages lists, ' +
+    'identified by the id in their header line or their filename. If not provided, js-wacz will attempt to detect pages.',
+    (value, previous) => [...previous, value], [])
+  .option(
+    '--detected-pages-list <string>',
+    'If provided, pages are detected even if --pages is set, and written to the pages list with that id (i.e: "extraPages").')
   .option(
     '--url <string>',
     'If provided, will be used as the "main page url" in datapackage.json.')
@@ -56,6 +410,65 @@ program.command('create')
   .option(
     '--signing-token <string>',
     'Required if the server at --signing-url requires an authentication token.')
+  .option(
+    '--signing-header <string>',
+    'Additional HTTP header to be sent to the server at --signing-url, as "Name: value". Can be repeated.',
+    (value, previous) => [...previous, value], [])
+  .option(
+    '--signing-timeout <number>',
+    'Timeout for requests to --signing-url, in milliseconds.', parseInt)
+  .option(
+    '--signing-retries <number>',
+    'How many times a failed request to --signing-url may be retried.', parseInt)
+  .option(
+    '--signing-key <string>',
+    'Path to an ECDSA P-384 private key (PEM or JWK) to be used to sign the archive locally. ' +
+    'Takes precedence over --signing-url.')
+  .option(
+    '--index-memory-limit <number>',
+    'Approximate amount of memory (in bytes) CDX entries may use while being sorted. ' +
+    'Past that limit, sorted runs are written to disk and merged. Useful for very large collections.', parseInt)
+  .option(
+    '--threads <number>',
+    'Maximum number of worker threads used to index WARCs. 0 indexes WARCs in the main thread.', parseInt)
+  .option(
+    '--reproducible',
+    'If set, identical inputs result in a byte-identical .wacz: dates are set to SOURCE_DATE_EPOCH (or 1980-01-01), ' +
+    'and page ids are derived from their url and timestamp.')
+  .option(
+    '--tolerate-errors [policy]',
+    'If set, corrupt records are skipped and reported instead of failing. WARCs that cannot be read at all are ' +
+    'left out of the archive ("exclude", default) or included without index entries ("include").')
+  .option(
+    '--verify-digests [policy]',
+    'If set, recomputes the block and payload digests of every record. ' +
+    'Mismatches are logged ("warn", default) or make the process fail ("fail").')
+  .option(
+    '--include <rule>',
+    'Only captures matching at least one of these rules are indexed. Can be repeated. i.e: "url:https://example.com/*", ' +
+    '"regex:^https?://example\\.com/", "surt:com,example)/", "mime:text/*", "status:200-299", "date:2023-01-01..2023-12-31".', collectFilterRule)
+  .option(
+    '--exclude <rule>',
+    'Captures matching any of these rules are left out of indexes and pages. Can be repeated. Same syntax as --include.', collectFilterRule)
+  .option(
+    '--redact <rule>',
+    'Records matching this rule are physically removed: affected WARCs are rewritten without them before being packaged. ' +
+    'Can be repeated. Either a url, which may contain wildcards, or a rule using the same syntax as --include.', collectRedactionRule)
+  .option(
+    '--redact-file <string>',
+    'Path to a text file listing redaction rules, one per line. Lines starting with "#" are ignored.')
+  .option(
+    '--redact-reason <string>',
+    'Why records are redacted. Added to the redaction log (logs/redactions.jsonl).')
+  .option(
+    '--error-report',
+    'If set, errors tolerated while indexing are written to the archive as logs/errors.jsonl.')
+  .option(
+    '--progress',
+    'If set, displays a progress bar on stderr. Only warnings and errors are logged.')
+  .option(
+    '--json-progress',
+    'If set, writes progress events to stderr as newline-delimited JSON. Only warnings and errors are logged.')
   .option(
     '--log-level <string>',
     'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
@@ -66,44 +479,66 @@ program.command('create')
     /** @type {?WACZ} */
     let archive = null
 
-    // Set log output level and formatting
-    logPrefix.reg(log)
-    logPrefix.apply(log, {
-      format (level, _name, timestamp) {
-        const timestampColor = LOGGING_COLORS.DEFAULT
-        const msgColor = LOGGING_COLORS[level.toUpperCase()]
-        return `${timestampColor(`[${timestamp}]`)} ${msgColor(level)}`
-      }
-    })
-
-    if (values?.logLevel) {
-      let level = 'info'
-
-      if (['silent', 'trace', 'debug', 'info', 'warn', 'error'].includes(values.logLevel)) {
-        level = values.logLevel
-      }
-
-      log.setLevel(level)
-      log.info(`Log output level as been set to ${level}.`)
+    // Keep progress output readable: only warnings and errors are logged.
+    if ((values?.progress || values?.jsonProgress) && ['trace', 'debug', 'info'].includes(values?.logLevel)) {
+      values.logLevel = 'warn'
     }
 
+    setupLogging(values?.logLevel)
+
     // `--file` is mandatory
     if (!values?.file) {
       console.error('Error: --file not provided.')
       return
     }
 
+    /** @type {?Object} */
+    const signingOptions = await parseSigningOptions(values)
+
+    if (!signingOptions) {
+      return
+    }
+
+    /** @type {?WACZRedactionRule[]} */
+    const redact = await parseRedactionOptions(values?.redact, values?.redactFile, values?.redactReason)
+
+    if (!redact) {
+      return
+    }
+
+    // User-provided pages lists, if any: these must be known before the WACZ instance is created.
+    const pageLists = await readPagesFiles(values.pages)
+    const detectedPagesList = values?.detectedPagesList ?? null
+
+    if (detectedPagesList && !pageLists.find(({ list }) => list.id === detectedPagesList)) {
+      pageLists.push({ list: { id: detectedPagesList }, pages: [] })
+    }
+
+    const signal = createInterruptSignal()
+
     // Pass options to WACZ
     try {
       archive = new WACZ({
         input: values.file,
         output: values?.output,
+        preserveDirectories: values?.preserveDirectories,
         url: values?.url,
         ts: values?.ts,
         title: values?.title,
         description: values?.desc,
-        signingUrl: values?.signingUrl,
-        signingToken: values?.signingToken,
+        indexMemoryLimit: values?.indexMemoryLimit,
+        ...parseThreadsOption(values),
+        reproducible: values?.reproducible,
+        tolerateErrors: values?.tolerateErrors,
+        errorReport: values?.errorReport,
+        verifyDigests: values?.verifyDigests,
+        include: values?.include,
+        exclude: values?.exclude,
+        redact,
+        pageLists: pageLists.map(({ list }) => list),
+        detectedPagesList,
+        ...signingOptions,
+        signal,
         log
       })
     } catch (err) {
@@ -111,25 +546,17 @@ program.command('create')
       return
     }
 
-    // Ingest user-provided pages.jsonl file, if any.
-    if (values?.pages) {
-      try {
-        log.info(`pages.jsonl: Reading entries from ${values?.pages}`)
-        const rl = readline.createInterface({ input: createReadStream(values.pages) })
-
-        for await (const line of rl) {
-          const page = JSON.parse(line)
+    reportProgress(archive, values)
 
-          if (!page?.url) {
-            continue
-          }
-
-          log.info(`Adding ${page.url}.`)
-          archive.addPage(page?.url, page?.title, page?.ts)
+    for (const { list, pages } of pageLists) {
+      for (const page of pages) {
+        try {
+          log.info(`Adding ${page?.url} to ${archive.getPageList(list.id).path}.`)
+          archive.addPageEntry(page, list.id)
+        } catch (err) {
+          log.trace(err)
+          log.error(`${JSON.stringify(page)} could not be added: ${err.message}`)
         }
-      } catch (err) {
-        log.trace(err)
-        log.error('An error occurred while processing user-provided pages.jsonl.')
       }
     }
 
@@ -138,9 +565,502 @@ program.command('create')
       await archive.process()
       log.info(`WACZ file ready: ${values.output}`)
     } catch (err) {
+      if (signal.aborted) {
+        log.error('WACZ processing was interrupted.')
+        process.exitCode = 130
+        return
+      }
+
       log.error(err)
       log.error('WACZ could not be processed.')
     }
   })
 
+/**
+ * `index` command
+ * @type {Command}
+ */
+program.command('index')
+  .description('Indexes one or multiple .warc or .warc.gz files, without creating a .wacz file. ' +
+    'Writes sorted CDXJ (or ZipNum Shared Index) and pages.jsonl to a directory, or CDXJ to stdout.')
+  .option(
+    '-f --file <string>',
+    'Path to .warc / .warc.gz file(s) to process. Wrap in quotation marks if glob.')
+  .option(
+    '--preserve-directories',
+    'If set, WARCs keep their path relative to the start of --file under archive/ instead of being stored by name. ' +
+    'i.e: "crawls/*/*.warc.gz" -> "archive/a/data.warc.gz", "archive/b/data.warc.gz".')
+  .option(
+    '-o --output <string>',
+    'Path to the output directory. If not provided, results will be written to stdout.')
+  .option(
+    '--stdout <string>',
+    'What to write to stdout when --output is not provided. Can be "cdx" or "pages".', 'cdx')
+  .option(
+    '--index-memory-limit <number>',
+    'Approximate amount of memory (in bytes) CDX entries may use while being sorted. ' +
+    'Past that limit, sorted runs are written to disk and merged. Useful for very large collections.', parseInt)
+  .option(
+    '--threads <number>',
+    'Maximum number of worker threads used to index WARCs. 0 indexes WARCs in the main thread.', parseInt)
+  .option(
+    '--tolerate-errors [policy]',
+    'If set, corrupt records are skipped and reported instead of failing. WARCs that cannot be read at all are ' +
+    'left out of the archive ("exclude", default) or included without index entries ("include").')
+  .option(
+    '--verify-digests [policy]',
+    'If set, recomputes the block and payload digests of every record. ' +
+    'Mismatches are logged ("warn", default) or make the process fail ("fail").')
+  .option(
+    '--include <rule>',
+    'Only captures matching at least one of these rules are indexed. Can be repeated. i.e: "url:https://example.com/*", ' +
+    '"regex:^https?://example\\.com/", "surt:com,example)/", "mime:text/*", "status:200-299", "date:2023-01-01..2023-12-31".', collectFilterRule)
+  .option(
+    '--exclude <rule>',
+    'Captures matching any of these rules are left out of indexes and pages. Can be repeated. Same syntax as --include.', collectFilterRule)
+  .option(
+    '--progress',
+    'If set, displays a progress bar on stderr. Only warnings and errors are logged.')
+  .option(
+    '--json-progress',
+    'If set, writes progress events to stderr as newline-delimited JSON. Only warnings and errors are logged.')
+  .option(
+    '--log-level <string>',
+    'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
+  .action(async (values) => {
+    // Keep stdout clean when it is used for output, and progress output readable: only warnings and errors are logged (to stderr).
+    if ((!values?.output || values?.progress || values?.jsonProgress) && ['trace', 'debug', 'info'].includes(values?.logLevel)) {
+      values.logLevel = 'warn'
+    }
+
+    setupLogging(values?.logLevel)
+
+    if (!values?.file) {
+      console.error('Error: --file not provided.')
+      process.exitCode = 1
+      return
+    }
+
+    if (!values?.output && !['cdx', 'pages'].includes(values?.stdout)) {
+      console.error('Error: --stdout must be "cdx" or "pages".')
+      process.exitCode = 1
+      return
+    }
+
+    /** @type {?WACZ} */
+    let archive = null
+
+    const signal = createInterruptSignal()
+
+    try {
+      archive = new WACZ({
+        input: values.file,
+        output: values?.output,
+        preserveDirectories: values?.preserveDirectories,
+        indexOnly: true,
+        indexMemoryLimit: values?.indexMemoryLimit,
+        ...parseThreadsOption(values),
+        tolerateErrors: values?.tolerateErrors,
+        verifyDigests: values?.verifyDigests,
+        include: values?.include,
+        exclude: values?.exclude,
+        signal,
+        log
+      })
+    } catch (err) {
+      log.error(`${err}`) // Show simplified report
+      process.exitCode = 1
+      return
+    }
+
+    reportProgress(archive, values)
+
+    try {
+      if (values?.output) {
+        await archive.process()
+        log.info(`Indexes ready: ${values.output}`)
+        return
+      }
+
+      archive.initWorkerPool()
+      await archive.indexWARCs()
+      archive.harvestArraysFromTrees()
+
+      if (values.stdout === 'pages') {
+        process.stdout.write(archive.createPagesJSONL())
+        return
+      }
+
+      for await (const line of archive.iterateCDX()) {
+        if (!process.stdout.write(line)) {
+          await once(process.stdout, 'drain')
+        }
+      }
+    } catch (err) {
+      if (signal.aborted) {
+        log.error('Indexing was interrupted.')
+        process.exitCode = 130
+        return
+      }
+
+      log.error(err)
+      log.error('WARCs could not be indexed.')
+      process.exitCode = 1
+    } finally {
+      await archive.destroyWorkerPool()
+    }
+  })
+
+/**
+ * `validate` command
+ * @type {Command}
+ */
+program.command('validate')
+  .description('Checks the integrity of an existing .wacz file. Exits with a non-zero code if invalid.')
+  .argument('<file>', 'Path to the .wacz file to validate.')
+  .option(
+    '--json',
+    'If provided, the full validation report will be written to stdout as JSON.')
+  .option(
+    '--log-level <string>',
+    'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
+  .action(async (file, values) => {
+    // Keep stdout clean when it is used for the report: only warnings and errors are logged (to stderr).
+    if (values?.json && ['trace', 'debug', 'info'].includes(values?.logLevel)) {
+      values.logLevel = 'warn'
+    }
+
+    setupLogging(values?.logLevel)
+
+    /** @type {?WACZValidationReport} */
+    let report = null
+
+    try {
+      report = await validateWACZ(file)
+    } catch (err) {
+      log.trace(err)
+      log.error(`${file} could not be validated.`)
+      process.exitCode = 1
+      return
+    }
+
+    if (values?.json) {
+      console.log(JSON.stringify(report, null, 2))
+    } else {
+      for (const check of report.checks) {
+        const target = check.path ? `${check.name} (${check.path})` : check.name
+
+        if (check.valid) {
+          log.info(`${target}: OK`)
+        } else {
+          log.error(`${target}: ${check.message}`)
+        }
+      }
+    }
+
+    if (!report.valid) {
+      log.error(`${file} is not a valid WACZ file.`)
+      process.exitCode = 1
+      return
+    }
+
+    log.info(`${file} is a valid WACZ file.`)
+  })
+
+/**
+ * `extract` command
+ * @type {Command}
+ */
+program.command('extract')
+  .description('Unpacks an existing .wacz file into a directory, checking extracted files against datapackage.json. ' +
+    'Exits with a non-zero code if any of them does not match.')
+  .argument('<file>', 'Path to the .wacz file to extract.')
+  .option(
+    '-o --output <string>',
+    'Path to the output directory.', '.')
+  .option(
+    '--only <string>',
+    'If provided, only extracts files of that type. Can be "archive", "pages", "indexes", "datapackage". Can be repeated.',
+    (value, previous) => [...previous, value], [])
+  .option(
+    '--log-level <string>',
+    'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
+  .action(async (file, values) => {
+    setupLogging(values?.logLevel)
+
+    /** @type {?WACZExtractionReport} */
+    let report = null
+
+    try {
+      report = await extractWACZ(file, values?.output, { only: values?.only, log })
+    } catch (err) {
+      log.trace(err)
+      log.error(`${err}`)
+      log.error(`${file} could not be extracted.`)
+      process.exitCode = 1
+      return
+    }
+
+    for (const extracted of report.files) {
+      if (extracted.verified === false) {
+        log.error(`${extracted.path}: ${extracted.message}`)
+      } else {
+        log.info(`${extracted.path}: ${extracted.verified ? 'OK' : 'Extracted (not listed in datapackage.json)'}`)
+      }
+    }
+
+    if (!report.valid) {
+      log.error(`Some of the files extracted from ${file} do not match datapackage.json.`)
+      process.exitCode = 1
+      return
+    }
+
+    log.info(`${report.files.length} file(s) extracted to ${values?.output}.`)
+  })
+
+/**
+ * `merge` command
+ * @type {Command}
+ */
+program.command('merge')
+  .description('Combines multiple .wacz files into one.')
+  .argument('<files...>', 'Paths to the .wacz files to merge.')
+  .option(
+    '-o --output <string>',
+    'Path to output .wacz file.', 'archive.wacz')
+  .option(
+    '--url <string>',
+    'If provided, will be used as the "main page url" in datapackage.json. Defaults to that of the first input which has one.')
+  .option(
+    '--ts <string>',
+    'If provided, will be used as the "main page date" in datapackage.json. Defaults to that of the first input which has one.')
+  .option(
+    '--title <string>',
+    'If provided, will be used as the collection title. Defaults to the titles of the inputs.')
+  .option(
+    '--desc <string>',
+    'If provided, will be used as the collection description. Defaults to the descriptions of the inputs.')
+  .option(
+    '--signing-url <string>',
+    'URL of an authsign-compatible server to be used to cryptographically sign the archive. ' +
+    'See https://github.com/webrecorder/authsign.')
+  .option(
+    '--signing-token <string>',
+    'Required if the server at --signing-url requires an authentication token.')
+  .option(
+    '--signing-key <string>',
+    'Path to an ECDSA P-384 private key (PEM or JWK) to be used to sign the archive locally. ' +
+    'Takes precedence over --signing-url.')
+  .option(
+    '--threads <number>',
+    'Maximum number of worker threads used to index WARCs. 0 indexes WARCs in the main thread.', parseInt)
+  .option(
+    '--reproducible',
+    'If set, identical inputs result in a byte-identical .wacz: dates are set to SOURCE_DATE_EPOCH (or 1980-01-01), ' +
+    'and page ids are derived from their url and timestamp.')
+  .option(
+    '--include <rule>',
+    'Only captures matching at least one of these rules are indexed. Can be repeated. i.e: "url:https://example.com/*", ' +
+    '"regex:^https?://example\\.com/", "surt:com,example)/", "mime:text/*", "status:200-299", "date:2023-01-01..2023-12-31".', collectFilterRule)
+  .option(
+    '--exclude <rule>',
+    'Captures matching any of these rules are left out of indexes and pages. Can be repeated. Same syntax as --include.', collectFilterRule)
+  .option(
+    '--log-level <string>',
+    'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
+  .action(async (files, values) => {
+    setupLogging(values?.logLevel)
+
+    /** @type {?Object} */
+    const signingOptions = await parseSigningOptions(values)
+
+    if (!signingOptions) {
+      process.exitCode = 1
+      return
+    }
+
+    const signal = createInterruptSignal()
+
+    try {
+      await mergeWACZ(files, {
+        output: values?.output,
+        url: values?.url,
+        ts: values?.ts,
+        title: values?.title,
+        description: values?.desc,
+        ...parseThreadsOption(values),
+        reproducible: values?.reproducible,
+        include: values?.include,
+        exclude: values?.exclude,
+        ...signingOptions,
+        signal,
+        log
+      })
+
+      log.info(`WACZ file ready: ${values.output}`)
+    } catch (err) {
+      if (signal.aborted) {
+        log.error('Merge was interrupted.')
+        process.exitCode = 130
+        return
+      }
+
+      log.error(err)
+      log.error('WACZ files could not be merged.')
+      process.exitCode = 1
+    }
+  })
+
+/**
+ * `redact` command
+ * @type {Command}
+ */
+program.command('redact')
+  .description('Creates a copy of an existing .wacz file from which records matching the rules provided are physically removed. ' +
+    'Affected WARCs are rewritten and re-indexed, and removed records are listed in logs/redactions.jsonl.')
+  .argument('<file>', 'Path to the .wacz file to redact.')
+  .option(
+    '-o --output <string>',
+    'Path to output .wacz file.', 'redacted.wacz')
+  .option(
+    '--rule <rule>',
+    'Records matching this rule are removed. Can be repeated. Either a url, which may contain wildcards, ' +
+    'or a rule using the same syntax as "create --include". i.e: "https://example.com/account/*", "surt:com,example)/account".', collectRedactionRule)
+  .option(
+    '--rules-file <string>',
+    'Path to a text file listing rules, one per line. Lines starting with "#" are ignored.')
+  .option(
+    '--reason <string>',
+    'Why records are removed. Added to the redaction log.')
+  .option(
+    '--signing-url <string>',
+    'URL of an authsign-compatible server to be used to cryptographically sign the archive. ' +
+    'See https://github.com/webrecorder/authsign.')
+  .option(
+    '--signing-token <string>',
+    'Required if the server at --signing-url requires an authentication token.')
+  .option(
+    '--signing-key <string>',
+    'Path to an ECDSA P-384 private key (PEM or JWK) to be used to sign the archive locally. ' +
+    'Takes precedence over --signing-url.')
+  .option(
+    '--threads <number>',
+    'Maximum number of worker threads used to index WARCs. 0 indexes WARCs in the main thread.', parseInt)
+  .option(
+    '--reproducible',
+    'If set, identical inputs result in a byte-identical .wacz: dates are set to SOURCE_DATE_EPOCH (or 1980-01-01), ' +
+    'and page ids are derived from their url and timestamp.')
+  .option(
+    '--log-level <string>',
+    'Can be "silent", "trace", "debug", "info", "warn", "error"', 'info')
+  .action(async (file, values) => {
+    setupLogging(values?.logLevel)
+
+    /** @type {?Object} */
+    const signingOptions = await parseSigningOptions(values)
+
+    /** @type {?WACZRedactionRule[]} */
+    const redact = await parseRedactionOptions(values?.rule, values?.rulesFile, values?.reason)
+
+    if (!signingOptions || !redact) {
+      process.exitCode = 1
+      return
+    }
+
+    if (redact.length < 1) {
+      console.error('Error: no rule provided (--rule or --rules-file).')
+      process.exitCode = 1
+      return
+    }
+
+    const signal = createInterruptSignal()
+
+    try {
+      await redactWACZ(file, {
+        output: values?.output,
+        redact,
+        ...parseThreadsOption(values),
+        reproducible: values?.reproducible,
+        ...signingOptions,
+        signal,
+        log
+      })
+
+      log.info(`WACZ file ready: ${values.output}`)
+    } catch (err) {
+      if (signal.aborted) {
+        log.error('Redaction was interrupted.')
+        process.exitCode = 130
+        return
+      }
+
+      log.error(err)
+      log.error(`${file} could not be redacted.`)
+      process.exitCode = 1
+    }
+  })
+
+/**
+ * `info` command
+ * @type {Command}
+ */
+program.command('info')
+  .description('Summarizes the contents of an existing .wacz file, without extracting it.')
+  .argument('<file>', 'Path to the .wacz file to inspect.')
+  .option(
+    '--json',
+    'If provided, the summary will be written to stdout as JSON.')
+  .action(async (file, values) => {
+    /** @type {?WACZSummary} */
+    let summary = null
+
+    try {
+      summary = await inspectWACZ(file, { log })
+    } catch (err) {
+      log.trace(err)
+      log.error(`${err}`)
+      log.error(`${file} could not be inspected.`)
+      process.exitCode = 1
+      return
+    }
+
+    if (values?.json) {
+      console.log(JSON.stringify(summary, null, 2))
+      return
+    }
+
+    const { signature } = summary
+    let signatureStatus = 'Unsigned'
+
+    if (signature.status === 'anonymous') {
+      signatureStatus = `Anonymous, signed on ${signature.created}`
+    } else if (signature.status === 'domain') {
+      signatureStatus = `Signed by ${signature.domain} on ${signature.created}`
+    } else if (signature.status === 'invalid') {
+      signatureStatus = 'Unrecognized signature format'
+    }
+
+    if (signature.valid !== null) {
+      signatureStatus += signature.valid ? ' (valid)' : ` (INVALID: ${signature.errors.join(' ')})`
+    }
+
+    const lines = [
+      `File: ${summary.filename}`,
+      `Title: ${summary.title ?? '-'}`,
+      `Description: ${summary.description || '-'}`,
+      `Created: ${summary.created ?? '-'}`,
+      `Software: ${summary.software ?? '-'}`,
+      `WACZ version: ${summary.waczVersion ?? '-'}`,
+      `Main page url: ${summary.mainPageUrl ?? '-'}`,
+      `Main page date: ${summary.mainPageDate ?? '-'}`,
+      `Pages: ${summary.pages}`,
+      `Index: ${{ cdx: 'CDX', zipnum: 'ZipNum Shared Index' }[summary.index] ?? 'None'} (${summary.cdxEntries} entries)`,
+      `Signature: ${signatureStatus}`,
+      `Resources (${summary.resources.length}):`,
+      ...summary.resources.map(resource => `  ${resource.path} - ${resource.bytes} bytes - ${resource.hash}`)
+    ]
+
+    console.log(lines.join('\n'))
+  })
+
 program.parse()
@@ -5,7 +5,8 @@ import fs from 'fs/promises'
 
 import StreamZip from 'node-stream-zip'
 
-import { execSync } from 'node:child_process'
+import { execSync, spawn, spawnSync } from 'node:child_process'
+import { once } from 'node:events'
 
 import { FIXTURES_PATH } from '../constants.js'
 
@@ -25,3 +26,203 @@ test('Invoke "create" command and check that a WACZ was created.', async (_t) =>
 
   await fs.unlink(output)
 })
+
+test('Invoke "create" command with multiple --pages files and check the resulting pages lists.', async (_t) => {
+  const output = 'tmp-cli-pages.wacz'
+  const pages = ['tmp-cli-seeds.jsonl', 'tmp-cli-curated.jsonl', 'tmp-cli-more.jsonl']
+
+  // First file always replaces pages.jsonl, whatever its header says. Lines which are not valid JSON are skipped.
+  await fs.writeFile(pages[0], '{"format": "json-pages-1.0", "id": "seeds", "title": "Seeds"}\n{"id": "lil", "url": "https://lil.law.harvard.edu/", "title": "LIL", "text": "Library Innovation Lab", "seed": true}\n{"url": \n')
+  await fs.writeFile(pages[1], '{"format": "json-pages-1.0", "id": "curated", "title": "Curated"}\n{"url": "https://lil.law.harvard.edu/projects/"}\n')
+  // Invalid header id: identified by filename instead
+  await fs.writeFile(pages[2], '{"format": "json-pages-1.0", "id": "more pages!"}\n{"url": "https://lil.law.harvard.edu/about/"}\n')
+
+  execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${output} ${pages.map(path => `--pages ${path}`).join(' ')} --detected-pages-list extraPages`)
+
+  const summary = JSON.parse(execSync(`node bin/cli info ${output} --json`))
+  const lists = Object.fromEntries(summary.pageLists.map(list => [list.path, list]))
+
+  assert.equal(lists['pages/pages.jsonl'].pages, 1)
+  assert.equal(lists['pages/curated.jsonl'].title, 'Curated')
+  assert.equal(lists['pages/curated.jsonl'].pages, 1)
+  assert.equal(lists['pages/tmp-cli-more.jsonl'].pages, 1)
+  assert(lists['pages/extraPages.jsonl'].pages > 0)
+
+  // Entries are kept as is
+  execSync(`node bin/cli extract ${output} --output tmp-cli-pages${sep} --only pages`)
+  const [, seed] = (await fs.readFile(`tmp-cli-pages${sep}pages${sep}pages.jsonl`, 'utf-8')).trim().split('\n').map(line => JSON.parse(line))
+  assert.deepEqual(seed, { id: 'lil', url: 'https://lil.law.harvard.edu/', title: 'LIL', text: 'Library Innovation Lab', seed: true })
+
+  await fs.rm(`tmp-cli-pages${sep}`, { recursive: true })
+
+  for (const file of [...pages, output]) {
+    await fs.unlink(file)
+  }
+})
+
+test('Invoke "validate" command and check its exit code.', async (_t) => {
+  const output = 'tmp-cli-validate.wacz'
+
+  execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${output}`)
+
+  assert.doesNotThrow(() => execSync(`node bin/cli validate ${output}`))
+  assert.throws(() => execSync(`node bin/cli validate "${FIXTURES_PATH}${sep}example.pem"`, { stdio: 'ignore' }))
+
+  // Only the report is written to stdout
+  const report = JSON.parse(execSync(`node bin/cli validate ${output} --json`))
+  assert.equal(report.valid, true)
+
+  await fs.unlink(output)
+})
+
+test('Invoke "extract" command and check that files were extracted.', async (_t) => {
+  const input = 'tmp-cli-extract.wacz'
+  const output = `tmp-cli-extract${sep}`
+
+  execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${input}`)
+  execSync(`node bin/cli extract ${input} --output ${output} --only archive`)
+
+  assert.deepEqual(await fs.readdir(output), ['archive'])
+  assert.deepEqual(await fs.readdir(`${output}archive`), ['lil-projects.warc.gz'])
+
+  await fs.rm(output, { recursive: true })
+  await fs.unlink(input)
+})
+
+test('Invoke "merge" command and check that a WACZ was created.', async (_t) => {
+  const inputs = ['tmp-cli-merge-1.wacz', 'tmp-cli-merge-2.wacz']
+  const output = 'tmp-cli-merge-output.wacz'
+
+  for (const input of inputs) {
+    execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${input}`)
+  }
+
+  execSync(`node bin/cli merge ${inputs.join(' ')} --output ${output}`)
+  assert.doesNotThrow(() => execSync(`node bin/cli validate ${output}`))
+
+  for (const file of [...inputs, output]) {
+    await fs.unlink(file)
+  }
+})
+
+test('Invoke "redact" command and check that records were removed.', async (_t) => {
+  const input = 'tmp-cli-redact-input.wacz'
+  const output = 'tmp-cli-redact-output.wacz'
+  const rules = 'tmp-cli-redact-rules.txt'
+
+  execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${input}`)
+  await fs.writeFile(rules, '# Takedown request\nhttps://lil.law.harvard.edu/projects/\n\nmime:image/*\n')
+
+  execSync(`node bin/cli redact ${input} --output ${output} --rules-file ${rules} --rule "status:301" --reason "Takedown"`)
+  assert.doesNotThrow(() => execSync(`node bin/cli validate ${output}`))
+
+  const summary = JSON.parse(execSync(`node bin/cli info ${output} --json`))
+  assert(summary.resources.find(resource => resource.path === 'logs/redactions.jsonl'))
+  assert.equal(summary.pages, 0)
+
+  // No rule: nothing to do
+  assert.throws(() => execSync(`node bin/cli redact ${input} --output ${output}`, { stdio: 'ignore' }))
+
+  for (const file of [input, output, rules]) {
+    await fs.unlink(file)
+  }
+})
+
+test('Invoke "info" command and check its JSON output.', async (_t) => {
+  const output = 'tmp-cli-info.wacz'
+
+  execSync(`node bin/cli create --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${output} --title "Info test"`)
+
+  const summary = JSON.parse(execSync(`node bin/cli info ${output} --json`))
+  assert.equal(summary.title, 'Info test')
+  assert.equal(summary.signature.status, 'unsigned')
+
+  await fs.unlink(output)
+})
+
+test('Invoke "index" command and check its output.', async (_t) => {
+  const output = `tmp-cli-index${sep}`
+
+  const cdx = execSync(`node bin/cli index --file "${FIXTURES_PATH}${sep}*.warc.gz"`).toString('utf-8')
+  assert(cdx.trim().split('\n').every(line => /^\S+ \d{14} \{.*\}$/.test(line)))
+
+  execSync(`node bin/cli index --file "${FIXTURES_PATH}${sep}*.warc.gz" --output ${output}`)
+  assert.equal(await fs.readFile(`${output}index.cdx`, 'utf-8'), cdx)
+
+  // Same output when indexing in the main thread
+  assert.equal(execSync(`node bin/cli index --file "${FIXTURES_PATH}${sep}*.warc.gz" --threads 0`).toString('utf-8'), cdx)
+  assert(await fs.readFile(`${output}pages.jsonl`))
+
+  // Filter rules
+  const filtered = execSync(`node bin/cli index --file "${FIXTURES_PATH}${sep}*.warc.gz" --exclude "mime:image/*" --exclude "surt:tools,lil,analytics)/"`).toString('utf-8')
+  assert(filtered.trim().split('\n').length < cdx.trim().split('\n').length)
+  assert(!filtered.includes('"mime":"image/') && !filtered.includes('analytics.lil.tools'))
+  assert.throws(() => execSync(`node bin/cli index --file "${FIXTURES_PATH}${sep}*.warc.gz" --include "foo:bar"`, { stdio: 'pipe' }))
+
+  await fs.rm(output, { recursive: true })
+})
+
+test('Invoke "create" command with --json-progress and check the events written to stderr.', async (_t) => {
+  const output = 'tmp-cli-progress.wacz'
+
+  const { stderr, status } = spawnSync('node', [
+    'bin/cli', 'create', '--file', `${FIXTURES_PATH}${sep}*.warc.gz`, '--output', output, '--json-progress'
+  ])
+
+  assert.equal(status, 0)
+
+  const events = stderr.toString('utf-8').trim().split('\n').map(line => JSON.parse(line))
+  const names = events.map(({ event }) => event)
+
+  assert.deepEqual(names.filter(name => name === 'step-start').length, names.filter(name => name === 'step-end').length)
+  assert(names.includes('warc-progress'))
+  assert(names.includes('page-detected'))
+  assert.equal(events.at(-1).event, 'step-end')
+  assert.equal(events.find(({ event }) => event === 'finalized').bytes, (await fs.stat(output)).size)
+
+  await fs.unlink(output)
+})
+
+test('Invoke "create" command with --tolerate-errors and --error-report on a corrupt WARC.', async (_t) => {
+  const input = 'tmp-cli-corrupt.warc.gz'
+  const output = 'tmp-cli-corrupt.wacz'
+
+  const warc = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  warc.fill(0, 500000, 500050)
+  await fs.writeFile(input, warc)
+
+  const { stderr, status } = spawnSync('node', [
+    'bin/cli', 'create', '--file', input, '--output', output, '--tolerate-errors', '--error-report', '--json-progress'
+  ])
+
+  assert.equal(status, 0)
+
+  const errors = stderr.toString('utf-8').trim().split('\n')
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line))
+    .filter(({ event }) => event === 'indexing-error')
+
+  assert.equal(errors.length, 1)
+  assert.equal(errors[0].warc, input)
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  assert.equal(JSON.parse((await zip.entryData('logs/errors.jsonl')).toString('utf-8')).offset, errors[0].offset)
+  await zip.close()
+
+  await fs.unlink(input)
+  await fs.unlink(output)
+})
+
+test('Interrupt "create" command and check that partial output was removed.', async (_t) => {
+  const output = 'tmp-cli-interrupted.wacz'
+
+  const child = spawn('node', [
+    'bin/cli', 'create', '--file', `${FIXTURES_PATH}${sep}*.warc.gz`, '--output', output, '--json-progress'
+  ])
+
+  child.stderr.once('data', () => child.kill('SIGINT')) // First progress event
+  const [code] = await once(child, 'exit')
+
+  assert.equal(code, 130)
+  await assert.rejects(fs.access(output))
+})
@@ -0,0 +1,121 @@
+/// <reference path="types.js" />
+
+import fs from 'fs/promises'
+import { createWriteStream } from 'fs'
+import { dirname, resolve, sep } from 'path'
+import { pipeline } from 'stream/promises'
+
+import { WACZReader } from './reader.js'
+import { sha256, byteLength } from './utils/hashing.js'
+
+/**
+ * Types of files that can be extracted from a WACZ, and how to identify them from their in-zip path.
+ * @constant
+ */
+export const EXTRACTABLE_TYPES = Object.freeze({
+  archive: (path) => path.startsWith('archive/'),
+  pages: (path) => path.startsWith('pages/'),
+  indexes: (path) => path.startsWith('indexes/'),
+  datapackage: (path) => ['datapackage.json', 'datapackage-digest.json'].includes(path)
+})
+
+/**
+ * Unpacks an existing .wacz file into a directory.
+ * Every extracted file is hashed as it is written and checked against `datapackage.json` resources
+ * (`datapackage.json` itself is checked against `datapackage-digest.json`).
+ * Mismatches are reported, not thrown: see `WACZExtractionReport.valid`.
+ *
+ * Usage:
+ * ```
+ * const report = await extractWACZ('collection.wacz', 'collection/', { only: ['archive'] })
+ * ```
+ *
+ * @param {string} filename - Path to the .wacz file to extract.
+ * @param {string} output - Path to the output directory. Will be created if needed.
+ * @param {Object} [options={}]
+ * @param {?string[]} [options.only] - If set, only extracts files of the given types. See `EXTRACTABLE_TYPES`.
+ * @param {?any} [options.log] - Will be used instead of the Console API for logging, if compatible.
+ * @returns {Promise<WACZExtractionReport>}
+ */
+export const extractWACZ = async (filename, output, options = {}) => {
+  const only = options?.only?.length ? options.only : Object.keys(EXTRACTABLE_TYPES)
+
+  for (const type of only) {
+    if (!EXTRACTABLE_TYPES[type]) {
+      throw new Error(`"${type}" is not a type of file that can be extracted. Can be: ${Object.keys(EXTRACTABLE_TYPES).join(', ')}.`)
+    }
+  }
+
+  if (!output) {
+    throw new Error('"output" must be a path to a directory.')
+  }
+
+  const root = resolve(output)
+  const reader = new WACZReader(filename, { log: options?.log })
+
+  /** @type {WACZExtractionReport} */
+  const report = { filename, output, valid: false, files: [] }
+
+  try {
+    await reader.load()
+
+    // Expected hash and size, by in-zip path
+    const expected = {}
+
+    for (const resource of reader.datapackage?.resources || []) {
+      expected[resource.path] = resource
+    }
+
+    if (reader.digest?.path === 'datapackage.json') {
+      expected['datapackage.json'] = { hash: reader.digest.hash, bytes: null }
+    }
+
+    // Without filters, everything is extracted (including files of unknown types).
+    const paths = reader.entries
+      .filter(path => !path.endsWith('/'))
+      .filter(path => !options?.only?.length || only.some(type => EXTRACTABLE_TYPES[type](path)))
+
+    for (const path of paths) {
+      const destination = resolve(root, path)
+
+      // Prevent entries from being written outside of the output directory (i.e: "../foo").
+      if (!destination.startsWith(`${root}${sep}`)) {
+        throw new Error(`${path} would be extracted outside of ${output}.`)
+      }
+
+      await fs.mkdir(dirname(destination), { recursive: true })
+
+      // Write, hash and measure in a single pass.
+      const stream = await reader.streamEntry(path)
+      const [hash, bytes] = await Promise.all([
+        sha256(stream),
+        byteLength(stream),
+        pipeline(stream, createWriteStream(destination))
+      ])
+
+      /** @type {WACZExtractedFile} */
+      const file = { path, bytes, hash, verified: null, message: null }
+
+      if (expected[path]) {
+        const { hash: expectedHash, bytes: expectedBytes } = expected[path]
+
+        if (expectedHash !== hash) {
+          file.verified = false
+          file.message = `Hash mismatch: expected ${expectedHash}, got ${hash}.`
+        } else if (expectedBytes !== null && expectedBytes !== undefined && expectedBytes !== bytes) {
+          file.verified = false
+          file.message = `Size mismatch: expected ${expectedBytes} bytes, got ${bytes}.`
+        } else {
+          file.verified = true
+        }
+      }
+
+      report.files.push(file)
+    }
+  } finally {
+    await reader.close()
+  }
+
+  report.valid = report.files.every(file => file.verified !== false)
+  return report
+}
@@ -0,0 +1,82 @@
+/// <reference path="types.js" />
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sep, join } from 'path'
+import { tmpdir } from 'os'
+import fs from 'fs/promises'
+
+import { extractWACZ } from './extract.js'
+import { sha256 } from './utils/hashing.js'
+import { FIXTURES_PATH } from './constants.js'
+import { createFixtureWACZ } from './fixtures/helpers.js'
+
+test('extractWACZ throws on unknown file types.', async (_t) => {
+  await assert.rejects(() => extractWACZ('foo.wacz', 'foo', { only: ['foo'] }))
+})
+
+test('extractWACZ unpacks and verifies all files from a WACZ.', async (_t) => {
+  const input = 'tmp-extract-all.wacz'
+  const output = await fs.mkdtemp(join(tmpdir(), 'js-wacz-extract-'))
+  await createFixtureWACZ(input)
+
+  const report = await extractWACZ(input, output)
+
+  assert.equal(report.valid, true)
+
+  for (const path of ['datapackage.json', 'datapackage-digest.json', 'indexes/index.cdx', 'pages/pages.jsonl', 'archive/lil-projects.warc.gz']) {
+    const file = report.files.find(file => file.path === path)
+    assert(file)
+    assert.equal(file.hash, await sha256(join(output, path)))
+  }
+
+  assert.equal(report.files.find(file => file.path === 'datapackage.json').verified, true)
+  assert.equal(report.files.find(file => file.path === 'archive/lil-projects.warc.gz').verified, true)
+  assert.equal(report.files.find(file => file.path === 'datapackage-digest.json').verified, null)
+
+  // Extracted WARC is identical to the original
+  assert.equal(
+    await sha256(join(output, 'archive', 'lil-projects.warc.gz')),
+    await sha256(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  )
+
+  await fs.rm(output, { recursive: true })
+  await fs.unlink(input)
+})
+
+test('extractWACZ only extracts files of the requested types.', async (_t) => {
+  const input = 'tmp-extract-only.wacz'
+  const output = await fs.mkdtemp(join(tmpdir(), 'js-wacz-extract-'))
+  await createFixtureWACZ(input)
+
+  const report = await extractWACZ(input, output, { only: ['archive', 'pages'] })
+
+  assert.equal(report.valid, true)
+  assert(report.files.length > 0)
+  assert(report.files.every(file => file.path.startsWith('archive/') || file.path.startsWith('pages/')))
+  assert.deepEqual((await fs.readdir(output)).sort(), ['archive', 'pages'])
+
+  await fs.rm(output, { recursive: true })
+  await fs.unlink(input)
+})
+
+test('extractWACZ reports files which hash or size do not match datapackage.json.', async (_t) => {
+  const input = 'tmp-extract-tampered.wacz'
+  const output = await fs.mkdtemp(join(tmpdir(), 'js-wacz-extract-'))
+
+  await createFixtureWACZ(input, {
+    tamper: async (archive) => {
+      archive.resources.find(entry => entry.path === 'pages/pages.jsonl').hash = await sha256(Buffer.from('FOO'))
+    }
+  })
+
+  const report = await extractWACZ(input, output)
+  const failures = report.files.filter(file => file.verified === false)
+
+  assert.equal(report.valid, false)
+  assert.equal(failures.length, 1)
+  assert.equal(failures[0].path, 'pages/pages.jsonl')
+
+  await fs.rm(output, { recursive: true })
+  await fs.unlink(input)
+})
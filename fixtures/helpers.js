@@ -0,0 +1,45 @@
+/// <reference path="../types.js" />
+
+import { sep } from 'path'
+
+import { WACZ } from '../index.js'
+import { FIXTURES_PATH } from '../constants.js'
+
+/**
+ * Path to *.warc.gz files in the fixture folder.
+ * @constant
+ */
+export const FIXTURE_INPUT = `${FIXTURES_PATH}${sep}*.warc.gz`
+
+/**
+ * Creates a WACZ file out of the fixtures, step by step, so tests can alter what goes into the archive.
+ * @param {string} output
+ * @param {Object} [settings={}]
+ * @param {WACZOptions} [settings.options={}] - Passed to the WACZ constructor, alongside `input` and `output`.
+ * @param {string[]} [settings.cdxLines=[]] - Additional CDX lines, merged into the index before it is written.
+ * @param {?function} [settings.tamper=null] - Receives the WACZ instance after the WARCs were written, before datapackage.json is.
+ * @returns {Promise<void>}
+ */
+export const createFixtureWACZ = async (output, { options = {}, cdxLines = [], tamper = null } = {}) => {
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, ...options })
+
+  archive.initWorkerPool()
+  await archive.indexWARCs()
+  archive.harvestArraysFromTrees()
+
+  if (cdxLines.length) {
+    archive.cdxArray = [...archive.cdxArray, ...cdxLines].sort()
+  }
+
+  await archive.writeIndexesToZip()
+  await archive.writePagesToZip()
+  await archive.writeWARCsToZip()
+
+  if (tamper) {
+    await tamper(archive)
+  }
+
+  await archive.writeDatapackageToZip()
+  await archive.writeDatapackageDigestToZip()
+  await archive.finalize()
+}
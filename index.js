@@ -1,20 +1,45 @@
 /// <reference path="types.js" />
 
 import fs from 'fs/promises'
-import { createWriteStream, createReadStream, WriteStream, unlinkSync } from 'fs' // eslint-disable-line
-import { createHash } from 'crypto'
-import { basename, sep } from 'path'
+import { createWriteStream, WriteStream, unlinkSync, mkdtempSync } from 'fs' // eslint-disable-line
+import { KeyObject, Hash, createHash } from 'crypto' // eslint-disable-line
+import { Readable, Writable } from 'stream'
+import { finished, pipeline } from 'stream/promises'
+import { EventEmitter, once } from 'events'
+import { MessageChannel } from 'worker_threads'
+import { tmpdir } from 'os'
+import { basename, join, relative, sep } from 'path'
+import { STATUS_CODES } from 'http'
 
 import { Deflate } from 'pako'
-import { globSync } from 'glob'
+import { globSync, hasMagic, unescape } from 'glob'
 import BTree from 'sorted-btree'
 import { Piscina } from 'piscina'
 import Archiver from 'archiver'
 import { v4 as uuidv4 } from 'uuid'
+import { WARCRecord, WARCSerializer, getSurt } from 'warcio'
 
+import indexWARC from './workers/indexWARC.js'
 import { assertValidWACZSignatureFormat } from './utils/assertions.js'
+import { sha256, byteLength } from './utils/hashing.js'
+import { readLines, mergeSorted } from './utils/sorting.js'
+import { isValidFilterRule, serializeFilters, serializeFilterRule } from './utils/filters.js'
+import { isValidRedactionRule, createRedactionMatcher, redactWARC } from './utils/redaction.js'
+import { loadSigningKey } from './utils/signatures.js'
+import { reservePath } from './utils/paths.js'
+import { getSourceDate, createStableId, createStableRecordId, REPRODUCIBLE_DEFAULT_DATE, REPRODUCIBLE_FILE_MODE } from './utils/reproducibility.js'
+import { normalizeSigner, createHTTPSigner, createPrivateKeySigner, HTTP_SIGNER_DEFAULTS } from './utils/signers.js'
 import { PACKAGE_INFO } from './constants.js'
 
+export { validateWACZ } from './validate.js'
+export { verifyWACZSignature } from './utils/signatures.js'
+export { createHTTPSigner, createPrivateKeySigner } from './utils/signers.js'
+export { WACZReader } from './reader.js'
+export { extractWACZ } from './extract.js'
+export { mergeWACZ } from './merge.js'
+export { redactWACZ } from './redact.js'
+export { inspectWACZ } from './inspect.js'
+
 /**
  * IDX to CDX ratio for ZipNum Shared Index.
  * For X entries in the CDX, there will be 1 in the IDX.
@@ -24,6 +49,68 @@ import { PACKAGE_INFO } from './constants.js'
  */
 export const ZIP_NUM_SHARED_INDEX_LIMIT = 3000
 
+/**
+ * Name of the WARC file in which records provided via `WACZ.addRecord()` are written (`archive/<name>`).
+ * @constant
+ * @type {string}
+ */
+export const RECORDS_WARC_NAME = 'data.warc.gz'
+
+/**
+ * Main pages list of an archive. Always written, even if other lists are provided via `WACZOptions.pageLists`.
+ * @constant
+ * @type {WACZPageListDefinition}
+ */
+export const DEFAULT_PAGE_LIST = Object.freeze({ id: 'pages', path: 'pages/pages.jsonl', title: 'All Pages', description: null })
+
+/**
+ * Names of the events emitted by the WACZ class. See {@link WACZEvent} for details.
+ * @constant
+ * @type {string[]}
+ */
+export const WACZ_EVENTS = [
+  'step-start',
+  'step-end',
+  'warc-progress',
+  'page-detected',
+  'indexing-error',
+  'digest-mismatch',
+  'record-redacted',
+  'zip-progress',
+  'signing-requested',
+  'signing-received',
+  'finalized'
+]
+
+/**
+ * Minimum number of bytes written to the output between two "zip-progress" events.
+ * @constant
+ * @type {number}
+ */
+const ZIP_PROGRESS_INTERVAL = 1024 * 1024
+
+/**
+ * Accepted values for `WACZOptions.tolerateErrors` (`true` being an alias of "exclude").
+ * @constant
+ * @type {string[]}
+ */
+const TOLERATE_ERRORS_POLICIES = ['exclude', 'include']
+
+/**
+ * Accepted values for `WACZOptions.verifyDigests` (`true` being an alias of "warn").
+ * @constant
+ * @type {string[]}
+ */
+const VERIFY_DIGESTS_POLICIES = ['warn', 'fail']
+
+/**
+ * Resource limits that can be applied to each worker thread via `WACZOptions.resourceLimits`.
+ * See: https://nodejs.org/api/worker_threads.html#new-workerfilename-options
+ * @constant
+ * @type {string[]}
+ */
+const WORKER_RESOURCE_LIMITS = ['maxOldGenerationSizeMb', 'maxYoungGenerationSizeMb', 'codeRangeSizeMb', 'stackSizeMb']
+
 /**
  * Utility class allowing for merging multiple .warc / .warc.gz files into a single .wacz file.
  *
@@ -36,8 +123,13 @@ export const ZIP_NUM_SHARED_INDEX_LIMIT = 3000
  *
  * await archive.process() // my-collection.wacz was written to disk.
  * ```
+ *
+ * Progress is reported via events (see `WACZ_EVENTS`):
+ * ```
+ * archive.on('warc-progress', ({ warc, bytesRead, bytesTotal }) => console.log(warc, bytesRead / bytesTotal))
+ * ```
  */
-export class WACZ {
+export class WACZ extends EventEmitter {
   /** @type {Console} */
   log = console
 
@@ -58,24 +150,126 @@ export class WACZ {
    */
   indexWARCPool = null
 
+  /**
+   * From WACZOptions.workers. If `false`, WARCs are indexed in the main thread.
+   * @type {boolean}
+   */
+  workers = true
+
+  /**
+   * From WACZOptions.maxThreads.
+   * @type {?number}
+   */
+  maxThreads = null
+
+  /**
+   * From WACZOptions.minThreads.
+   * @type {?number}
+   */
+  minThreads = null
+
+  /**
+   * From WACZOptions.idleTimeout.
+   * @type {?number}
+   */
+  idleTimeout = null
+
+  /**
+   * From WACZOptions.resourceLimits.
+   * @type {?Object}
+   */
+  resourceLimits = null
+
   /**
    * From WACZOptions.input.
    * @type {?string[]}
    */
   input = null
 
+  /**
+   * From WACZOptions.preserveDirectories.
+   * @type {boolean}
+   */
+  preserveDirectories = false
+
   /**
    * From WACZOptions.output.
    * @type {?string}
    */
   output = null
 
+  /**
+   * From WACZOptions.indexOnly.
+   * @type {boolean}
+   */
+  indexOnly = false
+
   /**
    * From WACZOptions.detectPages.
    * @type {boolean}
    */
   detectPages = true
 
+  /**
+   * From WACZOptions.indexMemoryLimit.
+   * @type {?number}
+   */
+  indexMemoryLimit = null
+
+  /**
+   * From WACZOptions.tolerateErrors. Either `false`, "exclude" or "include".
+   * @type {false|string}
+   */
+  tolerateErrors = false
+
+  /**
+   * From WACZOptions.errorReport.
+   * @type {boolean}
+   */
+  errorReport = false
+
+  /**
+   * From WACZOptions.verifyDigests. Either `false`, "warn" or "fail".
+   * @type {false|string}
+   */
+  verifyDigests = false
+
+  /**
+   * From WACZOptions.include.
+   * @type {WACZFilterRule[]}
+   */
+  include = []
+
+  /**
+   * From WACZOptions.exclude.
+   * @type {WACZFilterRule[]}
+   */
+  exclude = []
+
+  /**
+   * From WACZOptions.redact. Strings and regular expressions are turned into `{url}` rules.
+   * @type {WACZRedactionRule[]}
+   */
+  redact = []
+
+  /**
+   * From WACZOptions.reproducible.
+   * @type {boolean}
+   */
+  reproducible = false
+
+  /**
+   * In reproducible mode, date used wherever the current date would otherwise be (see `getSourceDate()`). `null` otherwise.
+   * @type {?string}
+   */
+  sourceDate = null
+
+  /**
+   * From WACZOptions.signal.
+   * @type {?AbortSignal}
+   */
+  signal = null
+
   /**
    * From WACZOptions.url.
    * @type {?string}
@@ -112,6 +306,43 @@ export class WACZ {
    */
   signingToken = null
 
+  /**
+   * From WACZOptions.signingKey. Loaded as a private KeyObject.
+   * @type {?KeyObject}
+   */
+  signingKey = null
+
+  /**
+   * From WACZOptions.signingHeaders.
+   * @type {?Object}
+   */
+  signingHeaders = null
+
+  /**
+   * From WACZOptions.signingTimeout.
+   * @type {number}
+   */
+  signingTimeout = HTTP_SIGNER_DEFAULTS.timeout
+
+  /**
+   * From WACZOptions.signingRetries.
+   * @type {number}
+   */
+  signingRetries = HTTP_SIGNER_DEFAULTS.retries
+
+  /**
+   * From WACZOptions.signingRetryDelay.
+   * @type {number}
+   */
+  signingRetryDelay = HTTP_SIGNER_DEFAULTS.retryDelay
+
+  /**
+   * Function used to sign datapackage.json.
+   * From WACZOptions.signer, or derived from `signingKey` or `signingUrl` if not provided.
+   * @type {?WACZSigner}
+   */
+  signer = null
+
   /**
    * Date at which datapackage.json was generated. Needed for signing.
    * @type {?string}
@@ -125,11 +356,50 @@ export class WACZ {
   datapackageExtras = null
 
   /**
-   * List of files detected from path provided in `file`.
-   * @type {string[]}
+   * List of files detected from path provided in `input`, and in-memory WARCs provided alongside them.
+   * @type {Array<string|WACZInMemoryWARC>}
    */
   WARCs = []
 
+  /**
+   * Name under which each entry of `this.WARCs` is stored in `archive/` and referenced in CDX `filename` fields.
+   * Assigned by `assignWARCNames()`. See `getWARCName()`.
+   * @type {Map<string|WACZInMemoryWARC, string>}
+   */
+  WARCNames = new Map()
+
+  /**
+   * Temporary directory in which in-memory WARCs provided as streams, records and sorted CDX runs are written, if any.
+   * See `getTmpDirectory()`. Deleted by `finalize()` (or at the end of `process()` in index-only mode).
+   * @type {?string}
+   */
+  tmpDirectory = null
+
+  /**
+   * Entry of `this.WARCs` in which records provided via `addRecord()` are written, if any.
+   * Created on the first call to `addRecord()`, in `this.tmpDirectory`.
+   * @type {?WACZInMemoryWARC}
+   */
+  recordsWARC = null
+
+  /**
+   * Size in bytes of `this.recordsWARC` so far: offset at which the next record will be written.
+   * @type {number}
+   */
+  recordsWARCBytes = 0
+
+  /**
+   * Number of calls to `addRecord()` which resulted in records being written. Used to derive record ids in reproducible mode.
+   * @type {number}
+   */
+  recordsAdded = 0
+
+  /**
+   * Pending writes to `this.recordsWARC`. Records are appended one call to `addRecord()` at a time.
+   * @type {Promise<void>}
+   */
+  recordsWriteQueue = Promise.resolve()
+
   /**
    * B-Tree in which the key is a CDXJ string and the value is a boolean.
    * Used for "sorting on the go".
@@ -137,7 +407,23 @@ export class WACZ {
    */
   cdxTree = new BTree.default() // eslint-disable-line
 
-  /** @type {string[]} */
+  /**
+   * Approximate size of the entries currently held in `this.cdxTree`, in bytes.
+   * @type {number}
+   */
+  cdxTreeBytes = 0
+
+  /**
+   * Paths to sorted runs of CDX entries spilled to disk when `this.cdxTree` outgrew `this.indexMemoryLimit`.
+   * @type {string[]}
+   */
+  cdxRuns = []
+
+  /**
+   * Sorted CDX entries, populated by `harvestArraysFromTrees()`.
+   * Left empty if CDX entries were spilled to disk: see `iterateCDX()`.
+   * @type {string[]}
+   */
   cdxArray = []
 
   /** @type {string[]} */
@@ -153,6 +439,60 @@ export class WACZ {
   /** @type {WACZPage[]} */
   pagesArray = []
 
+  /**
+   * From WACZOptions.pageLists: pages lists to be written to `pages/`, starting with `DEFAULT_PAGE_LIST`, which entries are held by `this.pagesTree`.
+   * @type {WACZPageListDefinition[]}
+   */
+  pageLists = [{ ...DEFAULT_PAGE_LIST }]
+
+  /**
+   * From WACZOptions.detectedPagesList.
+   * @type {string}
+   */
+  detectedPagesList = DEFAULT_PAGE_LIST.id
+
+  /**
+   * Same as `this.pagesTree`, for each entry of `this.pageLists` other than the default one, by id.
+   * @type {Map<string, BTree>}
+   */
+  extraPagesTrees = new Map()
+
+  /**
+   * Same as `this.pagesArray`, for each entry of `this.pageLists` other than the default one, by id.
+   * @type {Map<string, WACZPage[]>}
+   */
+  extraPagesArrays = new Map()
+
+  /**
+   * Ids of the pages added via `addPageEntry()`, by pages list id. See `addPageEntry()`.
+   * @type {Map<string, Set<string>>}
+   */
+  pageIds = new Map()
+
+  /**
+   * Errors that were tolerated while indexing WARCs (see `WACZOptions.tolerateErrors`).
+   * @type {WACZIndexingError[]}
+   */
+  indexingErrors = []
+
+  /**
+   * Records which digests did not match their contents (see `WACZOptions.verifyDigests`).
+   * @type {WACZDigestMismatch[]}
+   */
+  digestMismatches = []
+
+  /**
+   * Number of record digests that were checked (see `WACZOptions.verifyDigests`).
+   * @type {number}
+   */
+  digestsVerified = 0
+
+  /**
+   * Records that were removed from WARCs (see `WACZOptions.redact`).
+   * @type {WACZRedaction[]}
+   */
+  redactions = []
+
   /**
    * All files added to the zip, with the exception of datapackage-digest.json, need to be referenced here.
    * @type {WACZDatapackageResource[]}
@@ -171,10 +511,24 @@ export class WACZ {
    */
   archiveStream = null
 
+  /**
+   * Running SHA-256 hash of the data written to `this.outputStream`.
+   * @type {?Hash}
+   */
+  outputHash = null
+
+  /**
+   * Number of bytes written to `this.outputStream` so far.
+   * @type {number}
+   */
+  outputBytes = 0
+
   /**
    * @param {WACZOptions} options - See {@link WACZOptions} for details.
    */
   constructor (options = {}) {
+    super()
+
     // Although non-blocking, options.log must be processed first
     if (options?.log) {
       this.log = options.log
@@ -201,6 +555,11 @@ export class WACZ {
   filterBlockingOptions = (options) => {
     const log = this.log
 
+    // options.preserveDirectories: processed before options.input, which it affects.
+    if (options?.preserveDirectories === true) {
+      this.preserveDirectories = true
+    }
+
     // options.input
     try {
       if (!options?.input) {
@@ -209,17 +568,29 @@ export class WACZ {
 
       this.input = []
 
-      // `input` can be a string or an array of strings
-      if (options.input.constructor.name === 'String') {
-        this.input.push(options.input)
-      } else if (options.input.constructor.name === 'Array') {
-        this.input.push(...options.input.map(path => String(path).trim()))
+      // `input` can be a string, an in-memory WARC, or an array of those
+      if (options.input.constructor.name === 'Array') {
+        this.input.push(...options.input.map(entry => entry?.constructor?.name === 'String' ? entry.trim() : entry))
       } else {
-        throw new Error('`input` must be a string or an array.')
+        this.input.push(options.input)
       }
 
-      for (const path of this.input) {
-        for (const file of globSync(path)) {
+      // Preferred name of each WARC in the archive. See `assignWARCNames()`.
+      const names = new Map()
+
+      for (const entry of this.input) {
+        // In-memory WARC
+        if (entry?.constructor?.name !== 'String') {
+          const warc = parseInMemoryWARC(entry)
+          this.WARCs.push(warc)
+          names.set(warc, warc.name)
+          continue
+        }
+
+        const base = getGlobBase(entry)
+
+        // Sorted so names are assigned in the same order across runs
+        for (const file of globSync(entry).sort()) {
           const filename = basename(file).toLowerCase()
 
           if (!filename.endsWith('.warc') && !filename.endsWith('.warc.gz')) {
@@ -227,15 +598,49 @@ export class WACZ {
             continue
           }
 
+          if (names.has(file)) {
+            this.log.trace(`${file} matched more than once. Skipping duplicate.`)
+            continue
+          }
+
+          const path = relative(base, file).split(sep).join('/')
+
           this.WARCs.push(file)
+          names.set(file, this.preserveDirectories && !path.startsWith('..') ? path : basename(file))
         }
       }
-      if (this.WARCs.length < 1) {
+
+      this.assignWARCNames(names)
+
+      // An empty array is accepted: records are expected to be provided via `addRecord()`.
+      if (this.WARCs.length < 1 && this.input.length > 0) {
         throw new Error('No WARC found.')
       }
     } catch (err) {
       log.trace(err)
-      throw new Error('"input" must be a valid path leading to at least 1 .warc or .warc.gz file.')
+      throw new Error('"input" must be a valid path leading to at least 1 .warc or .warc.gz file, or an in-memory WARC ({ name, buffer } or { name, stream }).')
+    }
+
+    // options.indexOnly
+    if (options?.indexOnly === true) {
+      this.indexOnly = true
+    }
+
+    // options.output: in index-only mode, optional path to a directory.
+    if (this.indexOnly) {
+      this.output = options?.output ? String(options.output).trim() : null
+      return
+    }
+
+    // options.output: can be a writable stream (Node.js or WHATWG) instead of a path.
+    if (isWritableStream(options?.output)) {
+      this.outputStream = options.output
+      return
+    }
+
+    if (typeof WritableStream !== 'undefined' && options?.output instanceof WritableStream) {
+      this.outputStream = Writable.fromWeb(options.output)
+      return
     }
 
     // options.output
@@ -270,101 +675,385 @@ export class WACZ {
       this.detectPages = false
     }
 
-    if (options?.url) {
-      try {
-        new URL(options.url) // eslint-disable-line
-        this.url = options.url
-      } catch (_err) {
-        log.warn('"url" provided is invalid. Skipping.')
-      }
+    if (options?.workers === false) {
+      this.workers = false
     }
 
-    if (options?.ts) {
-      try {
-        const ts = new Date(options.ts).toISOString() // will throw if invalid
-        this.ts = ts
-      } catch (_err) {
-        log.warn('"ts" provided is invalid. Skipping.')
+    // Integer options for the worker pool, and their minimum value
+    for (const [option, min] of [['maxThreads', 1], ['minThreads', 0], ['idleTimeout', 0]]) {
+      if (options?.[option] === undefined || options?.[option] === null) {
+        continue
+      }
+
+      if (Number.isInteger(options[option]) && options[option] >= min) {
+        this[option] = options[option]
+      } else {
+        log.warn(`"${option}" provided is not an integer >= ${min}. Skipping.`)
       }
     }
 
-    if (options?.title) {
-      this.title = String(options.title).trim()
+    if (this.minThreads !== null && this.maxThreads !== null && this.minThreads > this.maxThreads) {
+      log.warn('"minThreads" provided is greater than "maxThreads". Skipping.')
+      this.minThreads = null
     }
 
-    if (options?.description) {
-      this.description = String(options.description).trim()
+    if (options?.resourceLimits) {
+      if (options.resourceLimits.constructor === Object &&
+          Object.keys(options.resourceLimits).every(key => WORKER_RESOURCE_LIMITS.includes(key)) &&
+          Object.values(options.resourceLimits).every(value => typeof value === 'number' && value > 0)) {
+        this.resourceLimits = options.resourceLimits
+      } else {
+        log.warn(`"resourceLimits" provided is not an object of positive numbers (${WORKER_RESOURCE_LIMITS.join(', ')}). Skipping.`)
+      }
     }
 
-    if (options?.signingUrl) {
-      try {
-        new URL(options.signingUrl) // eslint-disable-line
-        this.signingUrl = options.signingUrl
-      } catch (_err) {
-        log.warn('"signingUrl" provided is not a valid url. Skipping.')
+    if (options?.signal) {
+      if (options.signal instanceof AbortSignal) {
+        this.signal = options.signal
+      } else {
+        log.warn('"signal" provided is not an AbortSignal. Skipping.')
       }
     }
 
-    if (options?.signingToken && this.signingUrl) {
-      this.signingToken = String(options.signingToken)
+    if (options?.indexMemoryLimit !== undefined && options?.indexMemoryLimit !== null) {
+      if (Number.isInteger(options.indexMemoryLimit) && options.indexMemoryLimit >= 1) {
+        this.indexMemoryLimit = options.indexMemoryLimit
+      } else {
+        log.warn('"indexMemoryLimit" provided is not an integer >= 1. Skipping.')
+      }
     }
 
-    if (options?.datapackageExtras) {
-      try {
-        JSON.stringify(options.datapackageExtras)// will throw if invalid
-        this.datapackageExtras = options.datapackageExtras
-      } catch (_err) {
-        log.warn('"datapackageExtras" provided is not JSON-serializable object. Skipping.')
+    if (options?.tolerateErrors) {
+      if (options.tolerateErrors === true || TOLERATE_ERRORS_POLICIES.includes(options.tolerateErrors)) {
+        this.tolerateErrors = options.tolerateErrors === true ? 'exclude' : options.tolerateErrors
+      } else {
+        log.warn(`"tolerateErrors" provided must be a boolean, ${TOLERATE_ERRORS_POLICIES.map(policy => `"${policy}"`).join(' or ')}. Skipping.`)
       }
     }
-  }
 
-  /**
-   * Convenience method: runs all the processing steps from start to finish.
-   * @param {boolean} [verbose=true] - If `true`, will log step-by-step progress.
-   * @returns {Promise<void>}
-   */
-  process = async (verbose = true) => {
-    this.stateCheck()
+    if (options?.errorReport === true) {
+      this.errorReport = true
+    }
 
-    const info = verbose ? this.log.info : () => {}
+    // Filter rules are blocking: ignoring an invalid exclude rule would let unwanted captures in.
+    for (const option of ['include', 'exclude']) {
+      if (options?.[option] === undefined || options?.[option] === null) {
+        continue
+      }
 
-    info(`${this.WARCs.length} WARC(s) to process`)
+      const rules = Array.isArray(options[option]) ? options[option] : [options[option]]
 
-    info(`Initializing output stream at: ${this.output}`)
-    this.initOutputStreams()
+      if (!rules.every(isValidFilterRule)) {
+        throw new Error(`"${option}" must be a filter rule or an array of filter rules ({ url, surt, mime, status, from, to }).`)
+      }
 
-    info('Initializing indexer')
-    this.initWorkerPool()
+      this[option] = rules
+    }
 
-    info('Indexing WARCS')
-    await this.indexWARCs()
+    // Same goes for redaction rules, with the added constraint that redacted copies of WARCs only exist in a .wacz file.
+    if (options?.redact !== undefined && options?.redact !== null) {
+      const rules = (Array.isArray(options.redact) ? options.redact : [options.redact])
+        .map(rule => rule?.constructor === String || rule instanceof RegExp ? { url: rule } : rule)
 
-    info('Harvesting sorted indexes from trees')
-    this.harvestArraysFromTrees()
+      if (!rules.every(isValidRedactionRule)) {
+        throw new Error('"redact" must be a url pattern, a redaction rule or an array of these ({ url, surt, mime, status, from, to, reason }).')
+      }
 
-    info('Writing CDX to WACZ')
-    await this.writeIndexesToZip()
+      if (this.indexOnly && rules.length > 0) {
+        throw new Error('"redact" cannot be used in index-only mode: indexes would point to WARCs which are not written anywhere.')
+      }
 
-    info('Writing pages.jsonl to WACZ')
-    await this.writePagesToZip()
+      this.redact = rules
+    }
+
+    // Page lists are blocking too: pages added to an unknown list would have nowhere to go.
+    if (options?.pageLists !== undefined && options?.pageLists !== null) {
+      try {
+        this.pageLists = parsePageLists(options.pageLists)
+      } catch (err) {
+        log.trace(err)
+        throw new Error('"pageLists" must be an array of pages lists ({ id, title, description, path }) with unique ids and paths such as "pages/<id>.jsonl".')
+      }
+
+      for (const { id } of this.pageLists.slice(1)) {
+        this.extraPagesTrees.set(id, new BTree.default()) // eslint-disable-line
+      }
+    }
+
+    if (options?.detectedPagesList !== undefined && options?.detectedPagesList !== null) {
+      if (!this.pageLists.find(list => list.id === options.detectedPagesList)) {
+        throw new Error('"detectedPagesList" must be the id of one of the pages lists provided via "pageLists".')
+      }
+
+      this.detectedPagesList = options.detectedPagesList
+    }
+
+    if (options?.verifyDigests) {
+      if (options.verifyDigests === true || VERIFY_DIGESTS_POLICIES.includes(options.verifyDigests)) {
+        this.verifyDigests = options.verifyDigests === true ? 'warn' : options.verifyDigests
+      } else {
+        log.warn(`"verifyDigests" provided must be a boolean, ${VERIFY_DIGESTS_POLICIES.map(policy => `"${policy}"`).join(' or ')}. Skipping.`)
+      }
+    }
+
+    if (options?.url) {
+      try {
+        new URL(options.url) // eslint-disable-line
+        this.url = options.url
+      } catch (_err) {
+        log.warn('"url" provided is invalid. Skipping.')
+      }
+    }
+
+    // options.reproducible: processed before options.ts, for which it provides a default.
+    if (options?.reproducible === true) {
+      this.reproducible = true
+
+      try {
+        this.sourceDate = getSourceDate()
+      } catch (err) {
+        this.sourceDate = REPRODUCIBLE_DEFAULT_DATE
+        log.warn(`${err.message} Using ${this.sourceDate} instead.`)
+      }
+
+      this.ts = this.sourceDate
+    }
+
+    if (options?.ts) {
+      try {
+        const ts = new Date(options.ts).toISOString() // will throw if invalid
+        this.ts = ts
+      } catch (_err) {
+        log.warn('"ts" provided is invalid. Skipping.')
+      }
+    }
+
+    if (options?.title) {
+      this.title = String(options.title).trim()
+    }
+
+    if (options?.description) {
+      this.description = String(options.description).trim()
+    }
+
+    if (options?.signingUrl) {
+      try {
+        new URL(options.signingUrl) // eslint-disable-line
+        this.signingUrl = options.signingUrl
+      } catch (_err) {
+        log.warn('"signingUrl" provided is not a valid url. Skipping.')
+      }
+    }
+
+    if (options?.signingToken && this.signingUrl) {
+      this.signingToken = String(options.signingToken)
+    }
+
+    if (options?.signingKey) {
+      try {
+        this.signingKey = loadSigningKey(options.signingKey)
+      } catch (err) {
+        log.trace(err)
+        log.warn('"signingKey" provided is not a valid ECDSA P-384 private key. Skipping.')
+      }
+    }
+
+    if (options?.signingHeaders) {
+      if (options.signingHeaders.constructor === Object &&
+          Object.values(options.signingHeaders).every(value => value?.constructor === String)) {
+        this.signingHeaders = options.signingHeaders
+      } else {
+        log.warn('"signingHeaders" provided is not an object of strings. Skipping.')
+      }
+    }
+
+    // Integer options for the built-in HTTP signer, and their minimum value
+    for (const [option, min] of [['signingTimeout', 1], ['signingRetries', 0], ['signingRetryDelay', 0]]) {
+      if (options?.[option] === undefined || options?.[option] === null) {
+        continue
+      }
+
+      if (Number.isInteger(options[option]) && options[option] >= min) {
+        this[option] = options[option]
+      } else {
+        log.warn(`"${option}" provided is not an integer >= ${min}. Skipping.`)
+      }
+    }
+
+    if (options?.signer) {
+      try {
+        this.signer = normalizeSigner(options.signer)
+      } catch (err) {
+        log.trace(err)
+        log.warn('"signer" provided is neither a function nor an object with a "sign" method. Skipping.')
+      }
+    }
+
+    // Fall back to built-in signers if needed
+    if (!this.signer && this.signingKey) {
+      this.signer = createPrivateKeySigner(this.signingKey)
+    } else if (!this.signer && this.signingUrl) {
+      this.signer = createHTTPSigner({
+        url: this.signingUrl,
+        token: this.signingToken,
+        headers: this.signingHeaders,
+        timeout: this.signingTimeout,
+        retries: this.signingRetries,
+        retryDelay: this.signingRetryDelay,
+        log
+      })
+    }
+
+    if (options?.datapackageExtras) {
+      try {
+        JSON.stringify(options.datapackageExtras)// will throw if invalid
+        this.datapackageExtras = options.datapackageExtras
+      } catch (_err) {
+        log.warn('"datapackageExtras" provided is not JSON-serializable object. Skipping.')
+      }
+    }
+  }
+
+  /**
+   * Convenience method: runs all the processing steps from start to finish.
+   * If aborted, processing stops, partial output is removed and this instance is marked as consumed (see `discard()`).
+   * @param {boolean} [verbose=true] - If `true`, will log step-by-step progress.
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - Allows for cancelling processing, in addition to `WACZOptions.signal`.
+   * @returns {Promise<?WACZOutputSummary>} - Size and hash of the resulting .wacz file. `null` in index-only mode.
+   */
+  process = async (verbose = true, options = {}) => {
+    this.stateCheck()
+
+    const info = verbose ? this.log.info : () => {}
+    const signal = this.getAbortSignal(options?.signal)
+
+    await this.recordsWriteQueue
+
+    if (this.WARCs.length < 1) {
+      throw new Error('No WARC to process: "input" was empty and no record was added.')
+    }
+
+    info(`${this.WARCs.length} WARC(s) to process`)
+
+    try {
+      return await this.abortable(signal, async () => {
+        if (this.indexOnly) {
+          return await this.processIndexOnly(info, signal)
+        }
+
+        return await this.processZip(info, signal)
+      })
+    } finally {
+      await this.destroyWorkerPool()
+    }
+  }
+
+  /**
+   * Runs all the steps needed to create a .wacz file. See `process()`.
+   * @param {function} info - Logging function for step-by-step progress.
+   * @param {?AbortSignal} signal
+   * @returns {Promise<WACZOutputSummary>}
+   */
+  processZip = async (info, signal) => {
+    info(`Initializing output stream at: ${this.output ?? '(provided stream)'}`)
+    await this.runStep('initOutputStreams', this.initOutputStreams, signal)
+
+    if (this.redact.length > 0) {
+      info('Redacting WARCs')
+      await this.runStep('redactWARCs', () => this.redactWARCs({ signal }), signal)
+    }
+
+    info('Initializing indexer')
+    await this.runStep('initWorkerPool', this.initWorkerPool, signal)
+
+    info('Indexing WARCS')
+    await this.runStep('indexWARCs', () => this.indexWARCs(this.WARCs, { signal }), signal)
+
+    info('Harvesting sorted indexes from trees')
+    await this.runStep('harvestArraysFromTrees', this.harvestArraysFromTrees, signal)
+
+    info('Writing CDX to WACZ')
+    await this.runStep('writeIndexesToZip', this.writeIndexesToZip, signal)
+
+    info('Writing pages.jsonl to WACZ')
+    await this.runStep('writePagesToZip', this.writePagesToZip, signal)
+
+    if (this.errorReport) {
+      info('Writing error report to WACZ')
+      await this.runStep('writeErrorReportToZip', this.writeErrorReportToZip, signal)
+    }
+
+    if (this.redact.length > 0) {
+      info('Writing redaction log to WACZ')
+      await this.runStep('writeRedactionLogToZip', this.writeRedactionLogToZip, signal)
+    }
 
     info('Writing WARCs to WACZ')
-    await this.writeWARCsToZip()
+    await this.runStep('writeWARCsToZip', () => this.writeWARCsToZip({ signal }), signal)
 
     info('Writing datapackage.json to WACZ')
-    await this.writeDatapackageToZip()
+    await this.runStep('writeDatapackageToZip', this.writeDatapackageToZip, signal)
 
     info('Writing datapackage-digest.json to WACZ')
-    if (this.signingUrl) {
-      info(`(Will request signature from: ${this.signingUrl})`)
+    if (this.signer) {
+      info('(Will request signature from signer)')
     }
-    await this.writeDatapackageDigestToZip()
+    await this.runStep('writeDatapackageDigestToZip', () => this.writeDatapackageDigestToZip({ signal }), signal)
 
     info('Finalizing WACZ')
-    await this.finalize()
+    const summary = await this.runStep('finalize', () => this.finalize({ signal }), signal)
 
-    info('WACZ was finalized')
+    info(`WACZ was finalized (${summary.bytes} bytes, ${summary.hash})`)
+    return summary
+  }
+
+  /**
+   * Index-only counterpart of `process()`: indexes WARCs and writes index files and pages.jsonl to `this.output`.
+   * @param {function} info - Logging function for step-by-step progress.
+   * @param {?AbortSignal} signal
+   * @returns {Promise<null>}
+   */
+  processIndexOnly = async (info, signal) => {
+    info('Initializing indexer')
+    await this.runStep('initWorkerPool', this.initWorkerPool, signal)
+
+    info('Indexing WARCS')
+    await this.runStep('indexWARCs', () => this.indexWARCs(this.WARCs, { signal }), signal)
+
+    info('Harvesting sorted indexes from trees')
+    await this.runStep('harvestArraysFromTrees', this.harvestArraysFromTrees, signal)
+
+    info(`Writing indexes and pages.jsonl to: ${this.output}`)
+    await this.runStep('writeIndexesToDirectory', this.writeIndexesToDirectory, signal)
+
+    await this.destroyWorkerPool()
+
+    if (this.tmpDirectory) {
+      await fs.rm(this.tmpDirectory, { recursive: true, force: true })
+    }
+
+    this.consumed = true
+    return null
+  }
+
+  /**
+   * Runs a processing step, emitting "step-start" and "step-end" events around it.
+   * @param {string} step - Name of the step, as reported in events. I.E: "indexWARCs".
+   * @param {function} fn - Called without arguments.
+   * @param {?AbortSignal} [signal=null] - If already aborted, the step will not start.
+   * @returns {Promise<any>} - What `fn` returned.
+   */
+  runStep = async (step, fn, signal = null) => {
+    signal?.throwIfAborted()
+
+    const start = Date.now()
+    this.emit('step-start', { step })
+
+    const result = await fn()
+
+    this.emit('step-end', { step, duration: Date.now() - start })
+    return result
   }
 
   /**
@@ -383,6 +1072,82 @@ export class WACZ {
     }
   }
 
+  /**
+   * Combines `this.signal` with a signal provided for a specific call, if any.
+   * @param {?AbortSignal} [signal=null]
+   * @returns {?AbortSignal}
+   */
+  getAbortSignal = (signal = null) => {
+    const signals = [this.signal, signal].filter(signal => signal)
+
+    if (signals.length < 2) {
+      return signals[0] ?? null
+    }
+
+    return AbortSignal.any(signals)
+  }
+
+  /**
+   * Runs `fn`, unless `signal` was already aborted.
+   * If `signal` is aborted before `fn` settles, this instance is discarded (see `discard()`) and the abort reason is thrown.
+   * @param {?AbortSignal} signal
+   * @param {function} fn - Called without arguments.
+   * @returns {Promise<any>} - What `fn` returned.
+   */
+  abortable = async (signal, fn) => {
+    try {
+      signal?.throwIfAborted()
+      return await untilAborted(fn(), signal)
+    } catch (err) {
+      if (signal?.aborted) {
+        await this.discard()
+        throw signal.reason
+      }
+
+      throw err
+    }
+  }
+
+  /**
+   * Stops processing and discards partial output:
+   * - Pending worker tasks are cancelled and the ZIP stream is aborted.
+   * - The output file is removed. Writable streams provided as `output` are destroyed instead.
+   * - Temporary files are removed.
+   * This instance is then marked as consumed. Has no effect if it already was.
+   * @returns {Promise<void>}
+   */
+  discard = async () => {
+    if (this.consumed) {
+      return
+    }
+
+    this.consumed = true
+
+    const { archiveStream, outputStream, log } = this
+
+    try {
+      archiveStream?.abort()
+
+      if (outputStream && !outputStream.destroyed) {
+        outputStream.destroy(this.output ? undefined : new Error('WACZ processing was aborted.'))
+        await finished(outputStream).catch(() => {})
+      }
+
+      if (this.output && !this.indexOnly) {
+        await fs.rm(this.output, { force: true })
+      }
+
+      await this.destroyWorkerPool()
+
+      if (this.tmpDirectory) {
+        await fs.rm(this.tmpDirectory, { recursive: true, force: true })
+      }
+    } catch (err) {
+      log.trace(err)
+      log.warn('Partial output could not be entirely discarded.')
+    }
+  }
+
   /**
    * Creates an Archiver instance which streams out to `this.output`.
    * Will only run if needed (can be called multiple times).
@@ -391,6 +1156,10 @@ export class WACZ {
   initOutputStreams = () => {
     this.stateCheck()
 
+    if (this.indexOnly) {
+      throw new Error('No ZIP can be created in index-only mode.')
+    }
+
     if (!this.outputStream) {
       this.outputStream = createWriteStream(this.output)
     }
@@ -398,70 +1167,402 @@ export class WACZ {
     if (!this.archiveStream && this.outputStream) {
       this.archiveStream = new Archiver('zip', { store: true })
       this.archiveStream.pipe(this.outputStream)
+
+      // Keep track of what is written to output: see `finalize()`
+      this.outputHash = createHash('sha256')
+      this.archiveStream.on('data', chunk => {
+        const before = this.outputBytes
+
+        this.outputHash.update(chunk)
+        this.outputBytes += chunk.length
+
+        if (Math.floor(before / ZIP_PROGRESS_INTERVAL) < Math.floor(this.outputBytes / ZIP_PROGRESS_INTERVAL)) {
+          this.emit('zip-progress', { bytes: this.outputBytes })
+        }
+      })
     }
   }
 
   /**
-   * Initializes the worker pool for the "indexWARC" function.
+   * Initializes the worker pool for the "indexWARC" function, using the worker pool options provided (if any).
+   * Does nothing if `this.workers` is `false`: WARCs will then be indexed in the main thread.
+   * Will only run if needed (can be called multiple times).
    * @returns {void}
    */
   initWorkerPool = () => {
     this.stateCheck()
 
-    this.indexWARCPool = new Piscina({
-      filename: new URL('./workers/indexWARC.js', import.meta.url).href
+    if (!this.workers || this.indexWARCPool) {
+      return
+    }
+
+    const options = { filename: new URL('./workers/indexWARC.js', import.meta.url).href }
+
+    for (const option of ['maxThreads', 'minThreads', 'idleTimeout', 'resourceLimits']) {
+      if (this[option] !== null) {
+        options[option] = this[option]
+      }
+    }
+
+    this.indexWARCPool = new Piscina(options)
+  }
+
+  /**
+   * Destroys the worker pool, if any. Called at the end of `process()`, `finalize()` and `discard()`.
+   * @returns {Promise<void>}
+   */
+  destroyWorkerPool = async () => {
+    const pool = this.indexWARCPool
+    this.indexWARCPool = null
+
+    await pool?.destroy()
+  }
+
+  /**
+   * Writes copies of the WARCs listed in `this.WARCs` without the records matching `this.redact` (see `redactWARC()`),
+   * and replaces the originals with these copies in `this.WARCs`. WARCs in which no record matched are left as is.
+   * Removed records are listed in `this.redactions`, and pages which url was redacted are removed from `this.pagesTree`.
+   * Must run before `indexWARCs()`, so that indexes point to the redacted copies.
+   * Emits "record-redacted" for each record removed.
+   *
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - Interrupts redaction if aborted. See `abortable()`.
+   * @returns {Promise<string[]>} - Names of the WARCs which were redacted.
+   */
+  redactWARCs = async (options = {}) => {
+    this.stateCheck()
+
+    const { log, getWARCName } = this
+    const signal = this.getAbortSignal(options?.signal)
+    const redacted = []
+
+    if (this.redact.length === 0) {
+      return redacted
+    }
+
+    await this.abortable(signal, async () => {
+      await this.recordsWriteQueue
+      await this.spoolWARCStreams(signal)
+
+      for (const [index, warc] of this.WARCs.entries()) {
+        // Records matching `this.redact` are never written to that one: see `addRecord()`.
+        if (warc === this.recordsWARC) {
+          continue
+        }
+
+        const name = getWARCName(warc)
+        const destination = join(this.getTmpDirectory(), `redacted-${index}-${basename(name)}`)
+        let removed = []
+
+        try {
+          removed = await redactWARC({ source: warc?.buffer ?? warc?.path ?? warc, destination, rules: this.redact, signal })
+        } catch (err) {
+          log.trace(err)
+          signal?.throwIfAborted()
+          throw new Error(`An error occurred while redacting "${name}".`)
+        }
+
+        if (removed.length === 0) {
+          continue
+        }
+
+        this.WARCs[index] = { name, path: destination }
+        redacted.push(name)
+
+        for (const redaction of removed) {
+          this.reportRedaction({ warc: name, ...redaction })
+        }
+      }
     })
+
+    for (const { url } of this.redactions) {
+      this.deletePage(url)
+    }
+
+    log.info(`${this.redactions.length} record(s) redacted from ${redacted.length} WARC(s).`)
+    return redacted
+  }
+
+  /**
+   * Adds a record removed by redaction to `this.redactions`, and emits "record-redacted".
+   * @param {WACZRedaction} redaction
+   * @returns {void}
+   */
+  reportRedaction = (redaction) => {
+    this.redactions.push(redaction)
+    this.emit('record-redacted', redaction)
   }
 
   /**
    * Calls the 'indexWARC` worker on each entry of `this.WARCs` for parallel processing.
-   * Populates `this.cdxTree` and `this.pagesTree`.
+   * Populates `this.cdxTree` and `this.pagesTree` as batches of results come in (see `indexSingleWARC()`).
+   * In-memory WARCs are passed to the worker as buffers, after streams were spooled to disk (see `spoolWARCStreams()`).
+   * The WARC holding records provided via `addRecord()` is skipped, as these were indexed on the fly.
+   * If `this.tolerateErrors` is set, corrupt records and unreadable WARCs are reported in `this.indexingErrors` instead of failing.
+   * If `this.verifyDigests` is set, record digests are checked and mismatches reported in `this.digestMismatches`:
+   * with the "fail" policy, an error is thrown once all WARCs were indexed if there was any.
    *
+   * @param {string[]} [warcs=this.WARCs] - Subset of `this.WARCs` to index, if not all of them need to be.
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - Cancels worker tasks if aborted. See `abortable()`.
    * @returns {Promise<void>} - From Promise.all.
    */
-  indexWARCs = async () => {
+  indexWARCs = async (warcs = this.WARCs, options = {}) => {
     this.stateCheck()
 
-    return await Promise.all(this.WARCs.map(async filename => {
-      const results = await this.indexWARCPool.run({ filename, detectPages: this.detectPages })
+    const signal = this.getAbortSignal(options?.signal)
+
+    await this.abortable(signal, async () => {
+      await this.recordsWriteQueue
+      await this.spoolWARCStreams(signal)
+
+      await Promise.all(warcs.filter(warc => warc !== this.recordsWARC).map(warc => this.indexSingleWARC(warc, signal)))
+    })
+
+    // WARCs are indexed concurrently: reports are put back in a stable order
+    if (this.reproducible) {
+      this.indexingErrors.sort(compareReports)
+      this.digestMismatches.sort(compareReports)
+    }
+
+    if (this.indexingErrors.length > 0) {
+      this.log.warn(`${this.indexingErrors.length} indexing error(s) were tolerated. See "indexingErrors".`)
+    }
+
+    if (!this.verifyDigests) {
+      return
+    }
+
+    const mismatches = this.digestMismatches.length
+    const summary = `${this.digestsVerified} record digest(s) verified, ${mismatches} mismatch(es).`
 
-      for (const value of results.cdx) {
-        this.cdxTree.setIfNotPresent(value, true)
+    if (mismatches === 0) {
+      this.log.info(summary)
+    } else if (this.verifyDigests === 'fail') {
+      throw new Error(`${summary} See "digestMismatches".`)
+    } else {
+      this.log.warn(`${summary} See "digestMismatches".`)
+    }
+  }
+
+  /**
+   * Runs the `indexWARC` worker on a single entry of `this.WARCs`, in the worker pool or in the main thread if `this.workers` is `false`.
+   * Results are sent back over a dedicated MessagePort, in batches which are added to `this.cdxTree` and `this.pagesTree`
+   * as they come in. The worker waits for each batch to be processed before sending the next one.
+   * Emits "warc-progress" for each batch, and "page-detected" for each new page.
+   *
+   * @param {string|WACZInMemoryWARC} warc
+   * @param {?AbortSignal} [signal=null] - Cancels the worker task if aborted.
+   * @returns {Promise<void>}
+   */
+  indexSingleWARC = async (warc, signal = null) => {
+    const { port1, port2 } = new MessageChannel()
+    const warcName = this.getWARCName(warc)
+    const pagesTree = this.getPagesTree(this.detectedPagesList)
+
+    let batches = Promise.resolve()
+    let error = null
+    let recordsRead = 0
+    let digestsVerified = 0
+
+    port1.on('message', batch => {
+      batches = batches.then(async () => {
+        if (error) {
+          return
+        }
+
+        try {
+          await this.addCDXEntries(batch.cdx)
+          recordsRead = batch.progress.recordsRead
+
+          for (const { offset, message } of batch.errors) {
+            this.reportIndexingError({ warc: warcName, offset, message, excluded: false })
+          }
+
+          for (const mismatch of batch.digestMismatches) {
+            this.digestMismatches.push({ warc: warcName, ...mismatch })
+            this.log.warn(`${warcName} (offset: ${mismatch.offset}): ${mismatch.header} does not match (${mismatch.expected}, found ${mismatch.actual}).`)
+            this.emit('digest-mismatch', { warc: warcName, ...mismatch })
+          }
+
+          this.digestsVerified += (batch.progress.digestsVerified ?? 0) - digestsVerified
+          digestsVerified = batch.progress.digestsVerified ?? 0
+
+          for (const value of batch.pages) {
+            if (pagesTree.setIfNotPresent(value.url, value)) {
+              this.emit('page-detected', { warc: warcName, page: value })
+            } else if (this.reproducible && comparePages(value, pagesTree.get(value.url)) < 0) {
+              // The same page is kept regardless of which WARC was indexed first
+              pagesTree.set(value.url, value)
+            }
+          }
+
+          this.emit('warc-progress', { warc: warcName, ...batch.progress })
+
+          port1.postMessage(true) // Acknowledge batch: worker may resume
+        } catch (err) {
+          error = err
+          port1.close() // Stops the worker
+        }
+      })
+    })
+
+    const task = {
+      filename: warc?.buffer ? null : (warc?.path ?? warc),
+      buffer: warc?.buffer,
+      name: warcName,
+      detectPages: this.detectPages,
+      tolerateErrors: Boolean(this.tolerateErrors),
+      verifyDigests: Boolean(this.verifyDigests),
+      filters: this.getFilters(),
+      reproducible: this.reproducible,
+      port: port2
+    }
+
+    try {
+      if (this.workers) {
+        await this.indexWARCPool.run(task, { transferList: [port2], signal })
+      } else {
+        await untilAborted(indexWARC(task), signal) // Stops at the next batch once `port1` is closed
+      }
+    } catch (err) {
+      if (error || signal?.aborted) {
+        throw error ?? err
       }
 
-      for (const value of results.pages) {
-        this.pagesTree.setIfNotPresent(value.url, value)
+      if (!this.tolerateErrors) {
+        this.log.trace(err)
+        throw new Error(`An error occurred while indexing "${warcName}": ${err?.message}`)
+      }
+
+      // Unreadable WARC: left out of the archive if no record could be read and that is the policy
+      const excluded = recordsRead === 0 && this.tolerateErrors === 'exclude'
+
+      if (excluded) {
+        this.WARCs = this.WARCs.filter(entry => entry !== warc)
+      }
+
+      this.reportIndexingError({ warc: warcName, offset: null, message: err?.message ?? String(err), excluded })
+    } finally {
+      await batches
+      port1.close()
+    }
+
+    if (error) {
+      throw error
+    }
+  }
+
+  /**
+   * Adds an error tolerated while indexing to `this.indexingErrors`, logs it, and emits "indexing-error".
+   * @param {WACZIndexingError} indexingError
+   * @returns {void}
+   */
+  reportIndexingError = (indexingError) => {
+    const { warc, offset, message, excluded } = indexingError
+
+    this.indexingErrors.push(indexingError)
+    this.log.warn(`${warc}${offset !== null ? ` (offset: ${offset})` : ''}: ${message}${excluded ? ' WARC left out of the archive.' : ''}`)
+    this.emit('indexing-error', indexingError)
+  }
+
+  /**
+   * Adds CDXJ entries to `this.cdxTree`.
+   * If `this.indexMemoryLimit` is set and exceeded, the content of the tree is spilled to disk as a sorted run.
+   * @param {string[]} entries
+   * @returns {Promise<void>}
+   */
+  addCDXEntries = async (entries) => {
+    for (const entry of entries) {
+      if (this.cdxTree.setIfNotPresent(entry, true)) {
+        this.cdxTreeBytes += entry.length
       }
-    }))
+    }
+
+    if (this.indexMemoryLimit && this.cdxTreeBytes > this.indexMemoryLimit) {
+      await this.spillCDXTree()
+    }
+  }
+
+  /**
+   * Writes the content of `this.cdxTree` to a temporary file as a sorted run, and clears the tree.
+   * Runs are merged back together when iterating over CDX entries (see `iterateCDX()`).
+   * @returns {Promise<void>}
+   */
+  spillCDXTree = async () => {
+    const { log } = this
+    const entries = this.cdxTree.keysArray()
+
+    this.cdxTree.clear()
+    this.cdxTreeBytes = 0
+
+    if (entries.length < 1) {
+      return
+    }
+
+    const path = join(this.getTmpDirectory(), `cdx-run-${this.cdxRuns.length}.cdx`)
+    this.cdxRuns.push(path)
+
+    try {
+      await fs.writeFile(path, entries.join(''))
+    } catch (err) {
+      log.trace(err)
+      throw new Error('An error occurred while writing sorted CDX entries to disk.')
+    }
+  }
+
+  /**
+   * Iterates over all CDX entries, in order.
+   * Entries spilled to disk, if any, are merged with those still in `this.cdxTree`. `this.cdxArray` is used otherwise.
+   * Should be called after `harvestArraysFromTrees()`.
+   * @returns {AsyncIterable<string>|Iterable<string>}
+   */
+  iterateCDX = () => {
+    if (this.cdxRuns.length < 1) {
+      return this.cdxArray
+    }
+
+    return mergeSorted([...this.cdxRuns.map(path => readLines(path)), this.cdxTree.keys()])
   }
 
   /**
    * Extract sorted CDX and pages list and clears up associated trees.
+   * If CDX entries were spilled to disk (see `indexMemoryLimit`), these are left in place to be merged by `iterateCDX()`.
    * @returns {void}
    */
   harvestArraysFromTrees = () => {
     this.stateCheck()
 
-    this.cdxArray = this.cdxTree.keysArray()
-    this.cdxTree.clear()
+    if (this.cdxRuns.length < 1) {
+      this.cdxArray = this.cdxTree.keysArray()
+      this.cdxTree.clear()
+      this.cdxTreeBytes = 0
+    }
 
     this.pagesArray = this.pagesTree.valuesArray()
     this.pagesTree.clear()
+
+    for (const [id, tree] of this.extraPagesTrees) {
+      this.extraPagesArrays.set(id, tree.valuesArray())
+      tree.clear()
+    }
   }
 
   /**
-   * Creates index files out of `this.cdxArray` and writes them to ZIP.
+   * Creates index files out of `this.cdxArray`.
    * Uses Zip Num Shared Index if there are more than ZIP_NUM_SHARED_INDEX_LIMIT entries in CDX:
    * - This will result in two files (index.cdx.gz, index.idx), instead of a simple index.cdx.
-   * @returns {Promise<void>}
+   * If CDX entries were spilled to disk, see `createIndexesFromRuns()`.
+   * @returns {Promise<Object<string, Buffer|string>>} - Contents of the index files (or path to a temporary file holding them), by filename.
    */
-  writeIndexesToZip = async () => {
+  createIndexes = async () => {
     this.stateCheck()
 
-    const { cdxArray, idxArray, addFileToZip, log } = this
+    const { cdxArray, log } = this
 
-    let cdx = Buffer.alloc(0)
-    let idxOffset = 0 // Used to for IDX metadata (IDX / CDX cross reference)
+    if (this.cdxRuns.length > 0) {
+      return await this.createIndexesFromRuns()
+    }
 
     //
     // Simple `index.cdx` if there is less than ZIP_NUM_SHARED_INDEX_LIMIT entries in CDX.
@@ -470,12 +1571,7 @@ export class WACZ {
     // index.cdx
     if (cdxArray.length < ZIP_NUM_SHARED_INDEX_LIMIT) {
       try {
-        for (const entry of cdxArray) {
-          cdx = Buffer.concat([cdx, Buffer.from(entry)])
-        }
-
-        await addFileToZip(cdx, 'indexes/index.cdx')
-        return
+        return { 'index.cdx': Buffer.from(cdxArray.join('')) }
       } catch (err) {
         log.trace(err)
         throw new Error('An error occurred while generating "indexes/index.cdx".')
@@ -485,48 +1581,110 @@ export class WACZ {
     //
     // Use ZipNum Shared index for large CDXes (`index.cdx.gz` + `index.idx`)
     //
+    const chunks = []
+    const idx = await this.createZipNumIndex(cdxArray, chunk => chunks.push(chunk))
 
-    // index.cdx.gz
+    return { 'index.cdx.gz': Buffer.concat(chunks), 'index.idx': idx }
+  }
+
+  /**
+   * Counterpart of `createIndexes()` for CDX entries which were spilled to disk (see `indexMemoryLimit`).
+   * Sorted runs are merged into a temporary `index.cdx` file which, if it holds ZIP_NUM_SHARED_INDEX_LIMIT entries or more,
+   * is streamed into a temporary `index.cdx.gz` file instead.
+   * @returns {Promise<Object<string, Buffer|string>>} - Path to `index.cdx` or `index.cdx.gz`, and contents of `index.idx`, by filename.
+   */
+  createIndexesFromRuns = async () => {
+    const { log } = this
+    const cdxPath = join(this.getTmpDirectory(), 'index.cdx')
+    let count = 0
+
+    // index.cdx
     try {
-      // Process CDX entries by group of ZIP_NUM_SHARED_INDEX_LIMIT for ZipNum Shared Indexing.
-      for (let i = 0; i < cdxArray.length; i += ZIP_NUM_SHARED_INDEX_LIMIT) {
-        let upperBound = null
-        let cdxSlice = null
-        let cdxSliceGzipped = null
-        let idxForSlice = null
-        let idxMeta = {}
-
-        // Cut a slice in cdxArray of ZIP_NUM_SHARED_INDEX_LIMIT length
-        upperBound = i + ZIP_NUM_SHARED_INDEX_LIMIT
-
-        if (upperBound > cdxArray.length) {
-          upperBound = cdxArray.length - 1
+      const lines = this.iterateCDX()
+
+      await pipeline(Readable.from((async function * () {
+        for await (const line of lines) {
+          count += 1
+          yield line
         }
+      })()), createWriteStream(cdxPath))
+    } catch (err) {
+      log.trace(err)
+      throw new Error('An error occurred while generating "indexes/index.cdx".')
+    }
+
+    if (count < ZIP_NUM_SHARED_INDEX_LIMIT) {
+      return { 'index.cdx': cdxPath }
+    }
+
+    // index.cdx.gz + index.idx
+    const cdxGzPath = `${cdxPath}.gz`
+    const output = createWriteStream(cdxGzPath)
 
-        cdxSlice = cdxArray.slice(i, upperBound + 1).join('')
+    const idx = await this.createZipNumIndex(readLines(cdxPath), async chunk => {
+      if (!output.write(chunk)) {
+        await once(output, 'drain')
+      }
+    })
 
-        // Deflate said slice
-        cdxSliceGzipped = this.gzip(cdxSlice)
+    output.end()
+    await finished(output)
+    await fs.rm(cdxPath)
+
+    return { 'index.cdx.gz': cdxGzPath, 'index.idx': idx }
+  }
+
+  /**
+   * Creates a ZipNum Shared Index out of sorted CDX entries, one block of ZIP_NUM_SHARED_INDEX_LIMIT entries at a time.
+   * Populates `this.idxArray`.
+   * @param {Iterable<string>|AsyncIterable<string>} entries - Sorted CDX entries.
+   * @param {function(Uint8Array): (void|Promise<void>)} write - Called with each gzipped block, in order: together, these form `index.cdx.gz`.
+   * @returns {Promise<Buffer>} - Contents of `index.idx`.
+   */
+  createZipNumIndex = async (entries, write) => {
+    const { log } = this
+    const idxArray = this.idxArray = []
+
+    let idxOffset = 0 // Used to for IDX metadata (IDX / CDX cross reference)
+    let count = 0
+    let block = []
 
-        // Prepare and append the first line of this slice to `this.idxArray`
-        idxForSlice = cdxArray[i]
-        idxMeta = {
-          offset: idxOffset,
-          length: cdxSliceGzipped.byteLength,
-          digest: await this.sha256(cdxSliceGzipped),
-          filename: 'index.cdx.gz'
-        } // The JSON part of this CDX line needs to be edited to reference the CDX file
+    // Deflates a block and appends its first line to `this.idxArray`
+    const writeBlock = async (block) => {
+      const cdxSliceGzipped = this.gzip(block.join(''))
 
-        idxOffset += cdxSliceGzipped.byteLength
+      const idxMeta = {
+        offset: idxOffset,
+        length: cdxSliceGzipped.byteLength,
+        digest: await this.sha256(cdxSliceGzipped),
+        filename: 'index.cdx.gz'
+      } // The JSON part of this CDX line needs to be edited to reference the CDX file
 
-        // CDXJ elements are separated " ". We only need to replace the last and third (JSON)
-        idxArray.push(`${idxForSlice.split(' ').slice(0, 1).join(' ')} ${JSON.stringify(idxMeta)}\n`)
+      idxOffset += cdxSliceGzipped.byteLength
 
-        // Append gzipped CDX slice to the rest
-        cdx = Buffer.concat([cdx, cdxSliceGzipped])
+      // CDXJ elements are separated " ". We only need to replace the last and third (JSON)
+      idxArray.push(`${block[0].split(' ').slice(0, 1).join(' ')} ${JSON.stringify(idxMeta)}\n`)
+
+      await write(cdxSliceGzipped)
+    }
+
+    // index.cdx.gz
+    try {
+      for await (const entry of entries) {
+        // Each block also holds the first entry of the next one
+        if (count > 0 && count % ZIP_NUM_SHARED_INDEX_LIMIT === 0) {
+          block.push(entry)
+          await writeBlock(block)
+          block = []
+        }
+
+        block.push(entry)
+        count += 1
       }
 
-      await addFileToZip(cdx, 'indexes/index.cdx.gz')
+      if (block.length > 0) {
+        await writeBlock(block)
+      }
     } catch (err) {
       log.trace(err)
       throw new Error('An error occurred while generating "indexes/index.cdx.gz".')
@@ -540,7 +1698,7 @@ export class WACZ {
         idx += `${entry}`
       }
 
-      await addFileToZip(Buffer.from(idx), 'indexes/index.idx')
+      return Buffer.from(idx)
     } catch (err) {
       log.trace(err)
       throw new Error('An error occurred while generating "indexes/index.idx".')
@@ -548,43 +1706,266 @@ export class WACZ {
   }
 
   /**
-   * Creates `pages.jsonl` out of `this.pagesArray` and writes it to ZIP.
-   * @returns {Promise<void>}
+   * Creates index files out of `this.cdxArray` and writes them to ZIP.
+   * See `createIndexes()`.
+   * @returns {Promise<void>}
+   */
+  writeIndexesToZip = async () => {
+    this.stateCheck()
+
+    const { addFileToZip, log } = this
+
+    for (const [filename, data] of Object.entries(await this.createIndexes())) {
+      try {
+        await addFileToZip(data, `indexes/${filename}`)
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`An error occurred while writing "indexes/${filename}" to ZIP.`)
+      }
+    }
+  }
+
+  /**
+   * Creates a pages list out of `this.pagesArray`, or `this.extraPagesArrays` for lists other than the default one.
+   * Its header line holds the id, title and description of the list.
+   * @param {string} [id=DEFAULT_PAGE_LIST.id] - Id of one of `this.pageLists`.
+   * @returns {Buffer}
+   */
+  createPagesJSONL = (id = DEFAULT_PAGE_LIST.id) => {
+    this.stateCheck()
+
+    const { log } = this
+    const list = this.getPageList(id)
+
+    try {
+      const header = { format: 'json-pages-1.0', id: list.id, title: list.title ?? list.id }
+      const pages = list.id === DEFAULT_PAGE_LIST.id ? this.pagesArray : (this.extraPagesArrays.get(list.id) ?? [])
+
+      if (list.description) {
+        header.description = list.description
+      }
+
+      // Same spacing as the header js-wacz has always written: `{"format": "json-pages-1.0", "id": "pages", "title": "All Pages"}`
+      let pagesJSONL = `{${Object.entries(header).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}\n`
+
+      for (const page of pages) {
+        pagesJSONL += `${JSON.stringify(page)}\n`
+      }
+
+      return Buffer.from(pagesJSONL)
+    } catch (err) {
+      log.trace(err)
+      throw new Error(`An error occurred while generating "${list.path}".`)
+    }
+  }
+
+  /**
+   * Creates every list of `this.pageLists` and writes them to ZIP.
+   * @returns {Promise<void>}
+   */
+  writePagesToZip = async () => {
+    this.stateCheck()
+
+    const { log, addFileToZip } = this
+
+    for (const { id, path } of this.pageLists) {
+      const pagesJSONL = this.createPagesJSONL(id)
+
+      try {
+        await addFileToZip(pagesJSONL, path)
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`An error occurred while writing "${path}" to ZIP.`)
+      }
+    }
+  }
+
+  /**
+   * Writes `this.indexingErrors` to ZIP as `logs/errors.jsonl`: one JSON object per line (see `WACZIndexingError`).
+   * Written even if empty, so the absence of errors can be told apart from the absence of a report.
+   * @returns {Promise<void>}
+   */
+  writeErrorReportToZip = async () => {
+    this.stateCheck()
+
+    const { log, addFileToZip, indexingErrors } = this
+
+    try {
+      const report = indexingErrors.map(indexingError => `${JSON.stringify(indexingError)}\n`).join('')
+      await addFileToZip(Buffer.from(report), 'logs/errors.jsonl')
+    } catch (err) {
+      log.trace(err)
+      throw new Error('An error occurred while writing "logs/errors.jsonl" to ZIP.')
+    }
+  }
+
+  /**
+   * Writes `this.redactions` to ZIP as `logs/redactions.jsonl`: one JSON object per line (see `WACZRedaction`).
+   * Like the error report, it is written even if no record had to be removed.
+   * @returns {Promise<void>}
+   */
+  writeRedactionLogToZip = async () => {
+    this.stateCheck()
+
+    const { log, addFileToZip, redactions } = this
+
+    try {
+      const redactionLog = redactions.map(redaction => `${JSON.stringify(redaction)}\n`).join('')
+      await addFileToZip(Buffer.from(redactionLog), 'logs/redactions.jsonl')
+    } catch (err) {
+      log.trace(err)
+      throw new Error('An error occurred while writing "logs/redactions.jsonl" to ZIP.')
+    }
+  }
+
+  /**
+   * Index-only mode: writes index files and pages lists (`pages.jsonl`, ...) to a directory, instead of a ZIP.
+   * See `createIndexes()` and `createPagesJSONL()`.
+   * @param {string} [directory=this.output] - Will be created if needed.
+   * @returns {Promise<string[]>} - Paths of the files that were written.
+   */
+  writeIndexesToDirectory = async (directory = this.output) => {
+    this.stateCheck()
+
+    const { log } = this
+    const files = await this.createIndexes()
+
+    for (const { id, path } of this.pageLists) {
+      files[basename(path)] = this.createPagesJSONL(id)
+    }
+
+    const written = []
+
+    if (!directory) {
+      throw new Error('No output directory provided.')
+    }
+
+    for (const [filename, data] of Object.entries(files)) {
+      const path = join(directory, filename)
+
+      try {
+        await fs.mkdir(directory, { recursive: true })
+
+        if (data.constructor.name === 'String') {
+          await fs.copyFile(data, path)
+        } else {
+          await fs.writeFile(path, data)
+        }
+        written.push(path)
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`An error occurred while writing "${path}".`)
+      }
+    }
+
+    return written
+  }
+
+  /**
+   * Streams all the files listes in `this.WARCs` to the output ZIP.
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - See `abortable()`.
+   * @returns {Promise<void>}
+   */
+  writeWARCsToZip = async (options = {}) => {
+    this.stateCheck()
+
+    const { WARCs, addFileToZip, getWARCName, log } = this
+    const signal = this.getAbortSignal(options?.signal)
+
+    await this.abortable(signal, async () => {
+      await this.recordsWriteQueue
+      await this.spoolWARCStreams(signal)
+
+      for (const warc of WARCs) {
+        signal?.throwIfAborted()
+
+        try {
+          await addFileToZip(warc?.buffer ?? warc?.path ?? warc, `archive/${getWARCName(warc)}`)
+        } catch (err) {
+          log.trace(err)
+          throw new Error(`An error occurred while writing "${getWARCName(warc)}" to ZIP.`)
+        }
+      }
+    })
+  }
+
+  /**
+   * Returns the include and exclude rules captures are filtered with, if any.
+   * @returns {?WACZFilters}
+   */
+  getFilters = () => {
+    if (this.include.length === 0 && this.exclude.length === 0) {
+      return null
+    }
+
+    return { include: this.include, exclude: this.exclude }
+  }
+
+  /**
+   * Returns the name under which a given entry of `this.WARCs` is referenced in the archive (`archive/<name>`, CDX `filename`).
+   * @param {string|WACZInMemoryWARC} warc
+   * @returns {string}
    */
-  writePagesToZip = async () => {
-    this.stateCheck()
+  getWARCName = (warc) => {
+    return this.WARCNames.get(warc) ?? warc?.name ?? basename(warc)
+  }
 
-    const { pagesArray, log, addFileToZip } = this
+  /**
+   * Assigns a unique name to each entry of `this.WARCs`, in order, and stores it in `this.WARCNames`.
+   * Entries which name is already taken are suffixed (i.e: "example-1.warc.gz"), so that
+   * `archive/` entries and the CDX `filename` fields pointing to them never collide.
+   * @param {Map<string|WACZInMemoryWARC, string>} names - Preferred name of each entry.
+   * @returns {void}
+   */
+  assignWARCNames = (names) => {
+    const taken = new Set()
 
-    try {
-      let pagesJSONL = '{"format": "json-pages-1.0", "id": "pages", "title": "All Pages"}\n'
+    for (const warc of this.WARCs) {
+      const name = names.get(warc) ?? this.getWARCName(warc)
+      const reserved = reservePath(name, taken)
 
-      for (const page of pagesArray) {
-        pagesJSONL += `${JSON.stringify(page)}\n`
+      if (reserved !== name) {
+        this.log.warn(`${warc?.name ?? warc} will be stored as "archive/${reserved}" to avoid a name collision.`)
       }
 
-      await addFileToZip(Buffer.from(pagesJSONL), 'pages/pages.jsonl')
-    } catch (err) {
-      log.trace(err)
-      throw new Error('An error occurred while generating "pages/pages.jsonl".')
+      this.WARCNames.set(warc, reserved)
     }
   }
 
   /**
-   * Streams all the files listes in `this.WARCs` to the output ZIP.
-   * @returns {Promise<void>}
+   * Returns the path to `this.tmpDirectory`, which is created if needed.
+   * @returns {string}
    */
-  writeWARCsToZip = async () => {
-    this.stateCheck()
+  getTmpDirectory = () => {
+    if (!this.tmpDirectory) {
+      this.tmpDirectory = mkdtempSync(join(tmpdir(), 'js-wacz-')) // [!] Sync: may be called concurrently
+    }
+
+    return this.tmpDirectory
+  }
 
-    const { WARCs, addFileToZip, log } = this
+  /**
+   * Writes in-memory WARCs provided as streams to a temporary directory, so they can be read more than once
+   * (indexing, then writing to ZIP).
+   * Will only run if needed (can be called multiple times).
+   * @param {?AbortSignal} [signal=null] - Interrupts spooling if aborted.
+   * @returns {Promise<void>}
+   */
+  spoolWARCStreams = async (signal = null) => {
+    const { log } = this
 
-    for (const warc of WARCs) {
+    for (const warc of this.WARCs.filter(warc => warc?.stream)) {
       try {
-        await addFileToZip(warc, `archive/${basename(warc)}`)
+        const path = join(this.getTmpDirectory(), `${this.WARCs.indexOf(warc)}-${warc.name}`)
+        await pipeline(warc.stream, createWriteStream(path), { signal: signal ?? undefined })
+
+        warc.path = path
+        delete warc.stream
       } catch (err) {
         log.trace(err)
-        throw new Error(`An error occurred while writing "${warc}" to ZIP.`)
+        signal?.throwIfAborted()
+        throw new Error(`An error occurred while reading "${warc.name}".`)
       }
     }
   }
@@ -598,7 +1979,7 @@ export class WACZ {
 
     const { addFileToZip, resources, log } = this
 
-    this.datapackageDate = new Date().toISOString()
+    this.datapackageDate = this.sourceDate ?? new Date().toISOString()
 
     try {
       const datapackage = {
@@ -624,6 +2005,18 @@ export class WACZ {
         datapackage.extras = this.datapackageExtras
       }
 
+      if (this.getFilters()) {
+        datapackage.filters = serializeFilters(this.getFilters())
+      }
+
+      if (this.redact.length > 0) {
+        datapackage.redaction = {
+          log: 'logs/redactions.jsonl',
+          records: this.redactions.length,
+          rules: this.redact.map(serializeFilterRule)
+        }
+      }
+
       const output = Buffer.from(JSON.stringify(datapackage, null, 2))
       await addFileToZip(output, 'datapackage.json')
     } catch (err) {
@@ -634,12 +2027,15 @@ export class WACZ {
 
   /**
    * Creates `datapackage-digest.json` and writes it to ZIP.
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - Cancels the signature request if aborted. See `abortable()`.
    * @returns {Promise<void>}
    */
-  writeDatapackageDigestToZip = async () => {
+  writeDatapackageDigestToZip = async (options = {}) => {
     this.stateCheck()
 
-    const { archiveStream, resources, log, signingUrl } = this
+    const { archiveStream, resources, log, signer } = this
+    const signal = this.getAbortSignal(options?.signal)
 
     try {
       const datapackageHash = (resources.find(entry => entry.name === 'datapackage.json')).hash
@@ -649,35 +2045,40 @@ export class WACZ {
         hash: datapackageHash
       }
 
-      // Request signing from server if needed
-      if (signingUrl) {
+      // Request signature if needed
+      if (signer) {
         try {
-          const signature = await this.requestSignature()
+          const signature = await this.abortable(signal, () => this.requestSignature({ signal }))
           digest.signedData = signature
         } catch (err) {
           log.trace(err)
+          signal?.throwIfAborted()
           throw new Error('An error occured while signing "datapackage.json".')
         }
       }
 
       const datapackageDigest = JSON.stringify(digest, null, 2)
 
-      archiveStream.append(datapackageDigest, { name: 'datapackage-digest.json' })
+      archiveStream.append(datapackageDigest, this.getZipEntryData('datapackage-digest.json'))
     } catch (err) {
       log.trace(err)
+      signal?.throwIfAborted()
       throw new Error('An error occurred while generating "datapackage-digest.json".')
     }
   }
 
   /**
-   * Request signature for the current datapackage and checks its format.
-   * Expects the remote server to be authsign-compatible (https://github.com/webrecorder/authsign).
+   * Request signature for the current datapackage from `this.signer` and checks its format.
+   * See `utils/signers.js` for built-in signers (authsign-compatible server, local private key).
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - Passed to the signer. The request is abandoned if aborted.
    * @returns {Promise<object>} - Signature to data to be appended to the datapackage digest.
    */
-  requestSignature = async () => {
+  requestSignature = async (options = {}) => {
     this.stateCheck()
 
-    const { resources, log, datapackageDate, signingUrl, signingToken } = this
+    const { resources, log, datapackageDate, signer } = this
+    const signal = this.getAbortSignal(options?.signal)
     const datapackageHash = (resources.find(entry => entry.name === 'datapackage.json')).hash
 
     // Throw early if datapackage is not ready.
@@ -685,93 +2086,89 @@ export class WACZ {
       throw new Error('No datapackage to sign.')
     }
 
-    /** @type {?Response} */
-    let response = null
+    if (!signer) {
+      throw new Error('No signer available.')
+    }
 
     /** @type {object} */
     let signedData = null
 
     // Request signature
     try {
-      const body = JSON.stringify({
-        hash: datapackageHash,
-        created: datapackageDate
-      })
-
-      const headers = { 'Content-Type': 'application/json' }
-
-      if (signingToken) {
-        headers.Authorization = signingToken
-      }
-
-      response = await fetch(signingUrl, { method: 'POST', headers, body })
-
-      if (response?.status !== 200) {
-        throw new Error(`Server responded with HTTP ${response.status}.`)
-      }
+      this.emit('signing-requested', { hash: datapackageHash, created: datapackageDate })
+      signedData = await untilAborted(signer({ hash: datapackageHash, created: datapackageDate, signal }), signal)
+      this.emit('signing-received', { hash: datapackageHash, domain: signedData?.domain ?? null })
     } catch (err) {
       log.trace(err)
+      signal?.throwIfAborted()
       throw new Error('WACZ Signature request failed.')
     }
 
     // Check signature data
     try {
-      signedData = await response.json()
       assertValidWACZSignatureFormat(signedData)
+
+      if (signedData.hash !== datapackageHash) {
+        throw new Error('Signature does not cover the current datapackage.')
+      }
     } catch (err) {
       log.trace(err)
-      throw new Error('Server returned an invalid WACZ signature.')
+      throw new Error('Signer returned an invalid WACZ signature.')
     }
 
     return signedData
   }
 
   /**
-   * Finalizes ZIP file
-   * @returns {Promise<void>}
+   * Finalizes ZIP file and waits for the output stream to be done writing.
+   * @param {Object} [options={}]
+   * @param {?AbortSignal} [options.signal] - See `abortable()`.
+   * @returns {Promise<WACZOutputSummary>} - Size and hash of the resulting .wacz file.
    */
-  finalize = async () => {
+  finalize = async (options = {}) => {
     this.stateCheck()
 
-    // "Pinky Promise pattern"
-    let closeStreamResolve = null
+    const { archiveStream, outputStream } = this
+    const signal = this.getAbortSignal(options?.signal)
 
-    const closeStreamPromise = new Promise(resolve => {
-      closeStreamResolve = resolve
-    })
+    await this.abortable(signal, async () => {
+      const outputFinished = finished(outputStream)
 
-    this.outputStream.on('close', () => {
-      closeStreamResolve()
+      await archiveStream.finalize()
+      await outputFinished // Wait for output stream to be done writing (file stream: to be closed)
     })
 
-    this.archiveStream.finalize()
-    await closeStreamPromise // Wait for file stream to close
+    await this.destroyWorkerPool()
+
+    if (this.tmpDirectory) {
+      await fs.rm(this.tmpDirectory, { recursive: true, force: true })
+    }
 
     this.consumed = true
+
+    /** @type {WACZOutputSummary} */
+    const summary = {
+      bytes: this.outputBytes,
+      hash: `sha256:${this.outputHash.digest('hex')}`
+    }
+
+    this.emit('finalized', summary)
+    return summary
   }
 
   /**
-   * Allows to manually add an entry for pages.jsonl.
-   * Entries will be added to `this.pagesTree`.
-   * Calling this method automatically turns pages detection off.
+   * Allows to manually add an entry to a pages list (`pages.jsonl` by default). See `addPageEntry()`.
    * @param {string} url - Must be a valid url
    * @param {?string} title
    * @param {?string} ts - Must be parsable by Date().
+   * @param {string} [list=DEFAULT_PAGE_LIST.id] - Id of one of `this.pageLists`.
    * @returns {WACZPage}
    */
-  addPage = (url, title = null, ts = null) => {
+  addPage = (url, title = null, ts = null, list = DEFAULT_PAGE_LIST.id) => {
     this.stateCheck()
-    this.detectPages = false
 
     /** @type {WACZPage} */
-    const page = { id: uuidv4().replaceAll('-', '') }
-
-    try {
-      new URL(url) // eslint-disable-line
-      page.url = url
-    } catch (_err) {
-      throw new Error('"url" must be a valid url.')
-    }
+    const page = { url }
 
     if (title) {
       title = String(title).trim(0)
@@ -787,11 +2184,225 @@ export class WACZ {
       }
     }
 
-    this.pagesTree.setIfNotPresent(page.url, page)
+    return this.addPageEntry(page, list)
+  }
+
+  /**
+   * Adds a page object to a pages list (`pages.jsonl` by default), as is: known fields are validated, others are kept untouched.
+   * Entries will be added to `this.pagesTree`, or the matching entry of `this.extraPagesTrees`.
+   * - An `id` is generated if not provided. Ids provided must be unique within a list.
+   * - Entries are de-duplicated by url: if the list already has a page for that url, it is kept and returned instead.
+   *
+   * Calling this method automatically turns pages detection off, unless detected pages go to another list (see `WACZOptions.detectedPagesList`).
+   * @param {WACZPage} entry - Requires `url`. `ts`, `title`, `text`, `size` and `favIconUrl` are checked if present.
+   * @param {string} [list=DEFAULT_PAGE_LIST.id] - Id of one of `this.pageLists`.
+   * @returns {WACZPage}
+   * @throws {Error} - If `entry` is invalid, or if its id is already used in that list.
+   */
+  addPageEntry = (entry, list = DEFAULT_PAGE_LIST.id) => {
+    this.stateCheck()
+
+    const pagesTree = this.getPagesTree(list)
+
+    if (list === this.detectedPagesList) {
+      this.detectPages = false
+    }
+
+    let page = parsePageEntry(entry)
+
+    if (pagesTree.has(page.url)) {
+      return pagesTree.get(page.url)
+    }
+
+    if (!this.pageIds.has(list)) {
+      this.pageIds.set(list, new Set())
+    }
+
+    const ids = this.pageIds.get(list)
+
+    if (page.id === undefined) {
+      page = { id: this.reproducible ? createStableId(page.url, page.ts) : uuidv4().replaceAll('-', ''), ...page }
+    }
+
+    if (ids.has(page.id)) {
+      throw new Error(`Page id "${page.id}" is already used in "${this.getPageList(list).path}".`)
+    }
+
+    ids.add(page.id)
+    pagesTree.set(page.url, page)
 
     return page
   }
 
+  /**
+   * Returns the entry of `this.pageLists` matching `id`.
+   * @param {string} id
+   * @returns {WACZPageListDefinition}
+   * @throws {Error} - If there is no such list.
+   */
+  getPageList = (id) => {
+    const list = this.pageLists.find(list => list.id === id)
+
+    if (!list) {
+      throw new Error(`"${id}" is not one of the pages lists of this archive.`)
+    }
+
+    return list
+  }
+
+  /**
+   * Returns the tree holding the entries of a given pages list: `this.pagesTree` for the default one.
+   * @param {string} [id=DEFAULT_PAGE_LIST.id] - Id of one of `this.pageLists`.
+   * @returns {BTree}
+   */
+  getPagesTree = (id = DEFAULT_PAGE_LIST.id) => {
+    this.getPageList(id)
+    return id === DEFAULT_PAGE_LIST.id ? this.pagesTree : this.extraPagesTrees.get(id)
+  }
+
+  /**
+   * Removes the page matching `url` from every pages list, if present.
+   * @param {string} url
+   * @returns {void}
+   */
+  deletePage = (url) => {
+    for (const tree of [this.pagesTree, ...this.extraPagesTrees.values()]) {
+      tree.delete(url)
+    }
+  }
+
+  /**
+   * Adds an HTTP exchange to the archive, without the need for an input WARC.
+   * A response record (preceded by a request record if `requestHeaders` is provided) is appended to
+   * `archive/data.warc.gz`, which is indexed on the fly: CDX entries go to `this.cdxTree`
+   * and detected pages to `this.pagesTree`, as `indexWARCs()` would for input WARCs.
+   * Exchanges matching `this.redact` are not written at all, and only reported in `this.redactions`.
+   * Must be called before `harvestArraysFromTrees()`. Cannot be used in index-only mode.
+   *
+   * Usage:
+   * ```
+   * const archive = new WACZ({ input: [], output: 'capture.wacz' })
+   * await archive.addRecord({ url: 'https://example.com/', status: 200, headers: { 'Content-Type': 'text/html' }, body: '<html>...' })
+   * await archive.process()
+   * ```
+   *
+   * @param {WACZRecord} record - See {@link WACZRecord} for details.
+   * @returns {Promise<string[]>} - CDXJ entries that were generated for this record.
+   * @throws {Error} - If `record` is invalid, or in index-only mode.
+   */
+  addRecord = async (record = {}) => {
+    this.stateCheck()
+
+    if (this.indexOnly) {
+      throw new Error('Records cannot be added in index-only mode: indexes would point to a WARC which is not written anywhere.')
+    }
+
+    const { url, date, status, statusText, headers, body, method, requestHeaders } = parseRecord(record, this.sourceDate)
+
+    if (!this.recordsWARC && this.WARCs.find(warc => this.getWARCName(warc) === RECORDS_WARC_NAME)) {
+      throw new Error(`An input WARC is already named "${RECORDS_WARC_NAME}".`)
+    }
+
+    if (this.redact.length > 0) {
+      const contentType = Object.entries(headers).find(([name]) => name.toLowerCase() === 'content-type')?.[1]
+
+      const rule = createRedactionMatcher(this.redact)({
+        url,
+        surt: getSurt(url),
+        mime: contentType ? contentType.split(';')[0].trim() : null,
+        status,
+        timestamp: date.replace(/\D/g, '').slice(0, 14)
+      })
+
+      if (rule) {
+        const { reason = null, ...filterRule } = rule
+        this.reportRedaction({ warc: RECORDS_WARC_NAME, offset: null, length: null, recordId: null, type: 'response', url, date, rule: serializeFilterRule(filterRule), reason, linkedTo: null })
+        return []
+      }
+    }
+
+    const sequence = this.recordsAdded++
+    const recordId = (type) => this.reproducible ? { 'WARC-Record-ID': createStableRecordId(type, sequence, url, date) } : {}
+
+    const response = WARCRecord.create({
+      url,
+      date,
+      type: 'response',
+      warcHeaders: recordId('response'),
+      httpHeaders: headers,
+      statusline: `HTTP/1.1 ${status} ${statusText}`
+    }, [body])
+
+    const records = [response]
+
+    if (requestHeaders) {
+      const { pathname, search } = new URL(url)
+
+      records.push(WARCRecord.create({
+        url,
+        date,
+        type: 'request',
+        warcHeaders: { ...recordId('request'), 'WARC-Concurrent-To': response.warcHeader('WARC-Record-ID') },
+        httpHeaders: requestHeaders,
+        statusline: `${method} ${pathname}${search} HTTP/1.1`
+      }, []))
+    }
+
+    // Records are serialized right away, but written one call at a time so offsets remain consistent.
+    const serialized = Promise.all(records.map(record => WARCSerializer.serialize(record, { gzip: true })))
+    const write = this.recordsWriteQueue.then(async () => this.appendToRecordsWARC(Buffer.concat(await serialized)))
+    this.recordsWriteQueue = write.then(() => {}, () => {})
+
+    return await write
+  }
+
+  /**
+   * Appends serialized records to `this.recordsWARC` (created if needed) and indexes them.
+   * See `addRecord()`.
+   * @param {Buffer} data - One or more gzipped WARC records.
+   * @returns {Promise<string[]>} - CDXJ entries that were generated for `data`.
+   */
+  appendToRecordsWARC = async (data) => {
+    const { log } = this
+
+    try {
+      if (!this.recordsWARC) {
+        const path = join(this.getTmpDirectory(), RECORDS_WARC_NAME)
+        const warcinfo = await WARCRecord.createWARCInfo(
+          this.reproducible
+            ? { filename: RECORDS_WARC_NAME, date: this.sourceDate, warcHeaders: { 'WARC-Record-ID': createStableRecordId('warcinfo', RECORDS_WARC_NAME) } }
+            : { filename: RECORDS_WARC_NAME },
+          { software: `${PACKAGE_INFO.name} ${PACKAGE_INFO.version}`, format: 'WARC File Format 1.0' }
+        )
+        const header = Buffer.from(await WARCSerializer.serialize(warcinfo, { gzip: true }))
+
+        await fs.writeFile(path, header)
+
+        this.recordsWARC = { name: RECORDS_WARC_NAME, path }
+        this.recordsWARCBytes = header.byteLength
+        this.WARCs.push(this.recordsWARC)
+      }
+
+      const offset = this.recordsWARCBytes
+      await fs.appendFile(this.recordsWARC.path, data)
+      this.recordsWARCBytes += data.byteLength
+
+      // Offsets returned by the indexer are relative to `data`
+      const results = await indexWARC({ buffer: data, name: RECORDS_WARC_NAME, detectPages: this.detectPages, filters: this.getFilters(), reproducible: this.reproducible })
+      const cdx = results.cdx.map(line => shiftCDXJLineOffset(line, offset))
+      await this.addCDXEntries(cdx)
+
+      for (const value of results.pages) {
+        this.getPagesTree(this.detectedPagesList).setIfNotPresent(value.url, value)
+      }
+
+      return cdx
+    } catch (err) {
+      log.trace(err)
+      throw new Error(`An error occurred while writing record to "${RECORDS_WARC_NAME}".`)
+    }
+  }
+
   /**
    * Adds a file to the output ZIP stream.
    * Automatically keeps trace of file in `this.resources` so it can be referenced in datapackage.json.
@@ -809,10 +2420,10 @@ export class WACZ {
     // If path
     if (file.constructor.name === 'String') {
       await fs.access(file)
-      await archiveStream.file(file, { name: destination })
+      await archiveStream.file(file, this.getZipEntryData(destination))
     // If data-chunk
     } else {
-      await archiveStream.append(file, { name: destination })
+      await archiveStream.append(file, this.getZipEntryData(destination))
     }
 
     // Push to resources list and return ut
@@ -828,6 +2439,20 @@ export class WACZ {
     return resource
   }
 
+  /**
+   * Returns the entry data under which a file is added to the output ZIP stream.
+   * In reproducible mode, entries carry `this.sourceDate` and fixed permissions, instead of the current date or those of the source file.
+   * @param {string} name - In-zip path and filename.
+   * @returns {{name: string, date?: Date, mode?: number}}
+   */
+  getZipEntryData = (name) => {
+    if (!this.reproducible) {
+      return { name }
+    }
+
+    return { name, date: new Date(this.sourceDate), mode: REPRODUCIBLE_FILE_MODE }
+  }
+
   /**
    * Utility for gzipping data chunks.
    * @param {Uint8Array} chunk
@@ -841,56 +2466,318 @@ export class WACZ {
 
   /**
    * Computes the byte length a given file or chunk of data.
+   * See: `utils/hashing.js`.
    * @param {string|Uint8Array} file - Path to a file OR Buffer / Uint8Array.
    * @returns {Promise<number>}
    */
-  byteLength = async (file) => {
-    if (file instanceof Uint8Array) {
-      return file.byteLength
-    }
-
-    return (await fs.stat(file)).size
-  }
+  byteLength = byteLength
 
   /**
    * Computes the SHA256 hash of a given file or chunk of data.
+   * See: `utils/hashing.js`.
    * @param {string|Uint8Array} file - Path to a file OR Buffer / Uint8Array.
    * @returns {Promise<string>} - "sha256:<digest>"
    */
-  sha256 = async (file) => {
-    // If buffer was given: directly process it.
-    if (file instanceof Uint8Array) {
-      return 'sha256:' + createHash('sha256').update(file).digest('hex')
+  sha256 = sha256
+}
+
+/**
+ * Settles like `promise`, unless `signal` is aborted first, in which case it rejects with the abort reason.
+ * @param {Promise<any>} promise
+ * @param {?AbortSignal} signal
+ * @returns {Promise<any>}
+ */
+const untilAborted = (promise, signal) => {
+  if (!signal) {
+    return promise
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+
+    signal.addEventListener('abort', onAbort, { once: true })
+
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+
+    if (signal.aborted) {
+      onAbort()
     }
+  })
+}
+
+/**
+ * Checks if a value can be used as a Node.js writable stream (including legacy streams, such as `http.ServerResponse`).
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isWritableStream = (value) => {
+  return value instanceof Writable || (
+    typeof value?.write === 'function' &&
+    typeof value?.end === 'function' &&
+    typeof value?.on === 'function'
+  )
+}
+
+/**
+ * Checks and normalizes a record provided to `WACZ.addRecord()`.
+ * @param {WACZRecord} record
+ * @param {?string} [defaultDate=null] - Used if `record.date` is not provided. Defaults to the current date.
+ * @returns {{url: string, date: string, status: number, statusText: string, headers: Object<string, string>, body: Buffer, method: string, requestHeaders: ?Object<string, string>}}
+ * @throws {Error} - If `record` is not valid.
+ */
+const parseRecord = (record, defaultDate = null) => {
+  const output = {}
+
+  try {
+    new URL(record?.url) // eslint-disable-line
+    output.url = record.url
+  } catch (_err) {
+    throw new Error('"url" must be a valid url.')
+  }
+
+  try {
+    output.date = new Date(record?.date ?? defaultDate ?? Date.now()).toISOString()
+  } catch (_err) {
+    throw new Error('If provided, "date" must be parsable by JavaScript\'s Date class.')
+  }
+
+  output.status = record?.status ?? 200
+
+  if (!Number.isInteger(output.status) || output.status < 100 || output.status > 599) {
+    throw new Error('If provided, "status" must be a valid HTTP status code.')
+  }
 
-    // If filename was given: stream file into hash function.
-    // Inspired by answers on: https://stackoverflow.com/q/18658612
+  output.statusText = record?.statusText ? String(record.statusText) : (STATUS_CODES[output.status] ?? '')
+  output.method = record?.method ? String(record.method).toUpperCase() : 'GET'
+
+  const parseHeaders = (headers, option) => {
     try {
-      await fs.access(file)
-    } catch (err) {
-      this.log.trace(err)
-      throw new Error(`${file} cannot be read.`)
+      if (headers?.constructor !== Object && !(headers instanceof Map) && !(headers instanceof Headers)) {
+        throw new Error('Unsupported type.')
+      }
+
+      const entries = headers instanceof Map || headers instanceof Headers ? [...headers.entries()] : Object.entries(headers)
+      return Object.fromEntries(entries.map(([name, value]) => [String(name), String(value)]))
+    } catch (_err) {
+      throw new Error(`If provided, "${option}" must be an object, a Map or a Headers instance.`)
     }
+  }
+
+  output.headers = parseHeaders(record?.headers ?? {}, 'headers')
+  output.requestHeaders = record?.requestHeaders ? parseHeaders(record.requestHeaders, 'requestHeaders') : null
 
-    const stream = createReadStream(file)
-    const hash = createHash('sha256')
-    let digest = ''
+  const body = record?.body ?? ''
 
-    hash.setEncoding('hex')
+  if (body.constructor.name === 'String') {
+    output.body = Buffer.from(body)
+  } else if (body instanceof Uint8Array) {
+    output.body = Buffer.from(body.buffer, body.byteOffset, body.byteLength)
+  } else {
+    throw new Error('If provided, "body" must be a string or a Uint8Array.')
+  }
 
-    await new Promise((resolve, reject) => {
-      stream.on('error', err => reject(err))
-      stream.on('data', chunk => hash.update(chunk))
+  return output
+}
 
-      stream.on('end', () => {
-        hash.end()
-        digest = hash.read()
-        resolve()
-      })
+/**
+ * Adds `offset` to the `offset` field of a CDXJ line.
+ * @param {string} line
+ * @param {number} offset
+ * @returns {string}
+ */
+const shiftCDXJLineOffset = (line, offset) => {
+  const [urlkey, timestamp] = line.split(' ', 2)
+  const data = JSON.parse(line.slice(urlkey.length + timestamp.length + 2))
 
-      stream.pipe(hash)
-    })
+  data.offset = Number(data.offset) + offset
+
+  return `${urlkey} ${timestamp} ${JSON.stringify(data)}\n`
+}
+
+/**
+ * Checks a page object provided to `WACZ.addPageEntry()` against the fields defined by the WACZ spec.
+ * @param {WACZPage} entry
+ * @returns {WACZPage} - Shallow copy of `entry`, without `id` if it was `null`.
+ * @throws {Error} - If `entry` is not a valid page.
+ */
+const parsePageEntry = (entry) => {
+  if (!entry || entry.constructor !== Object) {
+    throw new Error('Pages must be provided as objects.')
+  }
+
+  if (entry.format !== undefined) {
+    throw new Error('Header lines ({ format, id, title }) are not pages.')
+  }
+
+  try {
+    new URL(entry.url) // eslint-disable-line
+  } catch (_err) {
+    throw new Error('"url" must be a valid url.')
+  }
+
+  const page = { ...entry }
+
+  if (page.id === null) {
+    delete page.id
+  }
+
+  if (page.id !== undefined && (typeof page.id !== 'string' || !page.id.trim())) {
+    throw new Error('If provided, "id" must be a non-empty string.')
+  }
+
+  for (const property of ['title', 'text', 'favIconUrl']) {
+    if (page[property] !== undefined && page[property] !== null && typeof page[property] !== 'string') {
+      throw new Error(`If provided, "${property}" must be a string.`)
+    }
+  }
 
-    return `sha256:${digest}`
+  if (page.ts !== undefined && page.ts !== null && (typeof page.ts !== 'string' || isNaN(new Date(page.ts)))) {
+    throw new Error('If provided, "ts" must be parsable by JavaScript\'s Date class.')
   }
+
+  if (page.size !== undefined && page.size !== null && (!Number.isInteger(page.size) || page.size < 0)) {
+    throw new Error('If provided, "size" must be a non-negative integer.')
+  }
+
+  return page
+}
+
+/**
+ * Checks and normalizes the pages lists provided as `WACZOptions.pageLists`.
+ * `DEFAULT_PAGE_LIST` always comes first: providing a list with the same id only changes its title and description.
+ * @param {WACZPageListDefinition[]} lists
+ * @returns {WACZPageListDefinition[]} - Copies of `lists`, with a `path` for each.
+ * @throws {Error} - If a list is invalid, or if ids or paths are not unique.
+ */
+const parsePageLists = (lists) => {
+  if (!Array.isArray(lists)) {
+    throw new Error('Must be an array.')
+  }
+
+  const output = [{ ...DEFAULT_PAGE_LIST }]
+
+  for (const list of lists) {
+    if (!list || list.constructor !== Object || typeof list.id !== 'string' || !/^[\w.-]+$/.test(list.id)) {
+      throw new Error('Each list must have an "id" made of letters, digits, ".", "_" or "-".')
+    }
+
+    for (const property of ['title', 'description']) {
+      if (list[property] !== undefined && list[property] !== null && typeof list[property] !== 'string') {
+        throw new Error(`If provided, "${property}" must be a string.`)
+      }
+    }
+
+    const path = list.path ?? (list.id === DEFAULT_PAGE_LIST.id ? DEFAULT_PAGE_LIST.path : `pages/${list.id}.jsonl`)
+
+    if (typeof path !== 'string' || !/^pages\/[\w.-]+\.jsonl$/.test(path)) {
+      throw new Error(`"${path}" is not a valid path for a pages list.`)
+    }
+
+    const normalized = { id: list.id, path, title: list.title ?? null, description: list.description ?? null }
+
+    if (list.id === DEFAULT_PAGE_LIST.id) {
+      if (path !== DEFAULT_PAGE_LIST.path) {
+        throw new Error(`"${DEFAULT_PAGE_LIST.id}" must be stored as "${DEFAULT_PAGE_LIST.path}".`)
+      }
+
+      output[0] = { ...normalized, title: normalized.title ?? DEFAULT_PAGE_LIST.title }
+      continue
+    }
+
+    if (output.find(other => other.id === list.id || other.path === path)) {
+      throw new Error(`Pages list "${list.id}" (${path}) is not unique.`)
+    }
+
+    output.push(normalized)
+  }
+
+  return output
+}
+
+/**
+ * Sort function for pages detected under the same url in different WARCs: earliest first, then by title and id.
+ * @param {WACZPage} a
+ * @param {WACZPage} b
+ * @returns {number}
+ */
+const comparePages = (a, b) => {
+  for (const key of ['ts', 'title', 'id']) {
+    const [left, right] = [String(a?.[key] ?? ''), String(b?.[key] ?? '')]
+
+    if (left !== right) {
+      return left < right ? -1 : 1
+    }
+  }
+
+  return 0
+}
+
+/**
+ * Sort function for indexing errors and digest mismatches: by WARC name, then offset (errors about the WARC as a whole first).
+ * @param {{warc: string, offset: ?number}} a
+ * @param {{warc: string, offset: ?number}} b
+ * @returns {number}
+ */
+const compareReports = (a, b) => {
+  if (a.warc !== b.warc) {
+    return a.warc < b.warc ? -1 : 1
+  }
+
+  return (a.offset ?? -1) - (b.offset ?? -1)
+}
+
+/**
+ * Returns the directory a glob pattern starts from: its leading segments, up to the first one containing special characters.
+ * I.E: "crawls/2023/{a,b}.warc.gz" -> "crawls/2023". Paths which `WACZOptions.preserveDirectories` keeps are relative to it.
+ * @param {string} pattern
+ * @returns {string}
+ */
+const getGlobBase = (pattern) => {
+  const segments = pattern.split('/')
+  const base = []
+
+  // The last segment is either special, or the name of the file itself
+  for (const segment of segments.slice(0, -1)) {
+    if (hasMagic(segment)) {
+      break
+    }
+
+    base.push(unescape(segment))
+  }
+
+  if (base.length === 0) {
+    return '.'
+  }
+
+  return base.join('/') || '/'
+}
+
+/**
+ * Checks and normalizes an in-memory WARC provided as part of `WACZOptions.input`.
+ * @param {WACZInMemoryWARC} entry
+ * @returns {WACZInMemoryWARC} - Copy of `entry`, holding either a Buffer or a Node.js Readable.
+ * @throws {Error} - If `entry` is not a valid in-memory WARC.
+ */
+const parseInMemoryWARC = (entry) => {
+  const name = entry?.name
+
+  if (name?.constructor?.name !== 'String' || basename(name) !== name || !/\.warc(\.gz)?$/i.test(name)) {
+    throw new Error('In-memory WARCs must have a "name" ending with .warc or .warc.gz, without directories.')
+  }
+
+  if (entry?.buffer instanceof Uint8Array) {
+    return { name, buffer: Buffer.from(entry.buffer.buffer, entry.buffer.byteOffset, entry.buffer.byteLength) }
+  }
+
+  if (entry?.stream instanceof Readable) {
+    return { name, stream: entry.stream }
+  }
+
+  if (typeof ReadableStream !== 'undefined' && entry?.stream instanceof ReadableStream) {
+    return { name, stream: Readable.fromWeb(entry.stream) }
+  }
+
+  throw new Error(`In-memory WARC "${name}" must have either a "buffer" or a "stream".`)
 }
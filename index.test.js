@@ -4,13 +4,18 @@ import test from 'node:test'
 import assert from 'node:assert/strict'
 import { sep } from 'path'
 import fs from 'fs/promises'
+import { generateKeyPairSync } from 'crypto'
+import { gunzipSync, gzipSync } from 'zlib'
+import { Readable, Writable } from 'stream'
+import { createReadStream } from 'fs'
 
 import log from 'loglevel'
 import { globSync } from 'glob'
 import StreamZip from 'node-stream-zip'
 import * as dotenv from 'dotenv'
 
-import { WACZ } from './index.js'
+import { WACZ, WACZReader, verifyWACZSignature, validateWACZ, ZIP_NUM_SHARED_INDEX_LIMIT, RECORDS_WARC_NAME, WACZ_EVENTS } from './index.js'
+import { createAnonymousSignature } from './utils/signatures.js'
 import { FIXTURES_PATH } from './constants.js'
 import { assertSHA256WithPrefix, assertValidWACZSignatureFormat } from './utils/assertions.js' // see https://github.com/motdotla/dotenv#how-do-i-use-dotenv-with-import
 
@@ -52,6 +57,190 @@ test('WACZ constructor accepts options.input if it is either a string or array.'
   }
 })
 
+test('WACZ constructor throws if options.input contains invalid in-memory WARCs.', async (_t) => {
+  const scenarios = [
+    { name: 'foo.warc.gz' },
+    { name: 'foo.txt', buffer: Buffer.alloc(1) },
+    { name: 'path/to/foo.warc', buffer: Buffer.alloc(1) },
+    { buffer: Buffer.alloc(1) },
+    { name: 'foo.warc', stream: 'foo' }
+  ]
+
+  for (const input of scenarios) {
+    assert.throws(() => new WACZ({ input }))
+    assert.throws(() => new WACZ({ input: [FIXTURE_INPUT, input] }))
+  }
+})
+
+test('WACZ.process accepts in-memory WARCs (buffers and streams) alongside files.', async (_t) => {
+  const output = 'tmp-in-memory.wacz'
+  const fixture = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+
+  const archive = new WACZ({
+    input: [
+      FIXTURE_INPUT,
+      { name: 'from-buffer.warc.gz', buffer: await fs.readFile(fixture) },
+      { name: 'from-stream.warc.gz', stream: createReadStream(fixture) },
+      { name: 'from-web-stream.warc.gz', stream: Readable.toWeb(createReadStream(fixture)) }
+    ],
+    output
+  })
+
+  await archive.process(false)
+
+  assert(archive.tmpDirectory)
+  await assert.rejects(fs.access(archive.tmpDirectory)) // Temporary files were cleaned up
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  const fixtureHash = await archive.sha256(fixture)
+
+  for (const name of ['lil-projects.warc.gz', 'from-buffer.warc.gz', 'from-stream.warc.gz', 'from-web-stream.warc.gz']) {
+    assert.equal(await archive.sha256(await zip.entryData(`archive/${name}`)), fixtureHash)
+    assert(archive.cdxArray.find(entry => entry.includes(`"filename":"${name}"`)))
+  }
+
+  await zip.close()
+  assert.equal((await validateWACZ(output)).valid, true)
+  await fs.unlink(output)
+})
+
+test('WACZ.process suffixes WARCs sharing the same name, or keeps their directories if options.preserveDirectories is set.', async (_t) => {
+  const directory = 'tmp-collisions'
+  const output = 'tmp-collisions.wacz'
+  const logger = { ...console, warn: () => {} }
+
+  for (const subdirectory of ['a', 'b']) {
+    await fs.mkdir(`${directory}${sep}${subdirectory}`, { recursive: true })
+    await fs.copyFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`, `${directory}${sep}${subdirectory}${sep}lil-projects.warc.gz`)
+  }
+
+  const scenarios = [
+    { preserveDirectories: false, names: ['lil-projects.warc.gz', 'lil-projects-1.warc.gz'] },
+    { preserveDirectories: true, names: ['a/lil-projects.warc.gz', 'b/lil-projects.warc.gz'] }
+  ]
+
+  for (const { preserveDirectories, names } of scenarios) {
+    const archive = new WACZ({ input: `${directory}/*/*.warc.gz`, output, preserveDirectories, log: logger })
+    assert.deepEqual(archive.WARCs.map(archive.getWARCName), names)
+
+    await archive.process(false)
+
+    // Archive entries and CDX filenames match
+    const reader = new WACZReader(output)
+    await reader.load()
+
+    assert.deepEqual(reader.entries.filter(entry => entry.startsWith('archive/')).sort(), names.map(name => `archive/${name}`).sort())
+
+    const filenames = new Set((await reader.readIndexLines()).map(line => JSON.parse(line.slice(line.indexOf('{'))).filename))
+    assert.deepEqual([...filenames].sort(), [...names].sort())
+
+    const record = await reader.getRecord('https://lil.law.harvard.edu/robots.txt')
+    assert.equal(record.warcTargetURI, 'https://lil.law.harvard.edu/robots.txt')
+
+    await reader.close()
+    assert.equal((await validateWACZ(output)).valid, true)
+    await fs.unlink(output)
+  }
+
+  // In-memory WARCs can collide with files too
+  const archive = new WACZ({
+    input: [`${directory}/a/*.warc.gz`, { name: 'lil-projects.warc.gz', buffer: Buffer.alloc(0) }],
+    output,
+    log: logger
+  })
+
+  assert.deepEqual(archive.WARCs.map(archive.getWARCName), ['lil-projects.warc.gz', 'lil-projects-1.warc.gz'])
+
+  await fs.rm(directory, { recursive: true })
+})
+
+test('WACZ.addRecord throws if the record provided is invalid.', async (_t) => {
+  const archive = new WACZ({ input: [], output: 'tmp-records-invalid.wacz' })
+  const scenarios = [
+    {},
+    { url: 'foo' },
+    { url: 'https://example.com/', date: 'foo' },
+    { url: 'https://example.com/', status: 42 },
+    { url: 'https://example.com/', status: '200' },
+    { url: 'https://example.com/', body: 12 },
+    { url: 'https://example.com/', headers: 12 }
+  ]
+
+  for (const record of scenarios) {
+    await assert.rejects(archive.addRecord(record))
+  }
+
+  await assert.rejects(archive.process(false)) // Nothing to process
+})
+
+test('WACZ.addRecord throws in index-only mode.', async (_t) => {
+  const archive = new WACZ({ input: FIXTURE_INPUT, indexOnly: true })
+  await assert.rejects(archive.addRecord({ url: 'https://example.com/', body: 'Hello world' }), /index-only mode/)
+})
+
+test('WACZ.process writes records provided via addRecord to a valid .wacz.', async (_t) => {
+  const output = 'tmp-records.wacz'
+  const archive = new WACZ({ input: [], output })
+  const html = '<html><head><title>Hello</title></head><body><p>Hello world</p></body></html>'
+
+  const [cdx] = await Promise.all([
+    archive.addRecord({
+      url: 'https://example.com/',
+      date: '2023-01-01T00:00:00Z',
+      status: 200,
+      headers: { 'Content-Type': 'text/html; charset=utf-8' },
+      body: html,
+      requestHeaders: new Headers({ 'User-Agent': 'js-wacz' })
+    }),
+    archive.addRecord({
+      url: 'https://example.com/data.json',
+      date: '2023-01-01T00:00:01Z',
+      headers: new Map([['Content-Type', 'application/json']]),
+      body: new TextEncoder().encode('{"foo": "bar"}')
+    })
+  ])
+
+  assert.equal(cdx.length, 1)
+  assert(cdx[0].startsWith('com,example)/ 20230101000000 '))
+  assert.equal(archive.pagesTree.get('https://example.com/').title, 'Hello')
+
+  await archive.process(false)
+  await assert.rejects(fs.access(archive.tmpDirectory)) // Temporary files were cleaned up
+
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  assert.deepEqual(reader.entries.filter(entry => entry.startsWith('archive/')), [`archive/${RECORDS_WARC_NAME}`])
+  assert.equal(reader.pageLists[0].pages.length, 1)
+
+  // Offsets in CDX entries point to the right records
+  const page = await reader.getRecord('https://example.com/')
+  assert.equal(page.httpHeaders.statusCode, 200)
+  assert.equal(await page.contentText(), html)
+
+  const data = await reader.getRecord('https://example.com/data.json')
+  assert.equal(await data.contentText(), '{"foo": "bar"}')
+
+  await reader.close()
+  await fs.unlink(output)
+})
+
+test('WACZ.addRecord can be combined with input WARCs.', async (_t) => {
+  const output = 'tmp-records-combined.wacz'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output })
+
+  await archive.addRecord({ url: 'https://example.com/', body: 'Hello world' })
+  await archive.process(false)
+
+  assert(archive.cdxArray.find(entry => entry.includes('"filename":"lil-projects.warc.gz"')))
+  assert(archive.cdxArray.find(entry => entry.includes(`"filename":"${RECORDS_WARC_NAME}"`)))
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  await fs.unlink(output)
+})
+
 test('WACZ constructor throws if options.output is invalid.', async (_t) => {
   const scenarios = ['foo', true, {}, Buffer.alloc(0), 12, () => {}, './', 'test.zip']
 
@@ -167,6 +356,258 @@ test('WACZ constructor accounts for options.datapackageExtras if provided.', asy
   assert.equal(archive.datapackageExtras, datapackageExtras)
 })
 
+test('WACZ constructor ignores options.signingKey if invalid.', async (_t) => {
+  const scenarios = [
+    'foo',
+    {},
+    12,
+    generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey,
+    generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  ]
+
+  for (const signingKey of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, signingKey, log: { ...console, warn: () => {} } })
+    assert.equal(archive.signingKey, null)
+  }
+})
+
+test('WACZ constructor accounts for options.signingKey if valid.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const scenarios = [
+    privateKey,
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    privateKey.export({ format: 'jwk' })
+  ]
+
+  for (const signingKey of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, signingKey })
+    assert(archive.signingKey.equals(privateKey))
+  }
+})
+
+test('WACZ.process signs the archive locally if options.signingKey is provided.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const output = 'tmp-signing-key.wacz'
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signingKey: privateKey })
+  await archive.process(false)
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  const datapackageDigest = JSON.parse(await zip.entryData('datapackage-digest.json'))
+  await zip.close()
+
+  assert.doesNotThrow(() => assertValidWACZSignatureFormat(datapackageDigest.signedData))
+  assert.equal(datapackageDigest.signedData.created, archive.datapackageDate)
+  assert.equal(verifyWACZSignature(datapackageDigest.signedData, datapackageDigest.hash).valid, true)
+
+  await fs.unlink(output)
+})
+
+test('WACZ.process emits progress events.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const output = 'tmp-events.wacz'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signingKey: privateKey })
+  const events = []
+
+  for (const name of WACZ_EVENTS) {
+    archive.on(name, data => events.push({ name, ...data }))
+  }
+
+  const summary = await archive.process(false)
+
+  // Steps start and end in order
+  const steps = events.filter(({ name }) => name.startsWith('step-'))
+  assert.equal(steps[0].step, 'initOutputStreams')
+  assert.equal(steps.at(-1).step, 'finalize')
+
+  for (let i = 0; i < steps.length; i += 2) {
+    assert.deepEqual([steps[i].name, steps[i + 1].name], ['step-start', 'step-end'])
+    assert.equal(steps[i].step, steps[i + 1].step)
+  }
+
+  // Indexing progress reaches the end of each WARC
+  const { size } = await fs.stat(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const progress = events.filter(({ name }) => name === 'warc-progress')
+  assert.equal(progress.at(-1).warc, 'lil-projects.warc.gz')
+  assert.equal(progress.at(-1).bytesRead, size)
+  assert.equal(progress.at(-1).bytesTotal, size)
+  assert.equal(progress.at(-1).records, archive.cdxArray.length)
+
+  assert.equal(events.filter(({ name }) => name === 'page-detected').length, archive.pagesArray.length)
+  assert(events.find(({ name }) => name === 'zip-progress'))
+  assert(events.find(({ name }) => name === 'signing-requested'))
+  assert.equal(events.find(({ name }) => name === 'signing-received').domain, null)
+  assert.deepEqual(events.find(({ name }) => name === 'finalized'), { name: 'finalized', ...summary })
+
+  await fs.unlink(output)
+})
+
+test('WACZ constructor ignores options.signal if invalid.', async (_t) => {
+  const scenarios = ['foo', {}, Buffer.alloc(0), 12, () => {}, new AbortController()]
+
+  for (const signal of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, signal, log: { ...console, warn: () => {} } })
+    assert.equal(archive.signal, null)
+  }
+
+  const { signal } = new AbortController()
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, signal }).signal, signal)
+})
+
+test('WACZ.process stops and removes partial output if aborted.', async (_t) => {
+  const output = 'tmp-abort.wacz'
+
+  // Scenarios: aborted before starting, while indexing (options.signal), while writing (per-call signal)
+  const scenarios = [
+    { abortOn: null },
+    { abortOn: 'warc-progress' },
+    { abortOn: 'zip-progress', perCall: true }
+  ]
+
+  for (const { abortOn, perCall } of scenarios) {
+    const controller = new AbortController()
+    const archive = new WACZ({ input: FIXTURE_INPUT, output, signal: perCall ? null : controller.signal })
+    let reachedFinalize = false
+
+    if (abortOn) {
+      archive.once(abortOn, () => controller.abort())
+    } else {
+      controller.abort()
+    }
+
+    archive.on('step-start', ({ step }) => { reachedFinalize ||= step === 'finalize' })
+
+    await assert.rejects(archive.process(false, { signal: perCall ? controller.signal : null }), { name: 'AbortError' })
+
+    assert.equal(archive.consumed, true)
+    assert.equal(reachedFinalize, false)
+    await assert.rejects(fs.access(output))
+
+    if (archive.tmpDirectory) {
+      await assert.rejects(fs.access(archive.tmpDirectory))
+    }
+  }
+})
+
+test('WACZ.process cancels pending signature requests and destroys output streams if aborted.', async (_t) => {
+  const controller = new AbortController()
+  const chunks = []
+  const output = new Writable({ write: (chunk, _encoding, callback) => { chunks.push(chunk); callback() } })
+
+  let signerSignal = null
+
+  const signer = ({ signal }) => {
+    signerSignal = signal
+    setTimeout(() => controller.abort(), 10)
+    return new Promise(() => {}) // Never resolves
+  }
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signer, signal: controller.signal })
+
+  await assert.rejects(archive.process(false), { name: 'AbortError' })
+
+  assert.equal(signerSignal.aborted, true)
+  assert.equal(output.destroyed, true)
+  assert.equal(archive.consumed, true)
+  assert.throws(() => archive.stateCheck())
+})
+
+test('WACZ constructor ignores HTTP signing options if invalid.', async (_t) => {
+  const log = { ...console, warn: () => {} }
+  const scenarios = [
+    { signingHeaders: 'foo' },
+    { signingHeaders: { 'X-Foo': 12 } },
+    { signingTimeout: 0 },
+    { signingTimeout: 'foo' },
+    { signingRetries: -1 },
+    { signingRetryDelay: 1.5 }
+  ]
+
+  for (const scenario of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, log, ...scenario })
+    const [option] = Object.keys(scenario)
+    assert.notDeepEqual(archive[option], scenario[option])
+  }
+})
+
+test('WACZ constructor accounts for HTTP signing options if valid.', async (_t) => {
+  const options = {
+    signingHeaders: { 'X-Foo': 'BAR' },
+    signingTimeout: 1000,
+    signingRetries: 0,
+    signingRetryDelay: 10
+  }
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, signingUrl: 'https://lil.law.harvard.edu', ...options })
+
+  for (const [option, value] of Object.entries(options)) {
+    assert.deepEqual(archive[option], value)
+  }
+
+  assert.equal(typeof archive.signer, 'function')
+})
+
+test('WACZ constructor ignores options.signer if invalid.', async (_t) => {
+  const scenarios = ['foo', {}, 12, { sign: 'foo' }]
+
+  for (const signer of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, signer, log: { ...console, warn: () => {} } })
+    assert.equal(archive.signer, null)
+  }
+})
+
+test('WACZ constructor accounts for options.signer if valid, with precedence over other signing options.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const fn = async () => ({})
+
+  const archive = new WACZ({
+    input: FIXTURE_INPUT,
+    signer: fn,
+    signingKey: privateKey,
+    signingUrl: 'https://lil.law.harvard.edu'
+  })
+
+  assert.equal(archive.signer, fn)
+  assert.equal(typeof new WACZ({ input: FIXTURE_INPUT, signer: { sign: fn } }).signer, 'function')
+})
+
+test('WACZ.process uses options.signer to sign the archive, and rejects signatures for another datapackage.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const output = 'tmp-signer.wacz'
+  const calls = []
+
+  // Valid signer: object with a `sign` method
+  const signer = {
+    sign: async ({ hash, created }) => {
+      calls.push({ hash, created })
+      return createAnonymousSignature({ hash, created }, privateKey)
+    }
+  }
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signer })
+  await archive.process(false)
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  const datapackageDigest = JSON.parse(await zip.entryData('datapackage-digest.json'))
+  await zip.close()
+
+  assert.equal(calls.length, 1)
+  assert.deepEqual(calls[0], { hash: datapackageDigest.hash, created: archive.datapackageDate })
+  assert.equal(verifyWACZSignature(datapackageDigest.signedData, datapackageDigest.hash).valid, true)
+
+  // Invalid signer: signs something else
+  const otherArchive = new WACZ({
+    input: FIXTURE_INPUT,
+    output,
+    signer: async ({ created }) => createAnonymousSignature({ hash: datapackageDigest.hash.replace(/.$/, '0'), created }, privateKey),
+    log: { ...console, trace: () => {} }
+  })
+
+  await assert.rejects(otherArchive.process(false))
+
+  await fs.unlink(output)
+})
+
 test('addPage adds entry to pagesTree and turns detectPages off.', async (_t) => {
   const archive = new WACZ({ input: FIXTURE_INPUT })
   assert.equal(archive.detectPages, true)
@@ -178,6 +619,617 @@ test('addPage adds entry to pagesTree and turns detectPages off.', async (_t) =>
   assert.equal(archive.pagesTree.length, 1)
 })
 
+test('addPageEntry validates pages, keeps all of their fields and enforces id uniqueness.', async (_t) => {
+  const archive = new WACZ({ input: FIXTURE_INPUT, pageLists: [{ id: 'extraPages' }] })
+
+  const scenarios = [
+    null,
+    'https://lil.law.harvard.edu/',
+    { format: 'json-pages-1.0', id: 'pages', title: 'All Pages' },
+    { title: 'No url' },
+    { url: 'https://lil.law.harvard.edu/', id: '' },
+    { url: 'https://lil.law.harvard.edu/', id: 12 },
+    { url: 'https://lil.law.harvard.edu/', ts: 'yesterday' },
+    { url: 'https://lil.law.harvard.edu/', title: ['LIL'] },
+    { url: 'https://lil.law.harvard.edu/', size: -1 },
+    { url: 'https://lil.law.harvard.edu/', favIconUrl: {} }
+  ]
+
+  for (const entry of scenarios) {
+    assert.throws(() => archive.addPageEntry(entry))
+  }
+
+  const entry = {
+    id: 'lil',
+    url: 'https://lil.law.harvard.edu/',
+    title: 'LIL',
+    ts: '2023-02-22T16:19:54Z',
+    text: 'Library Innovation Lab',
+    size: 1234,
+    favIconUrl: 'https://lil.law.harvard.edu/favicon.ico',
+    custom: { seed: true }
+  }
+
+  assert.deepEqual(archive.addPageEntry(entry), entry)
+  assert.deepEqual(archive.pagesTree.get(entry.url), entry)
+  assert.equal(archive.detectPages, false)
+
+  // Same url: the first entry is kept
+  assert.equal(archive.addPageEntry({ ...entry, title: 'Other' }).title, 'LIL')
+
+  // Ids must be unique within a list
+  assert.throws(() => archive.addPageEntry({ id: 'lil', url: 'https://lil.law.harvard.edu/projects/' }), /already used/)
+  assert.equal(archive.addPageEntry({ id: 'lil', url: 'https://lil.law.harvard.edu/projects/' }, 'extraPages').id, 'lil')
+
+  // Missing ids are generated
+  const page = archive.addPageEntry({ url: 'https://lil.law.harvard.edu/about/', id: null })
+  assert.match(page.id, /^[0-9a-f]{32}$/)
+  assert.deepEqual(Object.keys(page), ['id', 'url'])
+})
+
+test('WACZ constructor throws if options.pageLists or options.detectedPagesList are invalid.', async (_t) => {
+  const scenarios = [
+    { pageLists: 'extraPages' },
+    { pageLists: [{ title: 'No id' }] },
+    { pageLists: [{ id: 'extra pages' }] },
+    { pageLists: [{ id: 'extraPages', title: 12 }] },
+    { pageLists: [{ id: 'extraPages', path: 'extraPages.jsonl' }] },
+    { pageLists: [{ id: 'pages', path: 'pages/main.jsonl' }] },
+    { pageLists: [{ id: 'extraPages' }, { id: 'extraPages' }] },
+    { pageLists: [{ id: 'a', path: 'pages/b.jsonl' }, { id: 'b' }] },
+    { detectedPagesList: 'extraPages' }
+  ]
+
+  for (const options of scenarios) {
+    assert.throws(() => new WACZ({ input: FIXTURE_INPUT, ...options }))
+  }
+
+  const archive = new WACZ({
+    input: FIXTURE_INPUT,
+    pageLists: [{ id: 'pages', title: 'Seeds' }, { id: 'extraPages' }, { id: 'other', path: 'pages/other-pages.jsonl', description: 'Other pages' }],
+    detectedPagesList: 'extraPages'
+  })
+
+  assert.deepEqual(archive.pageLists, [
+    { id: 'pages', path: 'pages/pages.jsonl', title: 'Seeds', description: null },
+    { id: 'extraPages', path: 'pages/extraPages.jsonl', title: null, description: null },
+    { id: 'other', path: 'pages/other-pages.jsonl', title: null, description: 'Other pages' }
+  ])
+  assert.equal(archive.detectedPagesList, 'extraPages')
+})
+
+test('WACZ.process writes each pages list, and routes detected pages to options.detectedPagesList.', async (_t) => {
+  const output = 'tmp-page-lists.wacz'
+
+  const archive = new WACZ({
+    input: FIXTURE_INPUT,
+    output,
+    pageLists: [{ id: 'pages', title: 'Seeds' }, { id: 'extraPages', title: 'Detected pages', description: 'Found while indexing' }, { id: 'empty' }],
+    detectedPagesList: 'extraPages'
+  })
+
+  // Curated pages do not turn detection off, as detected pages go to another list
+  archive.addPage('https://lil.law.harvard.edu/', 'LIL')
+  assert.equal(archive.detectPages, true)
+  assert.throws(() => archive.addPage('https://lil.law.harvard.edu/', 'LIL', null, 'unknown'))
+
+  await archive.process(false)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  const lists = Object.fromEntries(reader.pageLists.map(list => [list.path, list]))
+
+  assert.equal(lists['pages/pages.jsonl'].title, 'Seeds')
+  assert.deepEqual(lists['pages/pages.jsonl'].pages.map(page => page.url), ['https://lil.law.harvard.edu/'])
+
+  assert.equal(lists['pages/extraPages.jsonl'].id, 'extraPages')
+  assert.equal(lists['pages/extraPages.jsonl'].description, 'Found while indexing')
+  assert(lists['pages/extraPages.jsonl'].pages.length > 0)
+
+  assert.equal(lists['pages/empty.jsonl'].title, 'empty')
+  assert.equal(lists['pages/empty.jsonl'].pages.length, 0)
+
+  // Header lines keep the format of the default pages list
+  assert.equal((await reader.zip.entryData('pages/extraPages.jsonl')).toString().split('\n')[0], '{"format": "json-pages-1.0", "id": "extraPages", "title": "Detected pages", "description": "Found while indexing"}')
+
+  for (const path of Object.keys(lists)) {
+    assert(reader.datapackage.resources.find(resource => resource.path === path))
+  }
+
+  await reader.close()
+  assert.equal((await validateWACZ(output)).valid, true)
+  await fs.unlink(output)
+})
+
+test('WACZ constructor accounts for options.indexOnly: output is an optional directory and no ZIP can be created.', async (_t) => {
+  for (const output of [undefined, 'tmp-index-only']) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, output, indexOnly: true })
+    assert.equal(archive.indexOnly, true)
+    assert.equal(archive.output, output ?? null)
+    assert.throws(archive.initOutputStreams)
+  }
+})
+
+test('WACZ.process writes indexes and pages.jsonl to a directory if options.indexOnly is set.', async (_t) => {
+  const output = 'tmp-index-only'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, indexOnly: true })
+
+  await archive.process(false)
+
+  assert.deepEqual((await fs.readdir(output)).sort(), ['index.cdx', 'pages.jsonl'])
+  assert.equal(await fs.readFile(`${output}${sep}index.cdx`, 'utf-8'), archive.cdxArray.join(''))
+
+  const pages = (await fs.readFile(`${output}${sep}pages.jsonl`, 'utf-8')).trim().split('\n')
+  assert.equal(pages.length, archive.pagesArray.length + 1)
+
+  await fs.rm(output, { recursive: true })
+})
+
+test('WACZ.createIndexes uses a ZipNum Shared Index for large CDXes.', async (_t) => {
+  const archive = new WACZ({ input: FIXTURE_INPUT, indexOnly: true })
+
+  for (let i = 0; i < ZIP_NUM_SHARED_INDEX_LIMIT + 1; i++) {
+    archive.cdxArray.push(`com,example)/${String(i).padStart(5, '0')} 20230101000000 {"url":"https://example.com/"}\n`)
+  }
+
+  const indexes = await archive.createIndexes()
+
+  assert.deepEqual(Object.keys(indexes), ['index.cdx.gz', 'index.idx'])
+
+  const idx = indexes['index.idx'].toString('utf-8').trim().split('\n')
+  assert(idx[0].startsWith('!meta'))
+  assert.equal(idx.length, 3) // Header + 2 blocks
+  assert.equal(gunzipSync(indexes['index.cdx.gz']).toString('utf-8').split('\n')[0], archive.cdxArray[0].trim())
+
+  // Can be called multiple times
+  assert.deepEqual(await archive.createIndexes(), indexes)
+})
+
+test('WACZ constructor ignores options.indexMemoryLimit if invalid.', async (_t) => {
+  const scenarios = ['foo', {}, Buffer.alloc(0), 0, -1, 1.5, () => {}]
+
+  for (const indexMemoryLimit of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, indexMemoryLimit, log: { ...console, warn: () => {} } })
+    assert.equal(archive.indexMemoryLimit, null)
+  }
+})
+
+test('WACZ constructor ignores worker pool options if invalid.', async (_t) => {
+  const log = { ...console, warn: () => {} }
+  const scenarios = [
+    { maxThreads: 0, minThreads: -1, idleTimeout: 'foo', resourceLimits: { maxOldGenerationSizeMb: -1 } },
+    { maxThreads: 1.5, minThreads: {}, idleTimeout: -1, resourceLimits: { foo: 12 } },
+    { maxThreads: 2, minThreads: 4, resourceLimits: 'foo' }
+  ]
+
+  for (const options of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, ...options, log })
+    assert.equal(archive.minThreads, null)
+    assert.equal(archive.idleTimeout, null)
+    assert.equal(archive.resourceLimits, null)
+    assert.equal(archive.workers, true)
+  }
+})
+
+test('WACZ constructor accounts for worker pool options if valid.', async (_t) => {
+  const resourceLimits = { maxOldGenerationSizeMb: 256, stackSizeMb: 4 }
+  const archive = new WACZ({ input: FIXTURE_INPUT, maxThreads: 2, minThreads: 0, idleTimeout: 1000, resourceLimits })
+
+  assert.equal(archive.maxThreads, 2)
+  assert.equal(archive.minThreads, 0)
+  assert.equal(archive.idleTimeout, 1000)
+  assert.deepEqual(archive.resourceLimits, resourceLimits)
+
+  archive.initWorkerPool()
+  assert.equal(archive.indexWARCPool.options.maxThreads, 2)
+  assert.equal(archive.indexWARCPool.options.minThreads, 0)
+
+  await archive.destroyWorkerPool()
+  assert.equal(archive.indexWARCPool, null)
+})
+
+test('WACZ indexes WARCs in the main thread if options.workers is false, with identical results.', async (_t) => {
+  const inWorkers = new WACZ({ input: FIXTURE_INPUT, indexOnly: true })
+  const inProcess = new WACZ({ input: FIXTURE_INPUT, indexOnly: true, workers: false })
+
+  inProcess.initWorkerPool()
+  assert.equal(inProcess.indexWARCPool, null)
+
+  const progress = []
+  inProcess.on('warc-progress', data => progress.push(data))
+
+  for (const archive of [inWorkers, inProcess]) {
+    archive.initWorkerPool()
+    await archive.indexWARCs()
+    archive.harvestArraysFromTrees()
+  }
+
+  await inWorkers.destroyWorkerPool()
+
+  assert(inProcess.cdxArray.length > 0)
+  assert.deepEqual(inProcess.cdxArray, inWorkers.cdxArray)
+  assert.deepEqual(inProcess.pagesArray.map(page => page.url), inWorkers.pagesArray.map(page => page.url))
+  assert(progress.length > 0)
+})
+
+test('WACZ.process destroys the worker pool once done.', async (_t) => {
+  const output = 'tmp-worker-pool'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, indexOnly: true, maxThreads: 1 })
+
+  await archive.process(false)
+  assert.equal(archive.indexWARCPool, null)
+
+  await fs.rm(output, { recursive: true })
+})
+
+test('WACZ constructor ignores options.tolerateErrors if invalid.', async (_t) => {
+  const scenarios = ['foo', {}, 12, () => {}]
+
+  for (const tolerateErrors of scenarios) {
+    const archive = new WACZ({ input: FIXTURE_INPUT, tolerateErrors, log: { ...console, warn: () => {} } })
+    assert.equal(archive.tolerateErrors, false)
+  }
+
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, tolerateErrors: true }).tolerateErrors, 'exclude')
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, tolerateErrors: 'include' }).tolerateErrors, 'include')
+})
+
+test('WACZ.process skips and reports corrupt records and unreadable WARCs if options.tolerateErrors is set.', async (_t) => {
+  const original = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const corrupt = Buffer.from(original)
+  corrupt.fill(0, 500000, 500050)
+
+  const input = () => [
+    { name: 'corrupt.warc.gz', buffer: corrupt },
+    { name: 'unreadable.warc', buffer: Buffer.from('Not a WARC') }
+  ]
+
+  const logger = { ...console, warn: () => {} }
+  const output = 'tmp-tolerate-errors.wacz'
+
+  // Without tolerateErrors: the first error is fatal
+  await assert.rejects(new WACZ({ input: input(), output, log: logger }).process(false), /An error occurred while indexing/)
+
+  // With tolerateErrors
+  for (const tolerateErrors of ['exclude', 'include']) {
+    const archive = new WACZ({ input: input(), output, tolerateErrors, errorReport: true, log: logger })
+    const events = []
+    archive.on('indexing-error', data => events.push(data))
+
+    await archive.process(false)
+
+    assert.equal(archive.indexingErrors.length, 2)
+    assert.deepEqual(events, archive.indexingErrors)
+
+    const [record, warc] = [...archive.indexingErrors].sort((a, b) => a.warc.localeCompare(b.warc))
+    assert.equal(record.warc, 'corrupt.warc.gz')
+    assert(record.offset > 0)
+    assert.equal(record.excluded, false)
+    assert.equal(warc.warc, 'unreadable.warc')
+    assert.equal(warc.offset, null)
+    assert.equal(warc.excluded, tolerateErrors === 'exclude')
+
+    assert(archive.cdxArray.length > 0)
+    assert(archive.cdxArray.every(line => line.includes('"filename":"corrupt.warc.gz"')))
+
+    const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+    const entries = Object.keys(await zip.entries())
+    assert(entries.includes('archive/corrupt.warc.gz'))
+    assert.equal(entries.includes('archive/unreadable.warc'), tolerateErrors === 'include')
+
+    const report = (await zip.entryData('logs/errors.jsonl')).toString('utf-8').trim().split('\n').map(line => JSON.parse(line))
+    assert.deepEqual(report, archive.indexingErrors)
+    await zip.close()
+
+    assert((await validateWACZ(output)).valid)
+  }
+
+  await fs.unlink(output)
+})
+
+test('WACZ.indexWARCs does not exclude readable WARCs which captures were all left out by filters.', async (_t) => {
+  const corrupt = Buffer.from(await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`))
+  corrupt.fill(0, 500000, 500050)
+
+  const logger = { ...console, warn: () => {} }
+  const archive = new WACZ({
+    input: [{ name: 'corrupt.warc.gz', buffer: corrupt }],
+    tolerateErrors: 'exclude',
+    include: [{ url: 'https://example.org/*' }],
+    log: logger
+  })
+
+  archive.initWorkerPool()
+  await archive.indexWARCs()
+  await archive.destroyWorkerPool()
+
+  assert.equal(archive.cdxTree.length, 0)
+  assert.equal(archive.WARCs.length, 1)
+  assert.equal(archive.indexingErrors.length, 1)
+  assert.equal(archive.indexingErrors[0].excluded, false)
+})
+
+test('WACZ.process checks record digests if options.verifyDigests is set.', async (_t) => {
+  const original = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const logger = { ...console, info: () => {}, warn: () => {} }
+  const output = 'tmp-verify-digests.wacz'
+
+  // A WARC which records have been tampered with: same digests, different contents
+  const tampered = gzipSync(Buffer.from(gunzipSync(original).toString('latin1').replace('Library Innovation Lab', 'Library Renovation Lab'), 'latin1'))
+
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, verifyDigests: true }).verifyDigests, 'warn')
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, verifyDigests: 'foo', log: logger }).verifyDigests, false)
+
+  // Untouched WARC
+  let archive = new WACZ({ input: FIXTURE_INPUT, output, verifyDigests: 'fail', log: logger })
+  await archive.process(false)
+  assert(archive.digestsVerified > 0)
+  assert.deepEqual(archive.digestMismatches, [])
+
+  // "warn": mismatches are reported
+  archive = new WACZ({ input: [{ name: 'tampered.warc.gz', buffer: tampered }], output, verifyDigests: 'warn', log: logger })
+  const events = []
+  archive.on('digest-mismatch', data => events.push(data))
+
+  await archive.process(false)
+  assert(archive.digestMismatches.length > 0)
+  assert.deepEqual(events, archive.digestMismatches)
+  assert(archive.digestMismatches.every(({ warc, header }) => warc === 'tampered.warc.gz' && header.endsWith('-Digest')))
+
+  // "fail": nothing gets signed
+  archive = new WACZ({ input: [{ name: 'tampered.warc.gz', buffer: tampered }], output, verifyDigests: 'fail', log: logger })
+  await assert.rejects(archive.process(false), /mismatch/)
+
+  await fs.rm(output, { force: true })
+})
+
+test('WACZ constructor throws if options.include or options.exclude are invalid.', async (_t) => {
+  const scenarios = ['url:*', {}, { foo: 'bar' }, [{ status: 'foo' }], [{ url: '' }], 12]
+
+  for (const rules of scenarios) {
+    assert.throws(() => new WACZ({ input: FIXTURE_INPUT, include: rules }))
+    assert.throws(() => new WACZ({ input: FIXTURE_INPUT, exclude: rules }))
+  }
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, exclude: { mime: 'image/*' } })
+  assert.deepEqual(archive.exclude, [{ mime: 'image/*' }])
+  assert.deepEqual(archive.getFilters(), { include: [], exclude: [{ mime: 'image/*' }] })
+  assert.equal(new WACZ({ input: FIXTURE_INPUT }).getFilters(), null)
+})
+
+test('WACZ.process only keeps captures and pages matching options.include and options.exclude.', async (_t) => {
+  const output = 'tmp-filters.wacz'
+
+  let archive = new WACZ({ input: FIXTURE_INPUT, output, exclude: [{ mime: 'image/*' }, { surt: 'tools,lil,analytics)/' }] })
+  await archive.process(false)
+
+  assert(archive.cdxArray.length > 0)
+  assert(archive.cdxArray.every(line => !line.includes('"mime":"image/') && !line.startsWith('tools,lil,analytics)/')))
+  assert(archive.pagesArray.some(page => page.url === 'https://lil.law.harvard.edu/projects/'))
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  const datapackage = JSON.parse(await zip.entryData('datapackage.json'))
+  assert.deepEqual(datapackage.filters, { include: [], exclude: [{ mime: 'image/*' }, { surt: 'tools,lil,analytics)/' }] })
+  await zip.close()
+
+  // Pages which capture was filtered out are not detected
+  archive = new WACZ({ input: FIXTURE_INPUT, output, include: [{ url: /\.css\b/ }], log: { ...console, warn: () => {} } })
+  await archive.process(false)
+
+  assert(archive.cdxArray.length > 0)
+  assert(archive.cdxArray.every(line => line.includes('"mime":"text/css"')))
+  assert.equal(archive.pagesArray.length, 0)
+
+  await fs.unlink(output)
+})
+
+test('WACZ constructor throws if options.redact is invalid, or provided in index-only mode.', async (_t) => {
+  for (const redact of [{}, { foo: 'bar' }, [{ url: '*', reason: 12 }], 12]) {
+    assert.throws(() => new WACZ({ input: FIXTURE_INPUT, redact }))
+  }
+
+  assert.throws(() => new WACZ({ input: FIXTURE_INPUT, indexOnly: true, redact: 'https://example.com/*' }))
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, redact: ['https://example.com/*', /example/, { status: 404, reason: 'Not found' }] })
+  assert.deepEqual(archive.redact, [{ url: 'https://example.com/*' }, { url: /example/ }, { status: 404, reason: 'Not found' }])
+})
+
+test('WACZ.process removes records matching options.redact from the WARCs it packages, and logs them.', async (_t) => {
+  const output = 'tmp-redact.wacz'
+  const url = 'https://lil.law.harvard.edu/projects/'
+  const logger = { ...console, info: () => {} }
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, url, redact: { url, reason: 'Takedown' }, log: logger })
+  const events = []
+  archive.on('record-redacted', data => events.push(data))
+
+  await archive.process(false)
+
+  assert.equal(archive.redactions.length, 2) // Response and request
+  assert.deepEqual(events, archive.redactions)
+  assert(archive.redactions.every(redaction => redaction.warc === 'lil-projects.warc.gz' && redaction.url === url && redaction.reason === 'Takedown'))
+  assert(!archive.cdxArray.find(line => line.includes(`"url":"${url}"`)))
+  assert(!archive.pagesArray.find(page => page.url === url))
+
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const zip = new StreamZip.async({ file: output }) // eslint-disable-line
+  const original = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const warc = await zip.entryData('archive/lil-projects.warc.gz')
+  assert.equal(warc.byteLength, original.byteLength - archive.redactions.reduce((total, redaction) => total + redaction.length, 0))
+
+  const redactionLog = (await zip.entryData('logs/redactions.jsonl')).toString('utf-8').trim().split('\n').map(line => JSON.parse(line))
+  assert.deepEqual(redactionLog, archive.redactions)
+
+  const datapackage = JSON.parse(await zip.entryData('datapackage.json'))
+  assert.deepEqual(datapackage.redaction, { log: 'logs/redactions.jsonl', records: 2, rules: [{ url, reason: 'Takedown' }] })
+  assert(datapackage.resources.find(resource => resource.path === 'logs/redactions.jsonl'))
+  await zip.close()
+
+  await fs.unlink(output)
+})
+
+test('WACZ.addRecord does not write records matching options.redact.', async (_t) => {
+  const archive = new WACZ({ input: [], output: 'tmp-redact-records.wacz', redact: { url: 'https://example.com/private/*' } })
+
+  assert.deepEqual(await archive.addRecord({ url: 'https://example.com/private/data', body: 'Secret' }), [])
+  assert.equal(archive.recordsWARC, null)
+  assert.equal(archive.redactions.length, 1)
+  assert.equal(archive.redactions[0].offset, null)
+  assert.equal(archive.redactions[0].url, 'https://example.com/private/data')
+
+  assert.equal((await archive.addRecord({ url: 'https://example.com/', body: 'Hello world' })).length, 1)
+  await archive.process(false)
+  await fs.unlink('tmp-redact-records.wacz')
+})
+
+test('WACZ spills CDX entries to disk past options.indexMemoryLimit, with identical results.', async (_t) => {
+  const padding = []
+
+  for (let i = 0; i < ZIP_NUM_SHARED_INDEX_LIMIT * 2 + 500; i++) {
+    padding.push(`com,example)/${String(i).padStart(5, '0')} 20230101000000 {"url":"https://example.com/"}\n`)
+  }
+
+  // Scenarios: flat index.cdx, ZipNum Shared Index
+  for (const extra of [[], padding]) {
+    const output = 'tmp-index-memory-limit'
+    const inMemory = new WACZ({ input: FIXTURE_INPUT, indexOnly: true })
+    const spilled = new WACZ({ input: FIXTURE_INPUT, output, indexOnly: true, indexMemoryLimit: 4096 })
+
+    for (const archive of [inMemory, spilled]) {
+      archive.initWorkerPool()
+      await archive.indexWARCs()
+      for (let i = extra.length; i > 0; i -= 100) {
+        await archive.addCDXEntries(extra.slice(Math.max(i - 100, 0), i))
+      }
+
+      archive.harvestArraysFromTrees()
+    }
+
+    assert(spilled.cdxRuns.length > (extra.length ? 1 : 0))
+    assert.equal(spilled.cdxArray.length, 0)
+
+    const expected = await inMemory.createIndexes()
+    const indexes = await spilled.createIndexes()
+
+    assert.deepEqual(Object.keys(indexes), Object.keys(expected))
+
+    for (const [filename, data] of Object.entries(indexes)) {
+      assert.deepEqual(data.constructor.name === 'String' ? await fs.readFile(data) : data, expected[filename])
+    }
+
+    // Spilled indexes can also be written to a directory
+    await spilled.writeIndexesToDirectory()
+
+    for (const [filename, data] of Object.entries(expected)) {
+      assert.deepEqual(await fs.readFile(`${output}${sep}${filename}`), data)
+    }
+
+    await fs.rm(output, { recursive: true })
+    await fs.rm(spilled.tmpDirectory, { recursive: true })
+  }
+})
+
+test('WACZ.process resolves with the size and hash of the resulting .wacz file.', async (_t) => {
+  const output = 'tmp-output-summary.wacz'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output })
+
+  const summary = await archive.process(false)
+
+  assert.equal(summary.bytes, (await fs.stat(output)).size)
+  assert.equal(summary.hash, await archive.sha256(output))
+
+  await fs.unlink(output)
+})
+
+test('WACZ.process accepts Node.js and WHATWG writable streams as options.output.', async (_t) => {
+  const createOutputs = () => {
+    const chunks = []
+
+    return [
+      chunks,
+      [
+        new Writable({ write: (chunk, _encoding, callback) => { chunks.push(chunk); callback() } }),
+        new WritableStream({ write: (chunk) => { chunks.push(Buffer.from(chunk)) } })
+      ]
+    ]
+  }
+
+  for (const index of [0, 1]) {
+    const [chunks, outputs] = createOutputs()
+    const archive = new WACZ({ input: FIXTURE_INPUT, output: outputs[index] })
+
+    assert.equal(archive.output, null)
+
+    const summary = await archive.process(false)
+    const data = Buffer.concat(chunks)
+
+    assert.equal(summary.bytes, data.byteLength)
+    assert.equal(summary.hash, await archive.sha256(data))
+
+    // Check that output is a valid WACZ
+    const output = `tmp-output-stream-${index}.wacz`
+    await fs.writeFile(output, data)
+    assert.equal((await validateWACZ(output)).valid, true)
+    await fs.unlink(output)
+  }
+})
+
+test('WACZ constructor accounts for options.reproducible, using SOURCE_DATE_EPOCH if set.', async (_t) => {
+  assert.equal(new WACZ({ input: FIXTURE_INPUT, reproducible: 'yes' }).reproducible, false)
+
+  let archive = new WACZ({ input: FIXTURE_INPUT, reproducible: true })
+  assert.equal(archive.sourceDate, '1980-01-01T00:00:00.000Z')
+  assert.equal(archive.ts, archive.sourceDate)
+
+  process.env.SOURCE_DATE_EPOCH = '1700000000'
+  archive = new WACZ({ input: FIXTURE_INPUT, reproducible: true, ts: '2023-01-01' })
+  delete process.env.SOURCE_DATE_EPOCH
+
+  assert.equal(archive.sourceDate, '2023-11-14T22:13:20.000Z')
+  assert.equal(archive.ts, '2023-01-01T00:00:00.000Z')
+})
+
+test('WACZ.process writes byte-identical archives out of identical inputs if options.reproducible is set.', async (_t) => {
+  const fixture = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+  const outputs = ['tmp-reproducible-1.wacz', 'tmp-reproducible-2.wacz']
+  const hashes = []
+
+  process.env.SOURCE_DATE_EPOCH = '1700000000'
+
+  for (const output of outputs) {
+    // The same pages are found in both WARCs, which are indexed concurrently
+    const archive = new WACZ({
+      input: [FIXTURE_INPUT, { name: 'copy.warc.gz', buffer: await fs.readFile(fixture) }],
+      output,
+      reproducible: true
+    })
+
+    await archive.addRecord({ url: 'https://example.com/', body: '<html><body><p>Hello</p></body></html>', headers: { 'content-type': 'text/html' }, requestHeaders: {} })
+    hashes.push((await archive.process(false)).hash)
+  }
+
+  delete process.env.SOURCE_DATE_EPOCH
+
+  assert.equal(hashes[0], hashes[1])
+
+  const reader = new WACZReader(outputs[0])
+  await reader.load()
+
+  assert.equal(reader.datapackage.created, '2023-11-14T22:13:20.000Z')
+  assert.equal(reader.datapackage.mainPageDate, '2023-11-14T22:13:20.000Z')
+  await reader.close()
+
+  const zip = new StreamZip.async({ file: outputs[0] }) // eslint-disable-line
+  assert(Object.values(await zip.entries()).every(entry => entry.time === new Date('2023-11-14T22:13:20.000Z').getTime()))
+  await zip.close()
+
+  for (const output of outputs) {
+    await fs.unlink(output)
+  }
+})
+
 // Note: if `TEST_SIGNING_URL` / `TEST_SIGNING_TOKEN` are present, this will also test the signing feature.
 test('WACZ.process runs the entire process and writes a valid .wacz to disk, accounting for options.', async (_t) => {
   //
@@ -277,6 +1329,8 @@ test('WACZ.process runs the entire process and writes a valid .wacz to disk, acc
   const pagesJSONL = (await zip.entryData('pages/pages.jsonl')).toString('utf-8')
   let pagesCount = 0
 
+  assert(pagesJSONL.startsWith('{"format": "json-pages-1.0", "id": "pages", "title": "All Pages"}\n'))
+
   for (const entry of pagesJSONL.split('\n')) {
     if (!entry.startsWith('{')) {
       continue
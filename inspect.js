@@ -0,0 +1,79 @@
+/// <reference path="types.js" />
+
+import { WACZReader } from './reader.js'
+import { sha256 } from './utils/hashing.js'
+import { verifyWACZSignature } from './utils/signatures.js'
+
+/**
+ * Summarizes the contents of an existing .wacz file, without extracting it.
+ * The signature of `datapackage-digest.json`, if any, is verified against the hash of `datapackage.json` (see `verifyWACZSignature()`).
+ *
+ * Usage:
+ * ```
+ * const summary = await inspectWACZ('collection.wacz')
+ * console.log(summary.title, summary.pages, summary.signature.status)
+ * ```
+ *
+ * @param {string} filename - Path to the .wacz file to inspect.
+ * @param {Object} [options={}]
+ * @param {?any} [options.log] - Will be used instead of the Console API for logging, if compatible.
+ * @returns {Promise<WACZSummary>}
+ */
+export const inspectWACZ = async (filename, options = {}) => {
+  const reader = new WACZReader(filename, { log: options?.log })
+
+  try {
+    await reader.load()
+
+    const { datapackage, digest, entries, pageLists } = reader
+
+    /** @type {WACZSummary} */
+    const summary = {
+      filename,
+      title: datapackage?.title ?? null,
+      description: datapackage?.description ?? null,
+      created: datapackage?.created ?? null,
+      software: datapackage?.software ?? null,
+      waczVersion: datapackage?.wacz_version ?? null,
+      mainPageUrl: datapackage?.mainPageUrl ?? null,
+      mainPageDate: datapackage?.mainPageDate ?? null,
+      resources: (datapackage?.resources || []).map(({ path, bytes, hash }) => ({ path, bytes, hash })),
+      pages: pageLists.find(list => list.path === 'pages/pages.jsonl')?.pages?.length ?? 0,
+      pageLists: pageLists.map(({ path, id, title, pages }) => ({ path, id, title, pages: pages.length })),
+      index: null,
+      cdxEntries: 0,
+      signature: { status: 'unsigned', domain: null, created: null, valid: null, errors: [] }
+    }
+
+    if (entries.includes('indexes/index.idx')) {
+      summary.index = 'zipnum'
+    } else if (entries.find(path => path.startsWith('indexes/') && /\.cdxj?$/.test(path))) {
+      summary.index = 'cdx'
+    }
+
+    summary.cdxEntries = (await reader.readIndexLines()).length
+
+    if (digest?.signedData) {
+      // The signature must cover datapackage.json as it currently is
+      const hash = await sha256(await reader.zip.entryData('datapackage.json'))
+      const verification = verifyWACZSignature(digest.signedData, hash)
+
+      if (digest.hash !== hash) {
+        verification.valid = false
+        verification.errors.unshift(`datapackage-digest.json: Hash mismatch: expected ${digest.hash}, got ${hash}.`)
+      }
+
+      summary.signature = {
+        status: verification.type ?? 'invalid',
+        domain: verification.domain,
+        created: verification.created,
+        valid: verification.valid,
+        errors: verification.errors
+      }
+    }
+
+    return summary
+  } finally {
+    await reader.close()
+  }
+}
@@ -0,0 +1,87 @@
+/// <reference path="types.js" />
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sep } from 'path'
+import fs from 'fs/promises'
+import { generateKeyPairSync } from 'crypto'
+
+import { WACZ } from './index.js'
+import { inspectWACZ } from './inspect.js'
+import { FIXTURES_PATH } from './constants.js'
+
+/**
+ * Path to *.warc.gz files in the fixture folder.
+ * @constant
+ */
+const FIXTURE_INPUT = `${FIXTURES_PATH}${sep}*.warc.gz`
+
+test('inspectWACZ summarizes an unsigned WACZ.', async (_t) => {
+  const output = 'tmp-inspect-unsigned.wacz'
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, title: 'Inspect test', url: 'https://lil.law.harvard.edu/' })
+  await archive.process(false)
+
+  const summary = await inspectWACZ(output)
+
+  assert.equal(summary.filename, output)
+  assert.equal(summary.title, 'Inspect test')
+  assert.equal(summary.mainPageUrl, 'https://lil.law.harvard.edu/')
+  assert.equal(summary.waczVersion, '1.1.1')
+  assert.deepEqual(
+    summary.resources.map(resource => resource.path),
+    archive.resources.filter(resource => resource.path !== 'datapackage.json').map(resource => resource.path)
+  )
+  assert.equal(summary.pages, archive.pagesArray.length)
+  assert.equal(summary.index, 'cdx')
+  assert.equal(summary.cdxEntries, archive.cdxArray.length)
+  assert.equal(summary.signature.status, 'unsigned')
+  assert.equal(summary.signature.valid, null)
+
+  await fs.unlink(output)
+})
+
+test('inspectWACZ reports signature status.', async (_t) => {
+  const output = 'tmp-inspect-signed.wacz'
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signingKey: privateKey })
+  await archive.process(false)
+
+  const summary = await inspectWACZ(output)
+
+  assert.equal(summary.signature.status, 'anonymous')
+  assert.equal(summary.signature.valid, true)
+  assert.equal(summary.signature.created, archive.datapackageDate)
+
+  await fs.unlink(output)
+})
+
+test('inspectWACZ reports signatures as invalid if datapackage.json does not match the signed hash.', async (_t) => {
+  const output = 'tmp-inspect-tampered.wacz'
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+
+  const archive = new WACZ({ input: FIXTURE_INPUT, output, signingKey: privateKey })
+
+  // Digest and signature will be computed from the hash recorded for datapackage.json, which is tampered with here.
+  const addFileToZip = archive.addFileToZip
+
+  archive.addFileToZip = async (file, destination) => {
+    const resource = await addFileToZip(file, destination)
+
+    if (destination === 'datapackage.json') {
+      resource.hash = await archive.sha256(Buffer.from('FOO'))
+    }
+
+    return resource
+  }
+
+  await archive.process(false)
+
+  const summary = await inspectWACZ(output)
+
+  assert.equal(summary.signature.status, 'anonymous')
+  assert.equal(summary.signature.valid, false)
+  assert.match(summary.signature.errors[0], /Hash mismatch/)
+
+  await fs.unlink(output)
+})
@@ -0,0 +1,257 @@
+/// <reference path="types.js" />
+
+import fs from 'fs/promises'
+import { createWriteStream } from 'fs'
+import { basename, join } from 'path'
+import { tmpdir } from 'os'
+import { pipeline } from 'stream/promises'
+
+import { escape } from 'glob'
+
+import { WACZ, DEFAULT_PAGE_LIST } from './index.js'
+import { WACZReader, parseCDXJLine } from './reader.js'
+import { reserveFilename } from './utils/paths.js'
+import { createFilter } from './utils/filters.js'
+
+/**
+ * Combines multiple .wacz files into one:
+ * - All WARCs are carried over. Conflicting basenames are suffixed (i.e: "example-1.warc.gz").
+ * - Source indexes are reused as is (with their `filename` field updated accordingly) and merged into a single sorted index.
+ *   WARCs coming from a WACZ which index is missing or invalid are re-indexed.
+ * - Pages lists are combined by id (`pages/pages.jsonl` being the default list), entries being de-duplicated by url.
+ *   The title, description and path of each list are those of the first source which has it.
+ * - `options.include` and `options.exclude` apply to source indexes as well. Pages which captures were all excluded are left out.
+ * - If `options.redact` is set, WARCs containing matching records are rewritten without them and re-indexed (see `WACZ.redactWARCs()`).
+ * - Unless provided via `options`, `title` and `description` are built from the sources' and `extras` are merged
+ *   (in input order, `options.datapackageExtras` being applied last).
+ *
+ * Usage:
+ * ```
+ * await mergeWACZ(['session-1.wacz', 'session-2.wacz'], { output: 'collection.wacz' })
+ * ```
+ *
+ * @param {string[]} inputs - Paths to the .wacz files to merge.
+ * @param {WACZOptions} [options={}] - Options for the resulting WACZ. `input`, `detectPages`, `pageLists` and `detectedPagesList` are ignored. `signal` is also checked between inputs.
+ * @returns {Promise<WACZ>} - Consumed WACZ instance, for reference purposes.
+ */
+export const mergeWACZ = async (inputs, options = {}) => {
+  const log = options?.log || console
+
+  if (!Array.isArray(inputs) || inputs.length < 1) {
+    throw new Error('"inputs" must be an array of paths to .wacz files.')
+  }
+
+  const tmp = await fs.mkdtemp(join(tmpdir(), 'js-wacz-merge-'))
+
+  try {
+    const taken = new Set()
+    const WARCs = []
+    const reindex = new Set()
+    let cdx = []
+    const pageLists = new Map() // By id: {list: WACZPageListDefinition, pages: WACZPage[]}
+    const datapackages = []
+
+    for (const input of inputs) {
+      options?.signal?.throwIfAborted()
+
+      const reader = new WACZReader(input, { log })
+
+      try {
+        await reader.load()
+        datapackages.push(reader.datapackage)
+
+        // Extract WARCs, under a new name if needed
+        const renamed = {}
+
+        for (const path of reader.entries.filter(path => path.startsWith('archive/') && !path.endsWith('/'))) {
+          const name = path.slice('archive/'.length)
+
+          if (!/\.warc(\.gz)?$/i.test(name)) {
+            log.warn(`${input}: ${path} is not a WARC file. Skipping.`)
+            continue
+          }
+
+          const filename = reserveFilename(name, taken)
+          await pipeline(await reader.streamEntry(path), createWriteStream(join(tmp, filename)))
+
+          renamed[name] = filename
+          WARCs.push(join(tmp, filename))
+        }
+
+        // Reuse source index if valid, re-index otherwise
+        try {
+          const lines = await reader.readIndexLines()
+
+          if (lines.length < 1) {
+            throw new Error('No index found.')
+          }
+
+          cdx.push(...lines.map(line => rewriteCDXJLine(line, renamed)))
+        } catch (err) {
+          log.trace(err)
+          log.warn(`${input}: index is missing or invalid. WARCs will be re-indexed.`)
+
+          for (const filename of Object.values(renamed)) {
+            reindex.add(filename)
+          }
+        }
+
+        for (const { path, id, title, description, pages } of reader.pageLists) {
+          const key = getPageListId(path, id)
+
+          if (!pageLists.has(key)) {
+            // Paths which cannot be kept as is are replaced by "pages/<id>.jsonl"
+            const paths = [...pageLists.values()].map(({ list }) => list.path)
+            const keep = key !== DEFAULT_PAGE_LIST.id && /^pages\/[\w.-]+\.jsonl$/.test(path) && !paths.includes(path)
+            pageLists.set(key, { list: { id: key, path: keep ? path : undefined, title, description }, pages: [] })
+          }
+
+          pageLists.get(key).pages.push(...pages.filter(page => page?.url))
+        }
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`${input} could not be merged.`)
+      } finally {
+        await reader.close()
+      }
+    }
+
+    // Metadata: provided options take precedence over those of the sources
+    const unique = (key) => [...new Set(datapackages.map(datapackage => datapackage?.[key]).filter(value => value))]
+
+    let datapackageExtras = null
+
+    for (const extras of [...datapackages.map(datapackage => datapackage?.extras), options?.datapackageExtras]) {
+      if (extras && extras.constructor === Object) {
+        datapackageExtras = { ...datapackageExtras, ...extras }
+      }
+    }
+
+    const archive = new WACZ({
+      ...options,
+      input: WARCs.map(escape),
+      detectPages: false,
+      title: options?.title || unique('title').join(' / '),
+      description: options?.description || unique('description').join('\n\n'),
+      url: options?.url || unique('mainPageUrl')[0],
+      ts: options?.ts || unique('mainPageDate')[0],
+      datapackageExtras,
+      pageLists: [...pageLists.values()].map(({ list }) => list),
+      detectedPagesList: null,
+      log
+    })
+
+    archive.initOutputStreams()
+
+    for (const [id, { pages }] of pageLists) {
+      const pagesTree = archive.getPagesTree(id)
+
+      for (const page of pages) {
+        pagesTree.setIfNotPresent(page.url, page)
+      }
+    }
+
+    // Redacted copies of WARCs are re-indexed: source index entries pointing to them are dropped
+    const redacted = await archive.redactWARCs()
+
+    if (redacted.length > 0) {
+      cdx = cdx.filter(line => !redacted.includes(parseCDXJLine(line).filename))
+
+      for (const filename of redacted) {
+        reindex.add(filename)
+      }
+    }
+
+    if (archive.getFilters()) {
+      const filter = createFilter(archive.getFilters())
+      const kept = new Set()
+      const excluded = new Set()
+
+      cdx = cdx.filter(line => {
+        const { urlkey, timestamp, url, mime, status } = parseCDXJLine(line)
+
+        if (filter({ url, surt: urlkey, mime, status, timestamp })) {
+          kept.add(url)
+          return true
+        }
+
+        excluded.add(url)
+        return false
+      })
+
+      for (const url of excluded) {
+        if (!kept.has(url)) {
+          archive.deletePage(url)
+        }
+      }
+    }
+
+    await archive.addCDXEntries(cdx)
+
+    if (reindex.size > 0) {
+      archive.initWorkerPool()
+      await archive.indexWARCs(archive.WARCs.filter(warc => reindex.has(archive.getWARCName(warc))))
+    }
+
+    archive.harvestArraysFromTrees()
+    await archive.writeIndexesToZip()
+    await archive.writePagesToZip()
+
+    if (archive.redact.length > 0) {
+      await archive.writeRedactionLogToZip()
+    }
+
+    await archive.writeWARCsToZip()
+    await archive.writeDatapackageToZip()
+    await archive.writeDatapackageDigestToZip()
+    await archive.finalize()
+
+    return archive
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Checks a CDXJ line coming from a source WACZ and points it to the (possibly renamed) WARC it references.
+ * @param {string} line
+ * @param {Object<string, string>} renamed - New WARC filename, by original filename.
+ * @returns {string}
+ * @throws Error - If the line is not a usable CDXJ line.
+ */
+const rewriteCDXJLine = (line, renamed) => {
+  const [urlkey, timestamp] = line.split(' ', 2)
+
+  if (!urlkey || !/^\d{4,14}$/.test(timestamp || '')) {
+    throw new Error(`Invalid CDXJ line: ${line}`)
+  }
+
+  const data = JSON.parse(line.slice(urlkey.length + timestamp.length + 2))
+
+  if (!renamed[data?.filename] || !Number.isInteger(Number(data?.offset)) || !Number.isInteger(Number(data?.length))) {
+    throw new Error(`CDXJ line does not reference a WARC record of this archive: ${line}`)
+  }
+
+  data.filename = renamed[data.filename]
+
+  return `${urlkey} ${timestamp} ${JSON.stringify(data)}\n`
+}
+
+/**
+ * Returns the id under which a pages list coming from a source WACZ is merged.
+ * `pages/pages.jsonl` is always the default list. Other lists are identified by the id in their header or, failing that, their filename.
+ * @param {string} path - In-zip path of the list.
+ * @param {?string} id - From the header line of the list.
+ * @returns {string}
+ */
+const getPageListId = (path, id) => {
+  if (path === DEFAULT_PAGE_LIST.path) {
+    return DEFAULT_PAGE_LIST.id
+  }
+
+  if (typeof id === 'string' && /^[\w.-]+$/.test(id)) {
+    return id
+  }
+
+  return basename(path, '.jsonl').replace(/[^\w.-]/g, '_')
+}
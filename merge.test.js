@@ -0,0 +1,168 @@
+/// <reference path="types.js" />
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+
+import { mergeWACZ } from './merge.js'
+import { validateWACZ } from './validate.js'
+import { WACZReader } from './reader.js'
+import { createFixtureWACZ } from './fixtures/helpers.js'
+
+test('mergeWACZ throws if no inputs were provided.', async (_t) => {
+  await assert.rejects(() => mergeWACZ([], { output: 'tmp-merge.wacz' }))
+  await assert.rejects(() => mergeWACZ('foo.wacz', { output: 'tmp-merge.wacz' }))
+})
+
+test('mergeWACZ combines WARCs, indexes and pages of multiple WACZ files.', async (_t) => {
+  const inputs = ['tmp-merge-input-1.wacz', 'tmp-merge-input-2.wacz']
+  const output = 'tmp-merge-output.wacz'
+
+  await createFixtureWACZ(inputs[0], { options: { title: 'Session 1', datapackageExtras: { a: 1, b: 1 } } })
+  await createFixtureWACZ(inputs[1], { options: { title: 'Session 2', datapackageExtras: { b: 2 } } })
+
+  const sourceReader = new WACZReader(inputs[0])
+  await sourceReader.load()
+  const sourceCDX = await sourceReader.readIndexLines()
+  const sourcePages = sourceReader.pageLists[0].pages
+  await sourceReader.close()
+
+  await mergeWACZ(inputs, { output, datapackageExtras: { c: 3 } })
+
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  // Colliding WARC basenames were renamed
+  assert(reader.entries.includes('archive/lil-projects.warc.gz'))
+  assert(reader.entries.includes('archive/lil-projects-1.warc.gz'))
+
+  // Index references both copies, is sorted and holds all source entries
+  const cdx = await reader.readIndexLines()
+  assert.equal(cdx.length, sourceCDX.length * 2)
+  assert.deepEqual(cdx, [...cdx].sort())
+  assert.equal(cdx.filter(line => line.includes('"filename":"lil-projects-1.warc.gz"')).length, sourceCDX.length)
+
+  // Records can be retrieved from the merged archive
+  const record = await reader.getRecord(sourcePages[0].url)
+  assert.equal(record.warcTargetURI, sourcePages[0].url)
+
+  // Pages are de-duplicated by url
+  assert.equal(reader.pageLists[0].pages.length, sourcePages.length)
+
+  // Metadata
+  assert.equal(reader.datapackage.title, 'Session 1 / Session 2')
+  assert.deepEqual(reader.datapackage.extras, { a: 1, b: 2, c: 3 })
+
+  await reader.close()
+
+  for (const file of [...inputs, output]) {
+    await fs.unlink(file)
+  }
+})
+
+test('mergeWACZ lets options override metadata from the sources.', async (_t) => {
+  const input = 'tmp-merge-override-input.wacz'
+  const output = 'tmp-merge-override-output.wacz'
+
+  await createFixtureWACZ(input, { options: { title: 'Source', description: 'Source description' } })
+  await mergeWACZ([input], { output, title: 'Merged', description: 'Merged description' })
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  assert.equal(reader.datapackage.title, 'Merged')
+  assert.equal(reader.datapackage.description, 'Merged description')
+
+  await reader.close()
+  await fs.unlink(input)
+  await fs.unlink(output)
+})
+
+test('mergeWACZ re-indexes WARCs coming from a WACZ which index is invalid.', async (_t) => {
+  const inputs = ['tmp-merge-invalid-1.wacz', 'tmp-merge-invalid-2.wacz']
+  const output = 'tmp-merge-invalid-output.wacz'
+
+  await createFixtureWACZ(inputs[0])
+  await createFixtureWACZ(inputs[1], {
+    tamper: async (archive) => {
+      await archive.addFileToZip(Buffer.from('com,example)/ 20230101000000 {"filename":"unknown.warc.gz"}\n'), 'indexes/extra.cdx')
+    }
+  })
+
+  await mergeWACZ(inputs, { output, log: { ...console, warn: () => {}, trace: () => {} } })
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  const cdx = await reader.readIndexLines()
+  const fromFirst = cdx.filter(line => line.includes('"filename":"lil-projects.warc.gz"'))
+  const fromSecond = cdx.filter(line => line.includes('"filename":"lil-projects-1.warc.gz"'))
+
+  assert(fromFirst.length > 0)
+  assert.equal(fromSecond.length, fromFirst.length)
+  assert(!cdx.find(line => line.includes('unknown.warc.gz')))
+
+  await reader.close()
+
+  for (const file of [...inputs, output]) {
+    await fs.unlink(file)
+  }
+})
+
+test('mergeWACZ applies options.include and options.exclude to source indexes and pages.', async (_t) => {
+  const input = 'tmp-merge-filters-input.wacz'
+  const output = 'tmp-merge-filters-output.wacz'
+
+  await createFixtureWACZ(input)
+  await mergeWACZ([input], { output, exclude: [{ mime: 'image/*' }, { url: 'https://lil.law.harvard.edu/projects/' }] })
+
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  const cdx = await reader.readIndexLines()
+  assert(cdx.length > 0)
+  assert(!cdx.find(line => line.includes('"mime":"image/') || line.includes('"url":"https://lil.law.harvard.edu/projects/"')))
+  assert(!reader.pageLists[0]?.pages.find(page => page.url === 'https://lil.law.harvard.edu/projects/'))
+  assert.deepEqual(reader.datapackage.filters.exclude, [{ mime: 'image/*' }, { url: 'https://lil.law.harvard.edu/projects/' }])
+
+  await reader.close()
+  await fs.unlink(input)
+  await fs.unlink(output)
+})
+
+test('mergeWACZ combines pages lists of the sources by id.', async (_t) => {
+  const inputs = ['tmp-merge-lists-1.wacz', 'tmp-merge-lists-2.wacz']
+  const output = 'tmp-merge-lists-output.wacz'
+
+  await createFixtureWACZ(inputs[0], {
+    options: { pageLists: [{ id: 'extraPages', title: 'Extra' }], detectedPagesList: 'extraPages' },
+    tamper: async (archive) => {
+      // No header line: identified by its filename
+      await archive.addFileToZip(Buffer.from('{"url": "https://lil.law.harvard.edu/", "title": "LIL"}\n'), 'pages/seeds.jsonl')
+    }
+  })
+
+  await createFixtureWACZ(inputs[1], { options: { pageLists: [{ id: 'extraPages', title: 'Other title' }] } })
+
+  await mergeWACZ(inputs, { output })
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  const lists = Object.fromEntries(reader.pageLists.map(list => [list.path, list]))
+  assert.deepEqual(Object.keys(lists).sort(), ['pages/extraPages.jsonl', 'pages/pages.jsonl', 'pages/seeds.jsonl'])
+  assert.equal(lists['pages/extraPages.jsonl'].title, 'Extra')
+  assert(lists['pages/extraPages.jsonl'].pages.length > 0)
+  assert(lists['pages/pages.jsonl'].pages.length > 0) // Detected pages of the second source
+
+  await reader.close()
+
+  for (const file of [...inputs, output]) {
+    await fs.unlink(file)
+  }
+})
@@ -0,0 +1,511 @@
+/// <reference path="types.js" />
+
+import fs from 'fs/promises'
+import { createReadStream } from 'fs'
+import { Readable } from 'stream'
+import { gunzipSync } from 'zlib'
+
+import StreamZip from 'node-stream-zip'
+import { WARCParser, WARCRecord, getSurt } from 'warcio' // eslint-disable-line
+
+/**
+ * Signature of a ZIP local file header.
+ * @constant
+ * @type {number}
+ */
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50
+
+/**
+ * Utility class allowing for opening and querying existing .wacz files.
+ *
+ * Usage:
+ * ```
+ * const reader = new WACZReader('collection.wacz')
+ * await reader.load()
+ *
+ * console.log(reader.datapackage.title)
+ *
+ * const record = await reader.getRecord('https://lil.law.harvard.edu/', '2023-02-22')
+ * console.log(await record.contentText())
+ *
+ * await reader.close()
+ * ```
+ */
+export class WACZReader {
+  /** @type {Console} */
+  log = console
+
+  /**
+   * Path to the .wacz file.
+   * @type {string}
+   */
+  filename = null
+
+  /**
+   * @type {?StreamZip.StreamZipAsync}
+   */
+  zip = null
+
+  /**
+   * If `true`, `load()` was successfully called.
+   * @type {boolean}
+   */
+  loaded = false
+
+  /**
+   * Parsed datapackage.json.
+   * @type {?object}
+   */
+  datapackage = null
+
+  /**
+   * Parsed datapackage-digest.json, if present.
+   * @type {?object}
+   */
+  digest = null
+
+  /**
+   * In-zip paths of all the files in the archive.
+   * @type {string[]}
+   */
+  entries = []
+
+  /**
+   * All pages lists found under `pages/`.
+   * @type {WACZPageList[]}
+   */
+  pageLists = []
+
+  /**
+   * Sorted lines of `indexes/index.cdx`, if present. Lazy-loaded.
+   * @type {?string[]}
+   */
+  cdxLines = null
+
+  /**
+   * Sorted entries of `indexes/index.idx`, if present. Lazy-loaded.
+   * @type {?{key: string, offset: number, length: number, filename: string}[]}
+   */
+  idxEntries = null
+
+  /**
+   * @param {string} filename - Path to the .wacz file to read.
+   * @param {Object} [options={}]
+   * @param {?any} [options.log] - Will be used instead of the Console API for logging, if compatible.
+   */
+  constructor (filename, options = {}) {
+    if (options?.log) {
+      this.log = options.log
+    }
+
+    if (!filename) {
+      throw new Error('"filename" must be a path to a .wacz file.')
+    }
+
+    this.filename = String(filename)
+  }
+
+  /**
+   * Opens the archive and loads datapackage.json, datapackage-digest.json, the list of entries and pages lists.
+   * @returns {Promise<void>}
+   */
+  load = async () => {
+    const { log } = this
+
+    try {
+      this.zip = new StreamZip.async({ file: this.filename }) // eslint-disable-line
+      this.entries = Object.keys(await this.zip.entries())
+    } catch (err) {
+      log.trace(err)
+      throw new Error(`${this.filename} could not be read as a ZIP file.`)
+    }
+
+    try {
+      this.datapackage = JSON.parse(await this.zip.entryData('datapackage.json'))
+    } catch (err) {
+      log.trace(err)
+      throw new Error(`${this.filename} does not contain a valid datapackage.json.`)
+    }
+
+    if (this.entries.includes('datapackage-digest.json')) {
+      try {
+        this.digest = JSON.parse(await this.zip.entryData('datapackage-digest.json'))
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`${this.filename} does not contain a valid datapackage-digest.json.`)
+      }
+    }
+
+    for (const path of this.entries.filter(path => path.startsWith('pages/') && path.endsWith('.jsonl'))) {
+      try {
+        this.pageLists.push(await this.readPageList(path))
+      } catch (err) {
+        log.trace(err)
+        throw new Error(`${path} could not be parsed.`)
+      }
+    }
+
+    this.loaded = true
+  }
+
+  /**
+   * Closes the underlying ZIP file.
+   * @returns {Promise<void>}
+   */
+  close = async () => {
+    if (this.zip) {
+      await this.zip.close()
+    }
+
+    this.zip = null
+    this.loaded = false
+  }
+
+  /**
+   * Throws if `load()` was not called.
+   * @returns {void}
+   */
+  stateCheck = () => {
+    if (this.loaded !== true) {
+      throw new Error('Archive must be loaded first.')
+    }
+  }
+
+  /**
+   * Reads and parses a pages list (i.e: `pages/pages.jsonl`).
+   * @param {string} path - In-zip path of the pages list.
+   * @returns {Promise<WACZPageList>}
+   */
+  readPageList = async (path) => {
+    const lines = (await this.zip.entryData(path)).toString('utf-8').split('\n').filter(line => line.trim())
+
+    /** @type {WACZPageList} */
+    const pageList = { path, id: null, title: null, description: null, pages: [] }
+
+    for (const line of lines) {
+      const entry = JSON.parse(line)
+
+      // Header line
+      if (entry?.format) {
+        pageList.id = entry?.id ?? null
+        pageList.title = entry?.title ?? null
+        pageList.description = entry?.description ?? null
+        continue
+      }
+
+      pageList.pages.push(entry)
+    }
+
+    return pageList
+  }
+
+  /**
+   * Reads all CDXJ lines from the archive's indexes (`indexes/*.cdx`, `indexes/*.cdxj` and `indexes/*.cdx.gz`).
+   * ZipNum Shared Index blocks are inflated in full: `index.idx` is not needed to read them.
+   * @returns {Promise<string[]>}
+   */
+  readIndexLines = async () => {
+    this.stateCheck()
+
+    const lines = new Set() // Consecutive ZipNum blocks may share a line
+
+    for (const path of this.entries.filter(path => path.startsWith('indexes/'))) {
+      let data = null
+
+      if (path.endsWith('.cdx') || path.endsWith('.cdxj')) {
+        data = await this.zip.entryData(path)
+      } else if (path.endsWith('.cdx.gz')) {
+        data = gunzipSync(await this.zip.entryData(path)) // Handles concatenated gzip members
+      } else {
+        continue
+      }
+
+      for (const line of data.toString('utf-8').split('\n')) {
+        if (line.trim()) {
+          lines.add(line)
+        }
+      }
+    }
+
+    return [...lines]
+  }
+
+  /**
+   * Returns the CDXJ entries matching a given url, from either `indexes/index.cdx` or the `index.idx` / `index.cdx.gz` ZipNum Shared Index pair.
+   * If `ts` is provided, entries are sorted by proximity to it. Otherwise, most recent entries come first.
+   * @param {string} url
+   * @param {?string} [ts=null] - Any value that `Date()` can parse, or a 14-digit timestamp.
+   * @returns {Promise<WACZCDXEntry[]>}
+   */
+  lookup = async (url, ts = null) => {
+    this.stateCheck()
+
+    const key = getSurt(url)
+    let lines = []
+
+    if (this.entries.includes('indexes/index.idx')) {
+      lines = await this.lookupZipNum(key)
+    } else if (this.entries.includes('indexes/index.cdx')) {
+      lines = await this.lookupCDX(key)
+    } else {
+      throw new Error(`${this.filename} does not contain a supported index.`)
+    }
+
+    const results = lines.map(parseCDXJLine)
+    const target = ts ? toEpoch(ts) : null
+
+    if (target !== null) {
+      const distance = (entry) => Math.abs(toEpoch(entry.timestamp) - target)
+      results.sort((a, b) => distance(a) - distance(b))
+    } else {
+      results.sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    }
+
+    return results
+  }
+
+  /**
+   * Returns the WARC record that best matches a given url (and optional timestamp), or `null` if there is none.
+   * Only the byte range of the record is read from the archive.
+   * @param {string} url
+   * @param {?string} [ts=null] - Any value that `Date()` can parse, or a 14-digit timestamp.
+   * @returns {Promise<?WARCRecord>}
+   */
+  getRecord = async (url, ts = null) => {
+    const [entry] = await this.lookup(url, ts)
+
+    if (!entry) {
+      return null
+    }
+
+    return await this.readRecord(entry)
+  }
+
+  /**
+   * Reads the WARC record a CDXJ entry points to, by streaming its byte range from `archive/`.
+   * @param {WACZCDXEntry} entry
+   * @returns {Promise<WARCRecord>}
+   */
+  readRecord = async (entry) => {
+    this.stateCheck()
+
+    const stream = await this.streamEntryRange(`archive/${entry.filename}`, Number(entry.offset), Number(entry.length))
+    const record = await new WARCParser(stream).parse()
+
+    if (!record) {
+      throw new Error(`No WARC record found at offset ${entry.offset} of ${entry.filename}.`)
+    }
+
+    return record
+  }
+
+  /**
+   * Streams a file contained in the archive.
+   * @param {string} path - In-zip path.
+   * @returns {Promise<Readable>}
+   */
+  streamEntry = async (path) => {
+    this.stateCheck()
+
+    if (!this.entries.includes(path)) {
+      throw new Error(`${path} is not present in ${this.filename}.`)
+    }
+
+    return await this.zip.stream(path)
+  }
+
+  /**
+   * Streams a byte range of a file contained in the archive.
+   * Data is read directly from disk for uncompressed (stored) entries, which is how WACZ files are written.
+   * @param {string} path - In-zip path.
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Readable>}
+   */
+  streamEntryRange = async (path, offset, length) => {
+    this.stateCheck()
+
+    const entry = await this.zip.entry(path)
+
+    if (!entry) {
+      throw new Error(`${path} is not present in ${this.filename}.`)
+    }
+
+    if (offset < 0 || length < 1 || offset + length > entry.size) {
+      throw new Error(`Range ${offset}-${offset + length} is out of bounds for ${path}.`)
+    }
+
+    // Stored entries: read range straight from the file
+    if (entry.method === 0) {
+      const header = Buffer.alloc(30)
+      const handle = await fs.open(this.filename)
+
+      try {
+        await handle.read(header, 0, 30, entry.offset)
+      } finally {
+        await handle.close()
+      }
+
+      if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER_SIGNATURE) {
+        throw new Error(`Local header of ${path} could not be read.`)
+      }
+
+      const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28) + offset
+      return createReadStream(this.filename, { start, end: start + length - 1 })
+    }
+
+    // Compressed entries: inflate and skip until range is reached
+    const source = await this.zip.stream(path)
+
+    return Readable.from((async function * () {
+      let position = 0
+
+      for await (const chunk of source) {
+        const start = Math.max(offset - position, 0)
+        const end = Math.min(offset + length - position, chunk.length)
+        position += chunk.length
+
+        if (end > start) {
+          yield chunk.subarray(start, end)
+        }
+
+        if (position >= offset + length) {
+          source.destroy()
+          break
+        }
+      }
+    })())
+  }
+
+  /**
+   * Finds lines matching a SURT key in `indexes/index.cdx`.
+   * @param {string} key
+   * @returns {Promise<string[]>}
+   */
+  lookupCDX = async (key) => {
+    if (!this.cdxLines) {
+      const data = (await this.zip.entryData('indexes/index.cdx')).toString('utf-8')
+      this.cdxLines = data.split('\n').filter(line => line.trim())
+    }
+
+    return collectMatchingLines(this.cdxLines, key, lowerBound(this.cdxLines, `${key} `))
+  }
+
+  /**
+   * Finds lines matching a SURT key in a ZipNum Shared Index (`indexes/index.idx` + `indexes/index.cdx.gz`).
+   * Only the blocks of `index.cdx.gz` which may hold matching lines are read.
+   * @param {string} key
+   * @returns {Promise<string[]>}
+   */
+  lookupZipNum = async (key) => {
+    if (!this.idxEntries) {
+      const data = (await this.zip.entryData('indexes/index.idx')).toString('utf-8')
+
+      this.idxEntries = data.split('\n')
+        .filter(line => line.trim() && !line.startsWith('!meta'))
+        .map(line => ({ key: line.split(' ')[0], ...JSON.parse(line.slice(line.indexOf(' {') + 1)) }))
+    }
+
+    const { idxEntries } = this
+    const results = new Set() // Consecutive blocks may share a line
+
+    // Start from the last block beginning strictly before `key`: matching lines may start there.
+    let i = Math.max(lowerBound(idxEntries.map(entry => entry.key), key) - 1, 0)
+
+    for (; i < idxEntries.length && idxEntries[i].key <= key; i++) {
+      const { offset, length, filename } = idxEntries[i]
+      const stream = await this.streamEntryRange(`indexes/${filename}`, offset, length)
+
+      const chunks = []
+
+      for await (const chunk of stream) {
+        chunks.push(chunk)
+      }
+
+      const lines = gunzipSync(Buffer.concat(chunks)).toString('utf-8').split('\n').filter(line => line.trim())
+      for (const line of collectMatchingLines(lines, key, lowerBound(lines, `${key} `))) {
+        results.add(line)
+      }
+    }
+
+    return [...results]
+  }
+}
+
+/**
+ * Returns the index of the first element of a sorted array which is greater or equal to `value`.
+ * @param {string[]} sorted
+ * @param {string} value
+ * @returns {number}
+ */
+const lowerBound = (sorted, value) => {
+  let low = 0
+  let high = sorted.length
+
+  while (low < high) {
+    const mid = (low + high) >>> 1
+
+    if (sorted[mid] < value) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+
+  return low
+}
+
+/**
+ * Collects consecutive CDXJ lines for a given SURT key, starting at `start`.
+ * @param {string[]} lines
+ * @param {string} key
+ * @param {number} start
+ * @returns {string[]}
+ */
+const collectMatchingLines = (lines, key, start) => {
+  const results = []
+
+  for (let i = start; i < lines.length && lines[i].startsWith(`${key} `); i++) {
+    results.push(lines[i])
+  }
+
+  return results
+}
+
+/**
+ * Parses a CDXJ line.
+ * @param {string} line
+ * @returns {WACZCDXEntry}
+ */
+export const parseCDXJLine = (line) => {
+  const [urlkey, timestamp] = line.split(' ', 2)
+  return { urlkey, timestamp, ...JSON.parse(line.slice(urlkey.length + timestamp.length + 2)) }
+}
+
+/**
+ * Converts a date or partial 14-digit timestamp (i.e: "2023", "20230101120000") into milliseconds since the Unix epoch.
+ * Missing timestamp fields default to the start of the period ("2023" -> 2023-01-01T00:00:00Z).
+ * @param {string} ts
+ * @returns {number}
+ * @throws {Error} - If `ts` is neither a timestamp nor a value `Date()` can parse.
+ */
+const toEpoch = (ts) => {
+  ts = String(ts)
+
+  if (/^\d{4,14}$/.test(ts)) {
+    const [year, month, day, hours, minutes, seconds] = (ts + '00000101000000'.slice(ts.length))
+      .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/)
+      .slice(1)
+      .map(Number)
+
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds)
+  }
+
+  const epoch = new Date(ts).getTime()
+
+  if (isNaN(epoch)) {
+    throw new Error(`"${ts}" is neither a 14-digit timestamp nor a date that can be parsed by JavaScript's Date class.`)
+  }
+
+  return epoch
+}
@@ -0,0 +1,150 @@
+/// <reference path="types.js" />
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sep } from 'path'
+import fs from 'fs/promises'
+
+import { ZIP_NUM_SHARED_INDEX_LIMIT } from './index.js'
+import { WACZReader } from './reader.js'
+import { FIXTURES_PATH } from './constants.js'
+import { createFixtureWACZ } from './fixtures/helpers.js'
+
+/**
+ * Synthetic CDX lines padding the fixtures' index past the size at which a ZipNum Shared Index is generated.
+ * @constant
+ */
+const ZIP_NUM_PADDING = Array.from({ length: ZIP_NUM_SHARED_INDEX_LIMIT * 2 }, (_, i) => {
+  const n = String(i).padStart(5, '0')
+  return `com,example)/${n} 20230101000000 {"url":"https://example.com/${n}","offset":0,"length":1,"filename":"foo.warc"}\n`
+})
+
+test('WACZReader constructor throws if no filename was provided.', async (_t) => {
+  assert.throws(() => new WACZReader())
+})
+
+test('WACZReader.load() throws on files that are not WACZ files.', async (_t) => {
+  const reader = new WACZReader(`${FIXTURES_PATH}${sep}example.pem`)
+  await assert.rejects(reader.load)
+})
+
+test('WACZReader methods throw if the archive was not loaded.', async (_t) => {
+  const reader = new WACZReader('foo.wacz')
+  await assert.rejects(() => reader.lookup('https://example.com'))
+})
+
+test('WACZReader exposes datapackage, digest, entries and pages lists.', async (_t) => {
+  const output = 'tmp-reader-metadata.wacz'
+  await createFixtureWACZ(output, { options: { title: 'Reader test' } })
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  assert.equal(reader.datapackage.title, 'Reader test')
+  assert.equal(reader.digest.path, 'datapackage.json')
+  assert(reader.entries.includes('indexes/index.cdx'))
+  assert(reader.entries.includes('archive/lil-projects.warc.gz'))
+
+  const pageList = reader.pageLists.find(list => list.path === 'pages/pages.jsonl')
+  assert(pageList)
+  assert(pageList.pages.length > 0)
+  assert(pageList.pages.every(page => page.url))
+
+  await reader.close()
+  await fs.unlink(output)
+})
+
+test('WACZReader retrieves records using either a flat CDX or a ZipNum Shared Index.', async (_t) => {
+  const scenarios = [
+    { output: 'tmp-reader-cdx.wacz', zipNum: false },
+    { output: 'tmp-reader-zipnum.wacz', zipNum: true }
+  ]
+
+  for (const { output, zipNum } of scenarios) {
+    await createFixtureWACZ(output, { cdxLines: zipNum ? ZIP_NUM_PADDING : [] })
+
+    const reader = new WACZReader(output)
+    await reader.load()
+
+    assert.equal(reader.entries.includes('indexes/index.idx'), zipNum)
+
+    // Known url: the record matching the CDX entry is returned
+    const url = reader.pageLists[0].pages[0].url
+    const [entry] = await reader.lookup(url)
+    assert(entry)
+    assert.equal(entry.url, url)
+
+    const record = await reader.getRecord(url)
+    assert.equal(record.warcTargetURI, url)
+    assert.equal(record.warcType, 'response')
+    assert((await record.contentText()).length > 0)
+
+    // Unknown url
+    assert.deepEqual(await reader.lookup('https://foo.bar/baz'), [])
+    assert.equal(await reader.getRecord('https://foo.bar/baz'), null)
+
+    if (zipNum) {
+      for (const n of ['00000', '02999', '03000', '05999']) {
+        const entries = await reader.lookup(`https://example.com/${n}`)
+        assert.equal(entries.length, 1)
+        assert.equal(entries[0].url, `https://example.com/${n}`)
+      }
+    }
+
+    await reader.close()
+    await fs.unlink(output)
+  }
+})
+
+test('WACZReader.lookup() sorts captures by proximity to the requested timestamp.', async (_t) => {
+  const output = 'tmp-reader-timestamp.wacz'
+  await createFixtureWACZ(output)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  // Find a url that was captured more than once
+  await reader.lookup('https://example.com') // Loads `cdxLines`
+
+  const counts = {}
+  for (const line of reader.cdxLines) {
+    const { url } = JSON.parse(line.slice(line.indexOf(' {') + 1))
+    counts[url] = (counts[url] ?? 0) + 1
+  }
+
+  const url = Object.keys(counts).find(url => counts[url] > 1)
+  assert(url)
+
+  const latestFirst = await reader.lookup(url)
+  const [latest, earliest] = [latestFirst[0], latestFirst[latestFirst.length - 1]]
+  assert(latest.timestamp >= earliest.timestamp)
+
+  assert.equal((await reader.lookup(url, earliest.timestamp))[0].timestamp, earliest.timestamp)
+  assert.equal((await reader.lookup(url, '1990-01-01'))[0].timestamp, earliest.timestamp)
+  assert.equal((await reader.lookup(url, '2999'))[0].timestamp, latest.timestamp)
+
+  await reader.close()
+  await fs.unlink(output)
+})
+
+test('WACZReader.lookup() measures proximity in elapsed time, across day and month boundaries.', async (_t) => {
+  const output = 'tmp-reader-boundaries.wacz'
+  const timestamps = ['20221231235959', '20230101120000', '20230131235959', '20230201120000']
+
+  await createFixtureWACZ(output, {
+    cdxLines: timestamps.map(ts => `com,example)/ ${ts} {"url":"https://example.com/","offset":0,"length":1,"filename":"foo.warc"}\n`)
+  })
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  // 1 second before vs. 12 hours after
+  assert.equal((await reader.lookup('https://example.com/', '20230101000000'))[0].timestamp, '20221231235959')
+  assert.equal((await reader.lookup('https://example.com/', '2023-02-01T00:00:00Z'))[0].timestamp, '20230131235959')
+  assert.equal((await reader.lookup('https://example.com/', '20230101110000'))[0].timestamp, '20230101120000')
+
+  await assert.rejects(() => reader.lookup('https://example.com/', 'not a date'), /not a date/)
+
+  await reader.close()
+  await fs.unlink(output)
+})
@@ -0,0 +1,35 @@
+/// <reference path="types.js" />
+
+import { mergeWACZ } from './merge.js'
+
+/**
+ * Creates a copy of an existing .wacz file from which records matching `options.redact` were physically removed.
+ * WARCs containing such records are rewritten without them and re-indexed, other WARCs and their index entries are carried over as is.
+ * Pages which url was redacted are left out, and removed records are listed in `logs/redactions.jsonl`.
+ * See `mergeWACZ()`, on which this is based, and `WACZOptions.redact`.
+ *
+ * Usage:
+ * ```
+ * await redactWACZ('collection.wacz', {
+ *   output: 'collection-redacted.wacz',
+ *   redact: [{ url: 'https://example.com/account/*', reason: 'Personal data' }]
+ * })
+ * ```
+ *
+ * @param {string} input - Path to the .wacz file to redact.
+ * @param {WACZOptions} options - Options for the resulting WACZ. `redact` is required.
+ * @returns {Promise<WACZ>} - Consumed WACZ instance, for reference purposes. See `WACZ.redactions`.
+ */
+export const redactWACZ = async (input, options = {}) => {
+  if (!input || input.constructor !== String) {
+    throw new Error('"input" must be a path to a .wacz file.')
+  }
+
+  const redact = options?.redact
+
+  if (!redact || (Array.isArray(redact) && redact.length < 1)) {
+    throw new Error('"redact" must be provided: there is nothing to redact.')
+  }
+
+  return await mergeWACZ([input], options)
+}
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sep } from 'path'
+import fs from 'fs/promises'
+
+import { WACZ, redactWACZ, validateWACZ, WACZReader } from './index.js'
+import { FIXTURES_PATH } from './constants.js'
+
+/**
+ * Path to *.warc.gz files in the fixture folder.
+ * @constant
+ */
+const FIXTURE_INPUT = `${FIXTURES_PATH}${sep}*.warc.gz`
+
+test('redactWACZ throws if no input or no redaction rule were provided.', async (_t) => {
+  await assert.rejects(() => redactWACZ(null, { output: 'tmp-redact-output.wacz', redact: 'https://example.com/' }))
+  await assert.rejects(() => redactWACZ('foo.wacz', { output: 'tmp-redact-output.wacz' }))
+  await assert.rejects(() => redactWACZ('foo.wacz', { output: 'tmp-redact-output.wacz', redact: [] }))
+})
+
+test('redactWACZ creates a copy of a WACZ without the records matching options.redact.', async (_t) => {
+  const input = 'tmp-redact-input.wacz'
+  const output = 'tmp-redact-output.wacz'
+  const url = 'https://lil.law.harvard.edu/projects/'
+
+  await new WACZ({ input: FIXTURE_INPUT, output: input, title: 'Source' }).process(false)
+
+  const sourceReader = new WACZReader(input)
+  await sourceReader.load()
+  const sourceCDX = await sourceReader.readIndexLines()
+  await sourceReader.close()
+
+  const archive = await redactWACZ(input, {
+    output,
+    redact: [{ url, reason: 'Takedown' }],
+    log: { ...console, info: () => {} }
+  })
+
+  assert.equal(archive.redactions.length, 2)
+  assert.equal((await validateWACZ(output)).valid, true)
+
+  const reader = new WACZReader(output)
+  await reader.load()
+
+  // The WARC was rewritten and re-indexed: remaining records can be retrieved
+  const cdx = await reader.readIndexLines()
+  assert.equal(cdx.length, sourceCDX.length - 1)
+  assert(!cdx.find(line => line.includes(`"url":"${url}"`)))
+
+  const record = await reader.getRecord('https://lil.law.harvard.edu/robots.txt')
+  assert.equal(record.warcTargetURI, 'https://lil.law.harvard.edu/robots.txt')
+
+  assert(!reader.pageLists[0]?.pages.find(page => page.url === url))
+  assert(reader.entries.includes('logs/redactions.jsonl'))
+  assert.equal(reader.datapackage.title, 'Source')
+  assert.equal(reader.datapackage.redaction.records, 2)
+
+  await reader.close()
+  await fs.unlink(input)
+  await fs.unlink(output)
+})
@@ -1,16 +1,40 @@
 /**
  * Options that can be provided to the WACZ class.
  * @typedef {Object} WACZOptions
- * @property {string|string[]} input - Required. Path(s) to input .warc or .warc.gz file(s). Glob-compatible.
- * @property {string} output - Required. Path to output .wacz file. Will default to PWD + `archive.wacz` if not provided.
+ * @property {string|WACZInMemoryWARC|Array<string|WACZInMemoryWARC>} input - Required. Path(s) to input .warc or .warc.gz file(s), glob-compatible, and / or in-memory WARC(s). Can be an empty array if records are provided via `WACZ.addRecord()`.
+ * @property {string|Writable|WritableStream} output - Required. Path to output .wacz file, or writable stream (Node.js or WHATWG) to which the archive will be streamed. Will default to PWD + `archive.wacz` if not provided. In index-only mode: path to the directory in which indexes and pages.jsonl will be written.
+ * @property {boolean} [preserveDirectories=false] - If true, WARCs found via glob keep their path relative to the pattern's base directory (i.e: `archive/crawl1/data.warc.gz`) instead of being stored by name. In any case, conflicting names are suffixed (i.e: `data-1.warc.gz`).
+ * @property {boolean} [indexOnly=false] - If true, no .wacz file will be created: `process()` will only write indexes and pages.jsonl to `output`.
+ * @property {?number} indexMemoryLimit - If set, approximate amount of memory (in bytes) CDX entries may use while being sorted. Past that limit, sorted runs are spilled to temporary files and merged when indexes are created.
  * @property {boolean} [detectPages=true] - If true (default), will attempt to detect pages in WARC records.
+ * @property {boolean|string} [tolerateErrors=false] - If set, truncated or corrupt records are skipped instead of failing, and WARCs that cannot be read at all are either left out of the archive ("exclude", or `true`) or included without index entries ("include"). See `WACZ.indexingErrors`.
+ * @property {boolean} [errorReport=false] - If true, errors tolerated while indexing are written to the archive as `logs/errors.jsonl`.
+ * @property {?(WACZFilterRule|WACZFilterRule[])} include - If set, only captures matching at least one of these rules are indexed and detected as pages. Listed in datapackage.json under `filters`.
+ * @property {?(WACZFilterRule|WACZFilterRule[])} exclude - Captures matching any of these rules are neither indexed nor detected as pages. Listed in datapackage.json under `filters`.
+ * @property {?(string|RegExp|WACZRedactionRule|Array<string|RegExp|WACZRedactionRule>)} redact - If set, records matching these rules are physically removed: affected WARCs are rewritten without them before being indexed, and packaged instead of the originals. Strings and regular expressions are matched against urls. Removed records are listed in `logs/redactions.jsonl`, referenced in datapackage.json under `redaction`. Cannot be used in index-only mode.
+ * @property {boolean|string} [verifyDigests=false] - If set, `WARC-Block-Digest` and `WARC-Payload-Digest` are recomputed for every record while indexing. Mismatches are logged ("warn", or `true`) or make indexing fail once all WARCs were read ("fail"). See `WACZ.digestMismatches`.
+ * @property {boolean} [workers=true] - If false, WARCs are indexed in the main thread instead of a pool of worker threads. Useful in runtimes where worker threads are unavailable or expensive.
+ * @property {?number} maxThreads - Maximum number of worker threads used for indexing. Defaults to 1.5x the number of CPUs.
+ * @property {?number} minThreads - Minimum number of worker threads kept alive while processing. Defaults to half the number of CPUs.
+ * @property {?number} idleTimeout - How long (in milliseconds) an idle worker thread is kept alive before being stopped. Defaults to 0.
+ * @property {?Object} resourceLimits - Resource limits applied to each worker thread: `maxOldGenerationSizeMb`, `maxYoungGenerationSizeMb`, `codeRangeSizeMb` and / or `stackSizeMb`. See Node.js' `Worker` documentation.
  * @property {?string} url - If set, will be added to datapackage.json as `mainPageUrl`.
  * @property {?string} ts - If set, will be added to datapackage.json as `mainPageDate`. Can be any value that `Date()` can parse.
  * @property {?string} title - If set, will be added to datapackage.json as `title`.
  * @property {?string} description - If set, will be added to datapackage.json as `description`.
  * @property {?string} signingUrl - If set, will be used to try and sign the resulting archive.
  * @property {?string} signingToken - Access token to be used in combination with `signingUrl`.
+ * @property {?(string|Buffer|Object|KeyObject)} signingKey - ECDSA P-384 private key (PEM, JWK or KeyObject). If set, will be used to sign the resulting archive locally (anonymous signature). Takes precedence over `signingUrl`.
+ * @property {?Object} signingHeaders - Additional HTTP headers to be sent to the server at `signingUrl`.
+ * @property {?number} signingTimeout - Timeout for requests to `signingUrl`, in milliseconds. Defaults to 30000.
+ * @property {?number} signingRetries - How many times a failed request to `signingUrl` may be retried. Defaults to 3.
+ * @property {?number} signingRetryDelay - Delay before the first retry, in milliseconds. Doubles on every retry. Defaults to 1000.
+ * @property {?(WACZSigner|{sign: WACZSigner})} signer - If set, will be used to sign the resulting archive. Takes precedence over `signingKey` and `signingUrl`.
+ * @property {?WACZPageListDefinition[]} pageLists - If set, additional pages lists to be written under `pages/`, alongside `pages/pages.jsonl` (`DEFAULT_PAGE_LIST`). A list with the id "pages" changes the title and description of the main list. See `WACZ.addPage()`.
+ * @property {?string} detectedPagesList - If set, id of the pages list detected pages are added to. Defaults to "pages". Adding pages to that list via `WACZ.addPage()` turns pages detection off.
+ * @property {boolean} [reproducible=false] - If true, identical inputs result in a byte-identical .wacz: the current date is replaced by `SOURCE_DATE_EPOCH` (or 1980-01-01) in datapackage.json, `ts`, ZIP entries and records added without a date, page and record ids are derived from their contents instead of being random, and results of concurrent indexing are put back in a stable order. Signatures are not deterministic.
  * @property {?Object} datapackageExtras - If set, will be appended to datapackage.json under `extras`.
+ * @property {?AbortSignal} signal - If set, processing will stop when aborted: worker tasks, writing to the output and signature requests are cancelled, partial output is removed and the instance is marked as consumed.
  * @property {?any} log - Will be used instead of the Console API for logging, if compatible (i.e: loglevel). Defaults to globalThis.console.
  */
 
@@ -21,6 +45,10 @@
  * @property {string} url
  * @property {string} title
  * @property {string} ts - Timestamp as ISO date. Example: "2023-02-22T16:19:54Z".
+ * @property {?string} [text] - Text content of the page, for full-text search.
+ * @property {?number} [size] - Size of the page, in bytes.
+ * @property {?string} [favIconUrl]
+ * Other fields are allowed: they are kept as is (see `WACZ.addPageEntry()`).
  */
 
 /**
@@ -31,3 +59,220 @@
  * @property {string} hash - Recommended: prepend the hash with the algorith used (i.e: "sha256:<hash>")
  * @property {number} bytes - Size of the file, in bytes.
  */
+
+/**
+ * Result of a single check performed by `validateWACZ()`.
+ * @typedef {Object} WACZValidationCheck
+ * @property {string} name - Type of check. Can be "zip", "datapackage", "resource", "datapackage-digest", "signature", "index" or "pages".
+ * @property {?string} path - In-zip path of the file that was checked, if any.
+ * @property {boolean} valid
+ * @property {?string} message - Reason why the check failed, if it did.
+ */
+
+/**
+ * Report returned by `validateWACZ()`.
+ * @typedef {Object} WACZValidationReport
+ * @property {string} filename - Path to the .wacz file that was validated.
+ * @property {boolean} valid - `true` only if all checks passed.
+ * @property {WACZValidationCheck[]} checks
+ */
+
+/**
+ * Result of `verifyWACZSignature()`.
+ * @typedef {Object} WACZSignatureVerification
+ * @property {boolean} valid - `true` only if the signature and all associated checks are valid.
+ * @property {?string} type - "anonymous" or "domain".
+ * @property {?string} domain - For domain identity signatures: domain the archive was signed by.
+ * @property {?string} created - Date at which the archive was signed, as stated in the signature block.
+ * @property {string[]} errors - Reasons why the signature is not valid, if any.
+ */
+
+/**
+ * Produces a signature block for a given datapackage. Can be async.
+ * See: `utils/signers.js` for built-in implementations.
+ * @callback WACZSigner
+ * @param {{hash: string, created: string, signal: ?AbortSignal}} data - Hash of datapackage.json ("sha256:<digest>") and date at which it was created. `signal` is aborted if processing is cancelled.
+ * @returns {Promise<Object>|Object} - Signature data. See: https://specs.webrecorder.net/wacz-auth/0.1.0/#signature-data-format
+ */
+
+/**
+ * Pages list, as read by `WACZReader`.
+ * @typedef {Object} WACZPageList
+ * @property {string} path - In-zip path of the pages list (i.e: "pages/pages.jsonl").
+ * @property {?string} id - From the header line of the pages list, if any.
+ * @property {?string} title - From the header line of the pages list, if any.
+ * @property {?string} description - From the header line of the pages list, if any.
+ * @property {Object[]} pages - Page entries.
+ */
+
+/**
+ * Pages list to be written by the WACZ class. See `WACZOptions.pageLists`.
+ * @typedef {Object} WACZPageListDefinition
+ * @property {string} id - Made of letters, digits, ".", "_" or "-". Must be unique.
+ * @property {?string} [title] - Defaults to `id`.
+ * @property {?string} [description]
+ * @property {?string} [path] - In-zip path of the list, of the form "pages/<name>.jsonl". Defaults to "pages/<id>.jsonl". Must be unique.
+ */
+
+/**
+ * Parsed CDXJ entry, as returned by `WACZReader.lookup()`.
+ * @typedef {Object} WACZCDXEntry
+ * @property {string} urlkey - SURT-formatted url.
+ * @property {string} timestamp - 14-digit timestamp.
+ * @property {string} url
+ * @property {string} filename - Name of the WARC file the record is in, relative to "archive/".
+ * @property {number|string} offset - Offset of the record in that file.
+ * @property {number|string} length - Length of the record, in bytes.
+ */
+
+/**
+ * File written by `extractWACZ()`.
+ * @typedef {Object} WACZExtractedFile
+ * @property {string} path - In-zip path of the file, which is also its path relative to the output directory.
+ * @property {number} bytes
+ * @property {string} hash - "sha256:<digest>"
+ * @property {?boolean} verified - `null` if there was nothing to check the file against (i.e: not listed in datapackage.json).
+ * @property {?string} message - Reason why the file could not be verified, if any.
+ */
+
+/**
+ * Report returned by `extractWACZ()`.
+ * @typedef {Object} WACZExtractionReport
+ * @property {string} filename - Path to the .wacz file that was extracted.
+ * @property {string} output - Path to the output directory.
+ * @property {boolean} valid - `false` if any of the extracted files did not match its recorded hash or size.
+ * @property {WACZExtractedFile[]} files
+ */
+
+/**
+ * Summary of a WACZ file, as returned by `inspectWACZ()`.
+ * @typedef {Object} WACZSummary
+ * @property {string} filename - Path to the .wacz file that was inspected.
+ * @property {?string} title - From datapackage.json.
+ * @property {?string} description - From datapackage.json.
+ * @property {?string} created - From datapackage.json.
+ * @property {?string} software - From datapackage.json.
+ * @property {?string} waczVersion - From datapackage.json (`wacz_version`).
+ * @property {?string} mainPageUrl - From datapackage.json.
+ * @property {?string} mainPageDate - From datapackage.json.
+ * @property {{path: string, bytes: number, hash: string}[]} resources - As listed in datapackage.json.
+ * @property {number} pages - Number of entries in pages/pages.jsonl.
+ * @property {{path: string, id: ?string, title: ?string, pages: number}[]} pageLists - Number of entries in each pages list.
+ * @property {?string} index - "cdx" (flat CDX), "zipnum" (ZipNum Shared Index) or `null` if none was found.
+ * @property {number} cdxEntries - Number of entries in the index.
+ * @property {{status: string, domain: ?string, created: ?string, valid: ?boolean, errors: string[]}} signature - `status` can be "unsigned", "anonymous", "domain" or "invalid" (unrecognized signature format).
+ */
+
+/**
+ * Size and hash of a .wacz file, as returned by `WACZ.process()` and `WACZ.finalize()`.
+ * @typedef {Object} WACZOutputSummary
+ * @property {number} bytes - Size of the archive, in bytes.
+ * @property {string} hash - SHA-256 hash of the archive ("sha256:<digest>").
+ */
+
+/**
+ * Progress of the indexing of a single WARC.
+ * @typedef {Object} WACZIndexingProgress
+ * @property {number} bytesRead - Bytes of the WARC read so far.
+ * @property {number} bytesTotal - Size of the WARC, in bytes.
+ * @property {number} records - Number of CDX entries generated so far.
+ * @property {number} recordsRead - Number of records read so far, including those left out by `WACZOptions.include` / `WACZOptions.exclude`.
+ * @property {?number} digestsVerified - Number of record digests checked so far, if `WACZOptions.verifyDigests` is set.
+ */
+
+/**
+ * Error tolerated while indexing a WARC (see `WACZOptions.tolerateErrors`).
+ * @typedef {Object} WACZIndexingError
+ * @property {string} warc - Name of the WARC.
+ * @property {?number} offset - Offset of the record that was skipped. `null` if the WARC could not be read at all.
+ * @property {string} message
+ * @property {boolean} excluded - If true, the WARC was left out of the archive.
+ */
+
+/**
+ * Record digest which did not match the contents of the record (see `WACZOptions.verifyDigests`).
+ * @typedef {Object} WACZDigestMismatch
+ * @property {string} warc - Name of the WARC.
+ * @property {number} offset - Offset of the record in the WARC.
+ * @property {?string} url - Target URI of the record, if any.
+ * @property {string} header - "WARC-Block-Digest" or "WARC-Payload-Digest".
+ * @property {string} expected - Digest declared by the record.
+ * @property {string} actual - Digest computed from the record, using the same algorithm and encoding.
+ */
+
+/**
+ * Rule used to include or exclude captures (see `WACZOptions.include` and `WACZOptions.exclude`). A capture matches if all of the properties provided match.
+ * @typedef {Object} WACZFilterRule
+ * @property {?(string|RegExp)} url - Glob pattern ("*" for any sequence of characters, "?" for a single character) or regular expression, matched against the url of the capture.
+ * @property {?string} surt - Prefix of the SURT-formatted url of the capture. I.E: "com,example)/account".
+ * @property {?string} mime - Glob pattern matched against the MIME type of the capture. I.E: "image/*".
+ * @property {?(number|string|Array<number|string>)} status - HTTP status code, range of status codes ("400-499"), or array of these.
+ * @property {?(string|Date)} from - Captures made before that date do not match. Can be any value that `Date()` can parse.
+ * @property {?(string|Date)} to - Captures made after that date do not match. Can be any value that `Date()` can parse. Date-only values ("2023-12-31") include that entire day.
+ */
+
+/**
+ * Rule used to remove records from WARCs (see `WACZOptions.redact`): a filter rule, with an optional explanation.
+ * @typedef {WACZFilterRule} WACZRedactionRule
+ * @property {?string} reason - Why matching records are removed. I.E: "Takedown request #42". Copied to the redaction log.
+ */
+
+/**
+ * Record removed from a WARC by redaction (see `WACZOptions.redact`). Written to `logs/redactions.jsonl`, one per line.
+ * @typedef {Object} WACZRedaction
+ * @property {string} warc - Name of the WARC.
+ * @property {?number} offset - Offset of the record in the original WARC. `null` for records provided via `WACZ.addRecord()`, which were never written.
+ * @property {?number} length - Length of the record in the original WARC, in bytes.
+ * @property {?string} recordId - `WARC-Record-ID` of the record.
+ * @property {string} type - `WARC-Type` of the record.
+ * @property {?string} url - Target URI of the record, if any.
+ * @property {?string} date - `WARC-Date` of the record.
+ * @property {Object} rule - Serialized version of the redaction rule that caused the removal, without `reason`.
+ * @property {?string} reason - From the redaction rule, if provided.
+ * @property {?string} linkedTo - If the record did not match `rule` itself, but was removed because of its relationship with another one
+ *   (`WARC-Concurrent-To` or `WARC-Refers-To`): `WARC-Record-ID` of that record.
+ */
+
+/**
+ * Include and exclude rules, as applied by the `indexWARC` worker.
+ * @typedef {Object} WACZFilters
+ * @property {WACZFilterRule[]} include
+ * @property {WACZFilterRule[]} exclude
+ */
+
+/**
+ * Payload of the events emitted by the WACZ class, by event name:
+ * - "step-start": `{step}` - A step of `process()` started. `step` is the name of the method, i.e: "indexWARCs".
+ * - "step-end": `{step, duration}` - A step of `process()` ended, after `duration` milliseconds.
+ * - "warc-progress": `{warc, bytesRead, bytesTotal, records, recordsRead}` - A batch of results came in for the WARC named `warc`. See {@link WACZIndexingProgress}.
+ * - "page-detected": `{warc, page}` - A page was detected in the WARC named `warc`. See {@link WACZPage}.
+ * - "indexing-error": `{warc, offset, message, excluded}` - An error was tolerated while indexing. See {@link WACZIndexingError}.
+ * - "digest-mismatch": `{warc, offset, url, header, expected, actual}` - A record digest did not match. See {@link WACZDigestMismatch}.
+ * - "record-redacted": `{warc, offset, recordId, type, url, ...}` - A record was removed from a WARC. See {@link WACZRedaction}.
+ * - "zip-progress": `{bytes}` - Total of bytes written to the output so far. Emitted about every megabyte.
+ * - "signing-requested": `{hash, created}` - Signature requested for datapackage.json.
+ * - "signing-received": `{hash, domain}` - Signature received. `domain` is `null` for anonymous signatures.
+ * - "finalized": `{bytes, hash}` - The archive was finalized. See {@link WACZOutputSummary}.
+ * @typedef {Object} WACZEvent
+ */
+
+/**
+ * WARC provided as part of `WACZOptions.input` without being on disk.
+ * @typedef {Object} WACZInMemoryWARC
+ * @property {string} name - Filename of the WARC (i.e: "capture.warc.gz"). Used as `archive/<name>` and in CDX entries.
+ * @property {?Uint8Array} buffer - Contents of the WARC.
+ * @property {?(Readable|ReadableStream)} stream - Contents of the WARC, as a Node.js or WHATWG readable stream. Spooled to a temporary file before processing.
+ */
+
+/**
+ * HTTP exchange provided to `WACZ.addRecord()`.
+ * @typedef {Object} WACZRecord
+ * @property {string} url - Required. Target URI of the record.
+ * @property {?(string|Date)} date - Capture date. Can be any value that `Date()` can parse. Defaults to now (to `SOURCE_DATE_EPOCH` in reproducible mode).
+ * @property {?number} status - HTTP status code of the response. Defaults to 200.
+ * @property {?string} statusText - HTTP status text of the response. Defaults to the standard text for `status`.
+ * @property {?(Object<string, string>|Map|Headers)} headers - HTTP headers of the response.
+ * @property {?(string|Uint8Array)} body - Payload of the response, as it was received.
+ * @property {?string} method - HTTP method of the request. Defaults to "GET".
+ * @property {?(Object<string, string>|Map|Headers)} requestHeaders - HTTP headers of the request. If provided, a request record will be written alongside the response.
+ */
@@ -0,0 +1,123 @@
+// Minimal DER (ASN.1) reader, sufficient for inspecting the structures involved in WACZ signatures (i.e: RFC 3161 timestamps).
+
+/**
+ * Common ASN.1 universal tags.
+ * @constant
+ */
+export const DER_TAGS = Object.freeze({
+  INTEGER: 0x02,
+  OCTET_STRING: 0x04,
+  OID: 0x06,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31
+})
+
+/**
+ * Represents a single DER-encoded element.
+ * @typedef {Object} DERNode
+ * @property {number} tag - Identifier octet (class + constructed bit + tag number).
+ * @property {boolean} constructed
+ * @property {Buffer} contents - Contents octets.
+ * @property {Buffer} raw - Full TLV encoding of this element.
+ * @property {DERNode[]} children - Parsed contents, if `constructed`.
+ */
+
+/**
+ * Parses a DER-encoded element (and its children, if constructed).
+ * Only supports low tag numbers and definite lengths, as mandated by DER.
+ * @param {Buffer} buffer
+ * @param {number} [offset=0]
+ * @returns {DERNode}
+ */
+export const parseDER = (buffer, offset = 0) => {
+  if (offset + 2 > buffer.length) {
+    throw new Error('DER: unexpected end of data.')
+  }
+
+  const tag = buffer[offset]
+  const constructed = (tag & 0x20) === 0x20
+  let length = buffer[offset + 1]
+  let headerLength = 2
+
+  if ((tag & 0x1f) === 0x1f) {
+    throw new Error('DER: high tag numbers are not supported.')
+  }
+
+  // Long form length
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7f
+
+    if (lengthBytes === 0 || lengthBytes > 4) {
+      throw new Error('DER: unsupported length encoding.')
+    }
+
+    length = buffer.readUIntBE(offset + 2, lengthBytes)
+    headerLength += lengthBytes
+  }
+
+  const end = offset + headerLength + length
+
+  if (end > buffer.length) {
+    throw new Error('DER: element exceeds available data.')
+  }
+
+  const node = {
+    tag,
+    constructed,
+    contents: buffer.subarray(offset + headerLength, end),
+    raw: buffer.subarray(offset, end),
+    children: []
+  }
+
+  if (constructed) {
+    let childOffset = offset + headerLength
+
+    while (childOffset < end) {
+      const child = parseDER(buffer.subarray(0, end), childOffset)
+      node.children.push(child)
+      childOffset += child.raw.length
+    }
+  }
+
+  return node
+}
+
+/**
+ * Decodes the contents of an OBJECT IDENTIFIER element into dotted notation.
+ * @param {DERNode} node
+ * @returns {string} - I.E: "2.16.840.1.101.3.4.2.1"
+ */
+export const decodeOID = (node) => {
+  const bytes = node.contents
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40]
+  let value = 0
+
+  for (const byte of bytes.subarray(1)) {
+    value = (value * 128) + (byte & 0x7f)
+
+    if (!(byte & 0x80)) {
+      parts.push(value)
+      value = 0
+    }
+  }
+
+  return parts.join('.')
+}
+
+/**
+ * Decodes the contents of a GeneralizedTime element.
+ * @param {DERNode} node
+ * @returns {Date}
+ */
+export const decodeGeneralizedTime = (node) => {
+  const value = node.contents.toString('ascii')
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/)
+
+  if (!match) {
+    throw new Error(`DER: unsupported GeneralizedTime format (${value}).`)
+  }
+
+  const [, year, month, day, hours, minutes, seconds, fraction] = match
+  return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${fraction || ''}Z`)
+}
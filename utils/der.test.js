@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { parseDER, decodeOID, decodeGeneralizedTime, DER_TAGS } from './der.js'
+
+test('parseDER parses nested elements.', async (_t) => {
+  // SEQUENCE { INTEGER 1, OCTET STRING "ab" }
+  const node = parseDER(Buffer.from('300702010104026162', 'hex'))
+
+  assert.equal(node.tag, DER_TAGS.SEQUENCE)
+  assert.equal(node.constructed, true)
+  assert.equal(node.children.length, 2)
+  assert.equal(node.children[0].tag, DER_TAGS.INTEGER)
+  assert.equal(node.children[0].contents[0], 1)
+  assert.equal(node.children[1].contents.toString(), 'ab')
+  assert.equal(node.raw.length, 9)
+})
+
+test('parseDER supports long form lengths.', async (_t) => {
+  const contents = Buffer.alloc(300, 0x61)
+  const node = parseDER(Buffer.concat([Buffer.from('0482012c', 'hex'), contents]))
+
+  assert.equal(node.tag, DER_TAGS.OCTET_STRING)
+  assert.equal(node.contents.length, 300)
+})
+
+test('parseDER throws on truncated data.', async (_t) => {
+  assert.throws(() => parseDER(Buffer.from('3007020101', 'hex')))
+  assert.throws(() => parseDER(Buffer.alloc(0)))
+})
+
+test('decodeOID decodes object identifiers.', async (_t) => {
+  assert.equal(decodeOID(parseDER(Buffer.from('0609608648016503040201', 'hex'))), '2.16.840.1.101.3.4.2.1')
+})
+
+test('decodeGeneralizedTime decodes dates with and without fractional seconds.', async (_t) => {
+  const time = parseDER(Buffer.concat([Buffer.from('180f', 'hex'), Buffer.from('20230222155002Z')]))
+  assert.equal(decodeGeneralizedTime(time).toISOString(), '2023-02-22T15:50:02.000Z')
+
+  const timeWithFraction = parseDER(Buffer.concat([Buffer.from('1813', 'hex'), Buffer.from('20230222155002.123Z')]))
+  assert.equal(decodeGeneralizedTime(timeWithFraction).toISOString(), '2023-02-22T15:50:02.123Z')
+})
@@ -0,0 +1,250 @@
+/// <reference path="../types.js" />
+
+/**
+ * Properties a filter rule can have. See `WACZFilterRule`.
+ * @constant
+ * @type {string[]}
+ */
+export const FILTER_RULE_PROPERTIES = ['url', 'surt', 'mime', 'status', 'from', 'to']
+
+/**
+ * Checks that `rule` is a valid `WACZFilterRule`: a plain object with at least one supported property, each of the expected type.
+ * @param {any} rule
+ * @returns {boolean}
+ */
+export const isValidFilterRule = (rule) => {
+  if (!rule || rule.constructor !== Object) {
+    return false
+  }
+
+  const properties = Object.keys(rule)
+
+  if (properties.length === 0 || !properties.every(property => FILTER_RULE_PROPERTIES.includes(property))) {
+    return false
+  }
+
+  for (const property of ['url', 'surt', 'mime']) {
+    if (property === 'url' && rule.url instanceof RegExp) {
+      continue
+    }
+
+    if (rule[property] !== undefined && (typeof rule[property] !== 'string' || !rule[property])) {
+      return false
+    }
+  }
+
+  if (rule.status !== undefined && parseStatusRanges(rule.status) === null) {
+    return false
+  }
+
+  for (const property of ['from', 'to']) {
+    if (rule[property] !== undefined && toTimestamp(rule[property]) === null) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Creates a function telling whether a capture should be kept given include and exclude rules:
+ * a capture is kept if it matches any of the include rules (if any), and none of the exclude rules.
+ * A rule matches if all of its properties match.
+ * Rules are expected to be valid (see `isValidFilterRule()`).
+ * @param {WACZFilters} filters
+ * @returns {function({url: string, surt: string, mime: ?string, status: ?number, timestamp: string}): boolean}
+ */
+export const createFilter = (filters) => {
+  const include = (filters?.include ?? []).map(compileRule)
+  const exclude = (filters?.exclude ?? []).map(compileRule)
+
+  return (capture) => {
+    if (include.length > 0 && !include.some(matches => matches(capture))) {
+      return false
+    }
+
+    return !exclude.some(matches => matches(capture))
+  }
+}
+
+/**
+ * Parses a filter rule expressed as `<type>:<value>`, as accepted by the CLI:
+ * - `url:<glob>`, i.e: "url:https://example.com/login*"
+ * - `regex:<regular expression>`, matched against the url
+ * - `surt:<prefix>`, i.e: "surt:com,example)/account"
+ * - `mime:<glob>`, i.e: "mime:image/*"
+ * - `status:<code or range>`, i.e: "status:404", "status:400-599"
+ * - `date:<from>..<to>`, either bound being optional and inclusive. i.e: "date:2023-01-01..2023-06-30", "date:..2023-01-01"
+ * @param {string} value
+ * @returns {WACZFilterRule}
+ */
+export const parseFilterRule = (value) => {
+  const separator = String(value).indexOf(':')
+  const type = String(value).slice(0, separator)
+  const argument = String(value).slice(separator + 1)
+  let rule = null
+
+  switch (type) {
+    case 'url':
+    case 'surt':
+    case 'mime':
+    case 'status':
+      rule = { [type]: argument }
+      break
+
+    case 'regex':
+      try {
+        rule = { url: new RegExp(argument) }
+      } catch (_err) {}
+      break
+
+    case 'date': {
+      const [from, to] = argument.split('..')
+      rule = {}
+
+      if (from) {
+        rule.from = from
+      }
+
+      if (to) {
+        rule.to = to
+      }
+      break
+    }
+  }
+
+  if (separator < 1 || !isValidFilterRule(rule)) {
+    throw new Error(`"${value}" is not a valid filter rule.`)
+  }
+
+  return rule
+}
+
+/**
+ * Returns a JSON-serializable version of filter rules (i.e: regular expressions as strings), for datapackage.json.
+ * @param {WACZFilters} filters
+ * @returns {{include: Object[], exclude: Object[]}}
+ */
+export const serializeFilters = (filters) => {
+  return {
+    include: (filters?.include ?? []).map(serializeFilterRule),
+    exclude: (filters?.exclude ?? []).map(serializeFilterRule)
+  }
+}
+
+/**
+ * Returns a JSON-serializable version of a single filter rule. Properties other than those of `WACZFilterRule` are kept as is.
+ * @param {WACZFilterRule} rule
+ * @returns {Object}
+ */
+export const serializeFilterRule = (rule) => {
+  const output = { ...rule }
+
+  if (output.url instanceof RegExp) {
+    output.url = String(output.url)
+  }
+
+  for (const property of ['from', 'to']) {
+    if (output[property] instanceof Date) {
+      output[property] = output[property].toISOString()
+    }
+  }
+
+  return output
+}
+
+/**
+ * Turns a filter rule into a function checking if a capture matches all of its properties.
+ * @param {WACZFilterRule} rule
+ * @returns {function(Object): boolean}
+ */
+const compileRule = (rule) => {
+  const checks = []
+
+  if (rule.url !== undefined) {
+    // Global and sticky flags would make `test()` resume from the previous match's `lastIndex`
+    const url = rule.url instanceof RegExp ? new RegExp(rule.url.source, rule.url.flags.replace(/[gy]/g, '')) : globToRegExp(rule.url)
+    checks.push(capture => url.test(capture.url))
+  }
+
+  if (rule.surt !== undefined) {
+    const surt = rule.surt.toLowerCase()
+    checks.push(capture => Boolean(capture.surt?.startsWith(surt)))
+  }
+
+  if (rule.mime !== undefined) {
+    const mime = globToRegExp(rule.mime, 'i')
+    checks.push(capture => mime.test(capture.mime ?? ''))
+  }
+
+  if (rule.status !== undefined) {
+    const ranges = parseStatusRanges(rule.status)
+    checks.push(capture => ranges.some(([min, max]) => Number(capture.status) >= min && Number(capture.status) <= max))
+  }
+
+  if (rule.from !== undefined) {
+    const from = toTimestamp(rule.from)
+    checks.push(capture => capture.timestamp >= from)
+  }
+
+  if (rule.to !== undefined) {
+    const to = toTimestamp(rule.to, true)
+    checks.push(capture => capture.timestamp <= to)
+  }
+
+  return (capture) => checks.every(check => check(capture))
+}
+
+/**
+ * Converts a glob pattern, in which "*" matches any sequence of characters and "?" any single character, into an anchored regular expression.
+ * @param {string} glob
+ * @param {string} [flags='']
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob, flags = '') => {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replaceAll('*', '.*').replaceAll('?', '.')
+  return new RegExp(`^${source}$`, flags)
+}
+
+/**
+ * Parses the `status` property of a filter rule: a status code, a range ("400-499"), or an array of these.
+ * @param {number|string|Array<number|string>} status
+ * @returns {?Array<number[]>} - Inclusive `[min, max]` ranges, or `null` if invalid.
+ */
+const parseStatusRanges = (status) => {
+  const ranges = []
+
+  for (const value of Array.isArray(status) ? status : [status]) {
+    const match = /^(\d{3})(?:-(\d{3}))?$/.exec(String(value).trim())
+
+    if (!match) {
+      return null
+    }
+
+    ranges.push([Number(match[1]), Number(match[2] ?? match[1])])
+  }
+
+  return ranges.length > 0 ? ranges : null
+}
+
+/**
+ * Converts a date (anything `Date()` can parse) into a 14-digit timestamp, comparable with those of CDX entries.
+ * @param {string|number|Date} date
+ * @param {boolean} [endOfDay=false] - If true, date-only strings ("2023-12-31") cover that entire day instead of its first second.
+ * @returns {?string} - `null` if invalid.
+ */
+const toTimestamp = (date, endOfDay = false) => {
+  const parsed = new Date(date)
+
+  if (isNaN(parsed.getTime())) {
+    return null
+  }
+
+  const timestamp = parsed.toISOString().replace(/[^\d]/g, '').slice(0, 14)
+
+  if (endOfDay && typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date.trim())) {
+    return `${timestamp.slice(0, 8)}235959`
+  }
+
+  return timestamp
+}
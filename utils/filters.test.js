@@ -0,0 +1,102 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { isValidFilterRule, createFilter, parseFilterRule, serializeFilters } from './filters.js'
+
+/**
+ * Capture used as a reference in filter tests.
+ * @constant
+ */
+const CAPTURE = {
+  url: 'https://example.com/account/login?next=/',
+  surt: 'com,example)/account/login?next=/',
+  mime: 'text/html',
+  status: 200,
+  timestamp: '20230615120000'
+}
+
+test('isValidFilterRule only accepts plain objects with supported, valid properties.', async (_t) => {
+  const invalid = [null, 'url:*', [], {}, { foo: 'bar' }, { url: 12 }, { surt: '' }, { mime: 12 }, { status: 'foo' }, { status: [] }, { from: 'foo' }]
+
+  for (const rule of invalid) {
+    assert.equal(isValidFilterRule(rule), false)
+  }
+
+  const valid = [{ url: '*' }, { url: /login/ }, { surt: 'com,' }, { mime: 'image/*' }, { status: 404 }, { status: ['200', '400-599'] }, { from: '2023-01-01', to: new Date() }]
+
+  for (const rule of valid) {
+    assert.equal(isValidFilterRule(rule), true)
+  }
+})
+
+test('createFilter matches captures against every property of a rule.', async (_t) => {
+  const scenarios = [
+    [{ url: 'https://example.com/*' }, true],
+    [{ url: 'https://example.com/account/login' }, false], // Globs are anchored
+    [{ url: '*/login?next=/' }, true],
+    [{ url: /\/login/ }, true],
+    [{ surt: 'com,example)/account' }, true],
+    [{ surt: 'org,example)/' }, false],
+    [{ mime: 'TEXT/*' }, true],
+    [{ mime: 'image/*' }, false],
+    [{ status: 200 }, true],
+    [{ status: '400-599' }, false],
+    [{ from: '2023-06-01', to: '2023-06-30' }, true],
+    [{ to: '2023-06-15T11:59:59Z' }, false],
+    [{ url: 'https://example.com/*', mime: 'image/*' }, false] // All properties must match
+  ]
+
+  for (const [rule, matches] of scenarios) {
+    assert.equal(createFilter({ include: [rule] })(CAPTURE), matches, JSON.stringify(rule))
+    assert.equal(createFilter({ exclude: [rule] })(CAPTURE), !matches, JSON.stringify(rule))
+  }
+})
+
+test('createFilter keeps captures matching any include rule and no exclude rule.', async (_t) => {
+  assert.equal(createFilter({})(CAPTURE), true)
+  assert.equal(createFilter({ include: [{ mime: 'image/*' }, { status: 200 }] })(CAPTURE), true)
+  assert.equal(createFilter({ include: [{ status: 200 }], exclude: [{ url: '*/login*' }] })(CAPTURE), false)
+})
+
+test('createFilter includes the entire last day of date-only upper bounds.', async (_t) => {
+  const filter = createFilter({ include: [{ from: '2023-01-01', to: '2023-06-15' }] })
+
+  assert.equal(filter(CAPTURE), true)
+  assert.equal(filter({ ...CAPTURE, timestamp: '20230615235959' }), true)
+  assert.equal(filter({ ...CAPTURE, timestamp: '20230616000000' }), false)
+  assert.equal(createFilter({ include: [{ to: '2023-06-15T00:00:00Z' }] })(CAPTURE), false)
+  assert.equal(createFilter({ include: [parseFilterRule('date:2023-01-01..2023-06-15')] })(CAPTURE), true)
+})
+
+test('createFilter matches regular expressions consistently, regardless of their global or sticky flags.', async (_t) => {
+  for (const url of [/login/g, /https/y]) {
+    const filter = createFilter({ include: [{ url }] })
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(filter(CAPTURE), true, String(url))
+    }
+  }
+})
+
+test('parseFilterRule parses CLI rules and throws on invalid ones.', async (_t) => {
+  assert.deepEqual(parseFilterRule('url:*/login*'), { url: '*/login*' })
+  assert.deepEqual(parseFilterRule('surt:com,example)/'), { surt: 'com,example)/' })
+  assert.deepEqual(parseFilterRule('mime:image/*'), { mime: 'image/*' })
+  assert.deepEqual(parseFilterRule('status:400-599'), { status: '400-599' })
+  assert.deepEqual(parseFilterRule('date:2023-01-01..2023-06-30'), { from: '2023-01-01', to: '2023-06-30' })
+  assert.deepEqual(parseFilterRule('date:..2023-06-30'), { to: '2023-06-30' })
+  assert.deepEqual(parseFilterRule('regex:^https?://example\\.com/'), { url: /^https?:\/\/example\.com\// })
+
+  for (const value of ['foo', 'url:', ':foo', 'foo:bar', 'status:abc', 'date:..', 'date:foo..bar', 'regex:(']) {
+    assert.throws(() => parseFilterRule(value))
+  }
+})
+
+test('serializeFilters returns a JSON-serializable version of filter rules.', async (_t) => {
+  const filters = { include: [{ url: /example/i, to: new Date('2023-06-30T00:00:00Z') }], exclude: [{ status: 404 }] }
+
+  assert.deepEqual(JSON.parse(JSON.stringify(serializeFilters(filters))), {
+    include: [{ url: '/example/i', to: '2023-06-30T00:00:00.000Z' }],
+    exclude: [{ status: 404 }]
+  })
+})
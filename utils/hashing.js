@@ -0,0 +1,64 @@
+import fs from 'fs/promises'
+import { createReadStream } from 'fs'
+import { createHash } from 'crypto'
+import { Readable } from 'stream'
+
+/**
+ * Computes the SHA256 hash of a given file, chunk of data or readable stream.
+ * This is the logic used to populate `hash` in datapackage.json resources, both at write and validation time.
+ * @param {string|Uint8Array|Readable} file - Path to a file OR Buffer / Uint8Array OR readable stream.
+ * @returns {Promise<string>} - "sha256:<digest>"
+ */
+export const sha256 = async (file) => {
+  // If buffer was given: directly process it.
+  if (file instanceof Uint8Array) {
+    return 'sha256:' + createHash('sha256').update(file).digest('hex')
+  }
+
+  // If filename was given: stream file into hash function.
+  if (!(file instanceof Readable)) {
+    try {
+      await fs.access(file)
+    } catch (err) {
+      throw new Error(`${file} cannot be read.`)
+    }
+
+    file = createReadStream(file)
+  }
+
+  const hash = createHash('sha256')
+
+  await new Promise((resolve, reject) => {
+    file.on('error', err => reject(err))
+    file.on('data', chunk => hash.update(chunk))
+    file.on('end', () => resolve())
+  })
+
+  return `sha256:${hash.digest('hex')}`
+}
+
+/**
+ * Computes the byte length of a given file, chunk of data or readable stream.
+ * This is the logic used to populate `bytes` in datapackage.json resources, both at write and validation time.
+ * @param {string|Uint8Array|Readable} file - Path to a file OR Buffer / Uint8Array OR readable stream.
+ * @returns {Promise<number>}
+ */
+export const byteLength = async (file) => {
+  if (file instanceof Uint8Array) {
+    return file.byteLength
+  }
+
+  if (!(file instanceof Readable)) {
+    return (await fs.stat(file)).size
+  }
+
+  let total = 0
+
+  await new Promise((resolve, reject) => {
+    file.on('error', err => reject(err))
+    file.on('data', chunk => { total += chunk.length })
+    file.on('end', () => resolve())
+  })
+
+  return total
+}
@@ -0,0 +1,33 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+import { readFile } from 'fs/promises'
+import { sep } from 'path'
+
+import { FIXTURES_PATH } from '../constants.js'
+
+import { sha256, byteLength } from './hashing.js'
+
+const FIXTURE_WARC = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+
+test('sha256 returns the same prefixed digest for a path, a buffer and a stream.', async (_t) => {
+  const data = await readFile(FIXTURE_WARC)
+  const expected = `sha256:${createHash('sha256').update(data).digest('hex')}`
+
+  assert.equal(await sha256(FIXTURE_WARC), expected)
+  assert.equal(await sha256(data), expected)
+  assert.equal(await sha256(createReadStream(FIXTURE_WARC)), expected)
+})
+
+test('sha256 throws if file cannot be read.', async (_t) => {
+  await assert.rejects(sha256('/foo.warc'))
+})
+
+test('byteLength returns the same size for a path, a buffer and a stream.', async (_t) => {
+  const data = await readFile(FIXTURE_WARC)
+
+  assert.equal(await byteLength(FIXTURE_WARC), data.byteLength)
+  assert.equal(await byteLength(data), data.byteLength)
+  assert.equal(await byteLength(createReadStream(FIXTURE_WARC)), data.byteLength)
+})
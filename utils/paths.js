@@ -0,0 +1,53 @@
+import { basename } from 'path'
+
+/**
+ * Extensions which should be kept together when a filename needs to be suffixed.
+ * @constant
+ */
+const COMPOUND_EXTENSIONS = ['.warc.gz', '.cdx.gz']
+
+/**
+ * Returns a version of `filename` that is not already in `taken`, and adds it to `taken`.
+ * Conflicting names are suffixed before their extension: "example.warc.gz" -> "example-1.warc.gz".
+ * @param {string} filename - Basename to reserve.
+ * @param {Set<string>} taken - Basenames already in use. Updated in place.
+ * @returns {string}
+ */
+export const reserveFilename = (filename, taken) => {
+  return reservePath(basename(filename), taken)
+}
+
+/**
+ * Same as `reserveFilename()`, for "/"-separated relative paths: directories are kept, and only the filename is suffixed if needed.
+ * I.E: "crawl/example.warc.gz" -> "crawl/example-1.warc.gz".
+ * @param {string} path - Relative path to reserve.
+ * @param {Set<string>} taken - Paths already in use. Updated in place.
+ * @returns {string}
+ */
+export const reservePath = (path, taken) => {
+  if (!taken.has(path)) {
+    taken.add(path)
+    return path
+  }
+
+  const directory = path.slice(0, path.lastIndexOf('/') + 1)
+  const filename = path.slice(directory.length)
+  const lowercase = filename.toLowerCase()
+  let extension = COMPOUND_EXTENSIONS.find(ext => lowercase.endsWith(ext))
+
+  if (!extension) {
+    const dot = filename.lastIndexOf('.')
+    extension = dot > 0 ? filename.slice(dot) : ''
+  }
+
+  const stem = filename.slice(0, filename.length - extension.length)
+
+  for (let i = 1; ; i++) {
+    const candidate = `${directory}${stem}-${i}${filename.slice(stem.length)}`
+
+    if (!taken.has(candidate)) {
+      taken.add(candidate)
+      return candidate
+    }
+  }
+}
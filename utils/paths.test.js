@@ -0,0 +1,30 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { reserveFilename, reservePath } from './paths.js'
+
+test('reserveFilename returns filenames that are not taken as is.', async (_t) => {
+  const taken = new Set()
+
+  assert.equal(reserveFilename('example.warc.gz', taken), 'example.warc.gz')
+  assert.equal(reserveFilename('path/to/other.warc', taken), 'other.warc')
+  assert.deepEqual([...taken], ['example.warc.gz', 'other.warc'])
+})
+
+test('reserveFilename suffixes conflicting filenames before their extension.', async (_t) => {
+  const taken = new Set(['example.warc.gz', 'example.warc', 'README'])
+
+  assert.equal(reserveFilename('example.warc.gz', taken), 'example-1.warc.gz')
+  assert.equal(reserveFilename('example.warc.gz', taken), 'example-2.warc.gz')
+  assert.equal(reserveFilename('EXAMPLE.WARC.GZ', taken), 'EXAMPLE.WARC.GZ')
+  assert.equal(reserveFilename('example.warc', taken), 'example-1.warc')
+  assert.equal(reserveFilename('README', taken), 'README-1')
+})
+
+test('reservePath keeps directories and only suffixes the filename of conflicting paths.', async (_t) => {
+  const taken = new Set(['crawl/example.warc.gz'])
+
+  assert.equal(reservePath('other/example.warc.gz', taken), 'other/example.warc.gz')
+  assert.equal(reservePath('crawl/example.warc.gz', taken), 'crawl/example-1.warc.gz')
+  assert.equal(reservePath('crawl.v2/README', new Set(['crawl.v2/README'])), 'crawl.v2/README-1')
+})
@@ -0,0 +1,216 @@
+/// <reference path="../types.js" />
+
+import { createReadStream, createWriteStream } from 'fs'
+import fs from 'fs/promises'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+
+import { WARCParser, getSurt } from 'warcio'
+
+import { isValidFilterRule, createFilter, serializeFilterRule } from './filters.js'
+
+/**
+ * Checks that `rule` is a valid `WACZRedactionRule`: a valid filter rule (see `isValidFilterRule()`), with an optional non-empty `reason`.
+ * @param {any} rule
+ * @returns {boolean}
+ */
+export const isValidRedactionRule = (rule) => {
+  if (!rule || rule.constructor !== Object) {
+    return false
+  }
+
+  const { reason, ...filterRule } = rule
+
+  if (reason !== undefined && (typeof reason !== 'string' || !reason.trim())) {
+    return false
+  }
+
+  return isValidFilterRule(filterRule)
+}
+
+/**
+ * Creates a function returning the first of `rules` a capture matches, if any.
+ * Captures are described as they are for filter rules (see `createFilter()`).
+ * @param {WACZRedactionRule[]} rules - Expected to be valid.
+ * @returns {function({url: string, surt: string, mime: ?string, status: ?number, timestamp: string}): ?WACZRedactionRule}
+ */
+export const createRedactionMatcher = (rules) => {
+  const matchers = rules.map(rule => [rule, createFilter({ include: [rule] })])
+
+  return (capture) => {
+    const match = matchers.find(([_rule, matches]) => matches(capture))
+    return match ? match[0] : null
+  }
+}
+
+/**
+ * Writes a copy of a WARC without the records matching `rules`.
+ *
+ * Kept records are copied byte for byte, so their digests (and compression, if any) are left untouched.
+ * Records related to a removed one are removed as well: those sharing a `WARC-Concurrent-To` relationship with it
+ * (i.e: the request that goes with a response), and those pointing to it via `WARC-Refers-To`.
+ * Records without a target URI (i.e: warcinfo) are always kept.
+ *
+ * Nothing is written if no record had to be removed.
+ *
+ * @param {Object} options
+ * @param {string|Uint8Array} options.source - Path to the WARC, or its contents.
+ * @param {string} options.destination - Path of the redacted copy.
+ * @param {WACZRedactionRule[]} options.rules - Expected to be valid (see `isValidRedactionRule()`).
+ * @param {?AbortSignal} [options.signal] - Interrupts reading and writing if aborted.
+ * @returns {Promise<Array<Omit<WACZRedaction, 'warc'>>>} - Records that were removed, in WARC order.
+ */
+export const redactWARC = async (options = {}) => {
+  const { source, destination, rules } = options
+  const signal = options?.signal ?? null
+  const match = createRedactionMatcher(rules)
+
+  const bytesTotal = typeof source === 'string' ? (await fs.stat(source)).size : source.byteLength
+  const records = []
+
+  // First pass: list records, and those directly matching a rule
+  const parser = new WARCParser(typeof source === 'string' ? createReadStream(source) : Readable.from([source]))
+
+  for await (const record of parser) {
+    signal?.throwIfAborted()
+
+    const url = record.warcTargetURI ?? null
+
+    records.push({
+      offset: parser.offset,
+      recordId: record.warcHeader('WARC-Record-ID') ?? null,
+      type: record.warcType ?? null,
+      url,
+      date: record.warcDate ?? null,
+      concurrentTo: listRecordIds(record.warcHeader('WARC-Concurrent-To')),
+      refersTo: listRecordIds(record.warcHeader('WARC-Refers-To')),
+      rule: url ? match(getCapture(record)) : null,
+      linkedTo: null
+    })
+  }
+
+  // Records must be individually compressed (if at all) to be copied separately
+  if (records.some((record, index) => index > 0 && record.offset <= records[index - 1].offset)) {
+    throw new Error('Records of this WARC cannot be told apart: it may be compressed as a whole instead of record by record.')
+  }
+
+  // Records span until the next one starts
+  for (const [index, record] of records.entries()) {
+    record.length = (records[index + 1]?.offset ?? bytesTotal) - record.offset
+  }
+
+  // Records related to a removed one go as well
+  const related = new Map() // Records to remove along with a given one, by WARC-Record-ID
+
+  const byId = new Map(records.filter(record => record.recordId).map(record => [record.recordId, record]))
+
+  const relate = (id, record) => {
+    if (!related.has(id)) {
+      related.set(id, [])
+    }
+
+    related.get(id).push(record)
+  }
+
+  for (const record of records) {
+    for (const id of record.concurrentTo) {
+      relate(id, record)
+
+      if (byId.has(id) && record.recordId) {
+        relate(record.recordId, byId.get(id))
+      }
+    }
+
+    for (const id of record.refersTo) {
+      relate(id, record)
+    }
+  }
+
+  const queue = records.filter(record => record.rule)
+
+  while (queue.length > 0) {
+    const record = queue.shift()
+
+    for (const other of related.get(record.recordId) ?? []) {
+      if (!other.rule && other.url) {
+        other.rule = record.rule
+        other.linkedTo = record.recordId
+        queue.push(other)
+      }
+    }
+  }
+
+  const removed = records.filter(record => record.rule)
+
+  if (removed.length === 0) {
+    return []
+  }
+
+  // Second pass: copy everything but removed records
+  const ranges = []
+  let start = 0
+
+  for (const record of records) {
+    if (record.rule) {
+      ranges.push([start, record.offset])
+      start = record.offset + record.length
+    }
+  }
+
+  ranges.push([start, bytesTotal])
+
+  const read = async function * () {
+    for (const [start, end] of ranges.filter(([start, end]) => end > start)) {
+      if (typeof source === 'string') {
+        yield * createReadStream(source, { start, end: end - 1 })
+      } else {
+        yield source.subarray(start, end)
+      }
+    }
+  }
+
+  await pipeline(Readable.from(read()), createWriteStream(destination), { signal: signal ?? undefined })
+
+  return removed.map(({ offset, length, recordId, type, url, date, rule, linkedTo }) => {
+    const { reason = null, ...filterRule } = rule
+    return { offset, length, recordId, type, url, date, rule: serializeFilterRule(filterRule), reason, linkedTo }
+  })
+}
+
+/**
+ * Describes a WARC record the way filter rules expect captures to be described, using the same values as CDX entries.
+ * @param {WARCRecord} record - Parsed with HTTP headers.
+ * @returns {{url: string, surt: string, mime: ?string, status: ?number, timestamp: string}}
+ */
+const getCapture = (record) => {
+  const url = record.warcTargetURI
+  let surt = url
+  let contentType = record.warcContentType
+
+  try {
+    surt = getSurt(url)
+  } catch (_err) {}
+
+  if (['response', 'request'].includes(record.warcType)) {
+    contentType = record.httpHeaders?.headers.get('content-type')
+  } else if (record.warcType === 'revisit') {
+    contentType = 'warc/revisit'
+  }
+
+  return {
+    url,
+    surt,
+    mime: contentType ? contentType.split(';')[0].trim() : null,
+    status: ['response', 'revisit'].includes(record.warcType) ? (record.httpHeaders?.statusCode ?? null) : null,
+    timestamp: (record.warcDate ?? '').replace(/[-:T]/g, '').slice(0, 14)
+  }
+}
+
+/**
+ * Extracts record ids (`<urn:uuid:...>`) from a WARC header which may list several of them.
+ * @param {?string} value
+ * @returns {string[]}
+ */
+const listRecordIds = (value) => {
+  return value ? value.match(/<[^>]+>/g) ?? [] : []
+}
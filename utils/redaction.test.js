@@ -0,0 +1,78 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import { sep } from 'path'
+
+import { isValidRedactionRule, createRedactionMatcher, redactWARC } from './redaction.js'
+import indexWARC from '../workers/indexWARC.js'
+import { FIXTURES_PATH } from '../constants.js'
+
+/**
+ * Path to the WARC used as a reference in redaction tests.
+ * @constant
+ */
+const FIXTURE_WARC = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+
+test('isValidRedactionRule accepts filter rules with an optional, non-empty reason.', async (_t) => {
+  for (const rule of [null, 'https://example.com/', {}, { reason: 'Takedown' }, { url: '*', reason: '' }, { url: '*', reason: 12 }, { foo: 'bar' }]) {
+    assert.equal(isValidRedactionRule(rule), false)
+  }
+
+  for (const rule of [{ url: 'https://example.com/*' }, { url: /example/, reason: 'Takedown' }, { surt: 'com,example)/', status: 200 }]) {
+    assert.equal(isValidRedactionRule(rule), true)
+  }
+})
+
+test('createRedactionMatcher returns the first rule a capture matches.', async (_t) => {
+  const rules = [{ mime: 'image/*', reason: 'Images' }, { url: '*/account/*', reason: 'Personal data' }, { url: /account/ }]
+  const match = createRedactionMatcher(rules)
+
+  assert.equal(match({ url: 'https://example.com/account/me', surt: 'com,example)/account/me', mime: 'text/html', status: 200, timestamp: '20230101000000' }), rules[1])
+  assert.equal(match({ url: 'https://example.com/', surt: 'com,example)/', mime: 'text/html', status: 200, timestamp: '20230101000000' }), null)
+})
+
+test('redactWARC writes a copy of a WARC without matching records, and those related to them.', async (_t) => {
+  const destination = 'tmp-redacted.warc.gz'
+  const original = await indexWARC({ filename: FIXTURE_WARC })
+
+  // Sources can be paths or buffers, with identical results
+  for (const source of [FIXTURE_WARC, await fs.readFile(FIXTURE_WARC)]) {
+    const removed = await redactWARC({
+      source,
+      destination,
+      rules: [{ url: 'https://lil.law.harvard.edu/projects/', reason: 'Takedown' }, { status: 301 }]
+    })
+
+    // The response matching a rule goes with its request, which points to it via WARC-Concurrent-To
+    const projects = removed.filter(entry => entry.url === 'https://lil.law.harvard.edu/projects/')
+    assert.deepEqual(projects.map(entry => entry.type).sort(), ['request', 'response'])
+    assert(projects.every(entry => entry.reason === 'Takedown' && entry.rule.url === 'https://lil.law.harvard.edu/projects/'))
+
+    const favicon = removed.filter(entry => entry.url === 'https://lil.law.harvard.edu/favicon.ico')
+    const response = favicon.find(entry => entry.type === 'response')
+    const request = favicon.find(entry => entry.type === 'request')
+    assert.equal(response.linkedTo, null)
+    assert.equal(request.linkedTo, response.recordId)
+    assert.deepEqual(request.rule, { status: 301 })
+
+    // Kept records are untouched: the copy can be indexed, and nothing else is missing
+    const { size } = await fs.stat(destination)
+    assert.equal(size, (await fs.stat(FIXTURE_WARC)).size - removed.reduce((total, entry) => total + entry.length, 0))
+
+    const redacted = await indexWARC({ filename: destination, verifyDigests: true })
+    assert.equal(redacted.cdx.length, original.cdx.length - 2)
+    assert(!redacted.cdx.find(line => line.includes('"url":"https://lil.law.harvard.edu/projects/"')))
+    assert(!redacted.cdx.find(line => line.includes('"status":301')))
+    assert.deepEqual(redacted.digestMismatches, [])
+
+    await fs.unlink(destination)
+  }
+})
+
+test('redactWARC does not write anything if no record matches.', async (_t) => {
+  const destination = 'tmp-redacted-nothing.warc.gz'
+  const removed = await redactWARC({ source: FIXTURE_WARC, destination, rules: [{ url: 'https://example.com/*' }] })
+
+  assert.deepEqual(removed, [])
+  await assert.rejects(fs.access(destination))
+})
@@ -0,0 +1,57 @@
+import { createHash } from 'crypto'
+
+/**
+ * Date used in place of the current date in reproducible mode, if `SOURCE_DATE_EPOCH` is not set.
+ * Earliest date ZIP entries can carry.
+ * @constant
+ * @type {string}
+ */
+export const REPRODUCIBLE_DEFAULT_DATE = '1980-01-01T00:00:00.000Z'
+
+/**
+ * Unix permissions given to every ZIP entry in reproducible mode, regardless of those of the source files.
+ * @constant
+ * @type {number}
+ */
+export const REPRODUCIBLE_FILE_MODE = 0o644
+
+/**
+ * Returns the date to be used in place of the current date in reproducible mode, as an ISO string.
+ * Follows the `SOURCE_DATE_EPOCH` convention (https://reproducible-builds.org/specs/source-date-epoch/).
+ * @param {Object<string, ?string>} [env=process.env]
+ * @returns {string}
+ * @throws {Error} - If `SOURCE_DATE_EPOCH` is set but is not a valid number of seconds since the Unix epoch.
+ */
+export const getSourceDate = (env = process.env) => {
+  const epoch = env?.SOURCE_DATE_EPOCH?.trim()
+
+  if (!epoch) {
+    return REPRODUCIBLE_DEFAULT_DATE
+  }
+
+  if (!/^\d+$/.test(epoch)) {
+    throw new Error('"SOURCE_DATE_EPOCH" must be a number of seconds since the Unix epoch.')
+  }
+
+  return new Date(Number(epoch) * 1000).toISOString() // Throws if out of range
+}
+
+/**
+ * Derives a 32-character hexadecimal identifier from `parts`, to be used in place of a random one in reproducible mode.
+ * Same format as the page ids generated otherwise (UUID v4 without dashes).
+ * @param {...any} parts - Values identifying the entity. I.E: url and timestamp of a page.
+ * @returns {string}
+ */
+export const createStableId = (...parts) => {
+  return createHash('sha256').update(JSON.stringify(parts.map(part => part ?? null))).digest('hex').slice(0, 32)
+}
+
+/**
+ * Same as `createStableId()`, formatted as a WARC record id: "<urn:uuid:...>".
+ * @param {...any} parts
+ * @returns {string}
+ */
+export const createStableRecordId = (...parts) => {
+  const id = createStableId(...parts)
+  return `<urn:uuid:${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20)}>`
+}
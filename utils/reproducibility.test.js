@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import { getSourceDate, createStableId, createStableRecordId, REPRODUCIBLE_DEFAULT_DATE } from './reproducibility.js'
+
+test('getSourceDate follows SOURCE_DATE_EPOCH, and falls back to a fixed date if not set.', async (_t) => {
+  assert.equal(getSourceDate({}), REPRODUCIBLE_DEFAULT_DATE)
+  assert.equal(getSourceDate({ SOURCE_DATE_EPOCH: '' }), REPRODUCIBLE_DEFAULT_DATE)
+  assert.equal(getSourceDate({ SOURCE_DATE_EPOCH: '1700000000' }), '2023-11-14T22:13:20.000Z')
+
+  for (const SOURCE_DATE_EPOCH of ['yesterday', '-1', '1.5', '99999999999999999']) {
+    assert.throws(() => getSourceDate({ SOURCE_DATE_EPOCH }))
+  }
+})
+
+test('createStableId and createStableRecordId derive identifiers from the values provided.', async (_t) => {
+  const id = createStableId('https://example.com/', '2023-01-01T00:00:00Z')
+
+  assert.match(id, /^[0-9a-f]{32}$/)
+  assert.equal(createStableId('https://example.com/', '2023-01-01T00:00:00Z'), id)
+  assert.notEqual(createStableId('https://example.com/', null), id)
+  assert.notEqual(createStableId('https://example.com/2023-01-01T00:00:00Z'), id)
+
+  assert.match(createStableRecordId('response', 0), /^<urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}>$/)
+  assert.notEqual(createStableRecordId('response', 0), createStableRecordId('response', 1))
+})
@@ -0,0 +1,352 @@
+/// <reference path="../types.js" />
+
+import { X509Certificate, KeyObject, createHash, createPrivateKey, createPublicKey, sign, verify } from 'crypto'
+
+import { assertValidWACZSignatureFormat } from './assertions.js'
+import { parseDER, decodeOID, decodeGeneralizedTime, DER_TAGS } from './der.js'
+import { PACKAGE_INFO } from '../constants.js'
+
+/**
+ * Maximum gap allowed between the `created` date of a domain-signed WACZ and the date at which its signature was timestamped.
+ * @constant
+ * @type {number}
+ */
+export const SIGNATURE_TIMESTAMP_TOLERANCE = 10 * 60 * 1000
+
+/**
+ * Elliptic curve anonymous signatures must use, as expected by WACZ signature verifiers.
+ * @constant
+ * @type {string}
+ */
+export const ANONYMOUS_SIGNATURE_CURVE = 'P-384'
+
+/**
+ * Object identifiers needed to inspect RFC 3161 timestamps.
+ * @constant
+ */
+const OIDS = Object.freeze({
+  SIGNED_DATA: '1.2.840.113549.1.7.2',
+  TST_INFO: '1.2.840.113549.1.9.16.1.4',
+  MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+  TIME_STAMPING: '1.3.6.1.5.5.7.3.8'
+})
+
+/**
+ * Digest algorithms that can be used in RFC 3161 timestamps, by object identifier.
+ * @constant
+ */
+const DIGEST_ALGORITHMS = Object.freeze({
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+})
+
+/**
+ * Cryptographically verifies a WACZ signature block, as found under `signedData` in datapackage-digest.json.
+ *
+ * Supports both signature types described in the spec (https://specs.webrecorder.net/wacz-auth/0.1.0/):
+ * - Anonymous: `signature` must be a valid ECDSA signature of `hash` for `publicKey`.
+ *   Note that `created` is not covered by anonymous signatures.
+ * - Domain identity: `signature` must be a valid signature of `hash` for the leaf certificate of `domainCert`,
+ *   which must have been issued for `domain` and be valid at `created`.
+ *   `timeSignature` must be an RFC 3161 timestamp of `signature`, issued by `timestampCert` within
+ *   SIGNATURE_TIMESTAMP_TOLERANCE of `created`.
+ *
+ * Certificate chains are checked for internal consistency (each certificate must be issued and signed by the next one),
+ * but are not checked against a list of trusted roots.
+ *
+ * @param {object} signedData - Signature block.
+ * @param {?string} [expectedHash=null] - If provided, `signedData.hash` must match this value (i.e: hash from datapackage-digest.json).
+ * @returns {WACZSignatureVerification}
+ */
+export const verifyWACZSignature = (signedData, expectedHash = null) => {
+  /** @type {WACZSignatureVerification} */
+  const result = {
+    valid: false,
+    type: null,
+    domain: null,
+    created: signedData?.created ?? null,
+    errors: []
+  }
+
+  /**
+   * Runs a check and records its error message if it throws or returns false.
+   * @param {string} message
+   * @param {function} fn
+   */
+  const check = (message, fn) => {
+    try {
+      if (fn() === false) {
+        result.errors.push(message)
+      }
+    } catch (err) {
+      result.errors.push(`${message} (${err.message})`)
+    }
+  }
+
+  try {
+    assertValidWACZSignatureFormat(signedData)
+  } catch (err) {
+    result.errors.push(err.message)
+    return result
+  }
+
+  if (expectedHash) {
+    check('"hash" does not match the hash of the signed datapackage.', () => signedData.hash === expectedHash)
+  }
+
+  // Anonymous signature
+  if (signedData.publicKey) {
+    result.type = 'anonymous'
+
+    check('"signature" does not match "hash" for "publicKey".', () => {
+      const publicKey = createPublicKey({ key: Buffer.from(signedData.publicKey, 'base64'), format: 'der', type: 'spki' })
+      return verifyHashSignature(signedData.hash, signedData.signature, publicKey)
+    })
+  // Domain identity signature
+  } else {
+    result.type = 'domain'
+    result.domain = signedData.domain
+
+    const created = new Date(signedData.created)
+    let domainCerts = []
+    let timestampCerts = []
+
+    check('"domainCert" is not a valid PEM certificate chain.', () => { domainCerts = parseCertificateChain(signedData.domainCert) })
+
+    check('"timestampCert" is not a valid PEM certificate chain.', () => { timestampCerts = parseCertificateChain(signedData.timestampCert) })
+
+    // Remaining checks need both chains
+    if (!domainCerts.length || !timestampCerts.length) {
+      return result
+    }
+
+    check('"domainCert" is not a consistent certificate chain.', () => assertConsistentCertificateChain(domainCerts))
+
+    check(`"domainCert" was not issued for "${signedData.domain}".`, () => Boolean(domainCerts[0].checkHost(signedData.domain)))
+
+    check('"created" is outside of the validity period of "domainCert".', () => isWithinValidityPeriod(domainCerts[0], created))
+
+    check('"signature" does not match "hash" for "domainCert".', () => {
+      return verifyHashSignature(signedData.hash, signedData.signature, domainCerts[0].publicKey)
+    })
+
+    check('"timestampCert" is not a consistent certificate chain.', () => assertConsistentCertificateChain(timestampCerts))
+
+    check('"timestampCert" is not a time stamping certificate.', () => Boolean(timestampCerts[0].keyUsage?.includes(OIDS.TIME_STAMPING)))
+
+    check('"timeSignature" is not a valid timestamp of "signature" within the tolerated range of "created".', () => {
+      const genTime = verifyTimestamp(signedData.timeSignature, signedData.signature, timestampCerts[0])
+
+      return isWithinValidityPeriod(timestampCerts[0], genTime) &&
+        Math.abs(genTime - created) <= SIGNATURE_TIMESTAMP_TOLERANCE
+    })
+  }
+
+  result.valid = result.errors.length === 0
+  return result
+}
+
+/**
+ * Loads a private key that can be used for anonymous signatures.
+ * @param {string|Buffer|object|KeyObject} key - PEM-encoded private key, JWK object or private KeyObject.
+ * @returns {KeyObject}
+ * @throws Error - If the key cannot be loaded or is not an ECDSA P-384 private key.
+ */
+export const loadSigningKey = (key) => {
+  let privateKey = null
+
+  if (key instanceof KeyObject) {
+    privateKey = key
+  } else if (key?.constructor === Object) {
+    privateKey = createPrivateKey({ key, format: 'jwk' })
+  } else {
+    privateKey = createPrivateKey(key)
+  }
+
+  if (privateKey.type !== 'private' ||
+      privateKey.asymmetricKeyType !== 'ec' ||
+      privateKey.asymmetricKeyDetails?.namedCurve !== 'secp384r1') {
+    throw new Error(`Signing key must be an ECDSA ${ANONYMOUS_SIGNATURE_CURVE} private key.`)
+  }
+
+  return privateKey
+}
+
+/**
+ * Produces an anonymous signature block for a given datapackage hash, without the need for a signing server.
+ * Signatures are ECDSA P-384 / SHA-256, IEEE P1363-encoded, as produced by WebCrypto-based signers.
+ *
+ * See: https://specs.webrecorder.net/wacz-auth/0.1.0/#signature-data-format
+ * @param {{hash: string, created: string}} data - Hash of datapackage.json and date at which it was created.
+ * @param {string|Buffer|object|KeyObject} key - See `loadSigningKey()`.
+ * @returns {object} - Signature data to be appended to the datapackage digest.
+ */
+export const createAnonymousSignature = ({ hash, created }, key) => {
+  const privateKey = loadSigningKey(key)
+  const publicKey = createPublicKey(privateKey)
+
+  return {
+    hash,
+    created,
+    software: `${PACKAGE_INFO.name} ${PACKAGE_INFO.version}`,
+    signature: sign('sha256', Buffer.from(hash), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64'),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  }
+}
+
+/**
+ * Splits a PEM certificate chain into individual certificates, leaf first.
+ * @param {string} pem
+ * @returns {X509Certificate[]}
+ */
+export const parseCertificateChain = (pem) => {
+  const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || []
+  return blocks.map(block => new X509Certificate(block))
+}
+
+/**
+ * Throws if a certificate in the chain was not issued and signed by the next one.
+ * @param {X509Certificate[]} certs - Leaf first.
+ * @returns {void}
+ */
+const assertConsistentCertificateChain = (certs) => {
+  if (certs.length < 1) {
+    throw new Error('No certificate found.')
+  }
+
+  for (let i = 0; i < certs.length - 1; i++) {
+    if (!certs[i].checkIssued(certs[i + 1]) || !certs[i].verify(certs[i + 1].publicKey)) {
+      throw new Error(`"${certs[i].subject}" was not issued by "${certs[i + 1].subject}".`)
+    }
+  }
+}
+
+/**
+ * Checks that a date falls within the validity period of a certificate.
+ * @param {X509Certificate} cert
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isWithinValidityPeriod = (cert, date) => {
+  return new Date(cert.validFrom) <= date && date <= new Date(cert.validTo)
+}
+
+/**
+ * Verifies a base64-encoded signature of a "sha256:"-prefixed hash string, as produced by signing servers.
+ * ECDSA signatures can be either DER-encoded or IEEE P1363-encoded (as produced by WebCrypto).
+ * @param {string} hash
+ * @param {string} signature - Base64.
+ * @param {KeyObject} publicKey
+ * @returns {boolean}
+ */
+export const verifyHashSignature = (hash, signature, publicKey) => {
+  const data = Buffer.from(hash)
+  const sig = Buffer.from(signature, 'base64')
+
+  if (publicKey.asymmetricKeyType !== 'ec') {
+    return verify('sha256', data, publicKey, sig)
+  }
+
+  return verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, sig) ||
+    verify('sha256', data, { key: publicKey, dsaEncoding: 'der' }, sig)
+}
+
+/**
+ * Verifies an RFC 3161 timestamp (either a TimeStampResp or a bare TimeStampToken) of a given signature:
+ * - The timestamped message must be `signature`.
+ * - The timestamp token must have been signed by `cert`.
+ * @param {string} timeSignature - Base64 DER.
+ * @param {string} signature - Base64 signature that was timestamped.
+ * @param {X509Certificate} cert - Leaf time stamping certificate.
+ * @returns {Date} - Time at which the timestamp was generated.
+ */
+const verifyTimestamp = (timeSignature, signature, cert) => {
+  let token = parseDER(Buffer.from(timeSignature, 'base64'))
+
+  // TimeStampResp: { status, timeStampToken }
+  if (token.children[0]?.tag !== DER_TAGS.OID) {
+    token = token.children[1]
+  }
+
+  // ContentInfo: { contentType, [0] SignedData }
+  if (!token || decodeOID(token.children[0]) !== OIDS.SIGNED_DATA) {
+    throw new Error('Timestamp token is not a CMS SignedData structure.')
+  }
+
+  // SignedData: { version, digestAlgorithms, encapContentInfo, [0] certificates, [1] crls, signerInfos }
+  const signedData = token.children[1].children[0]
+  const encapContentInfo = signedData.children[2]
+  const signerInfos = signedData.children[signedData.children.length - 1]
+
+  if (decodeOID(encapContentInfo.children[0]) !== OIDS.TST_INFO) {
+    throw new Error('Timestamp token does not hold TSTInfo.')
+  }
+
+  // TSTInfo: { version, policy, messageImprint, serialNumber, genTime, ... }
+  const tstInfoDER = encapContentInfo.children[1].children[0].contents
+  const tstInfo = parseDER(tstInfoDER)
+  const [imprintAlgorithm, imprintHash] = tstInfo.children[2].children
+  const imprintDigest = getDigestAlgorithm(imprintAlgorithm)
+
+  // Timestamped message is the base64 representation of the signature
+  const candidates = [Buffer.from(signature), Buffer.from(signature, 'base64')]
+
+  if (!candidates.some(message => createHash(imprintDigest).update(message).digest().equals(imprintHash.contents))) {
+    throw new Error('Timestamp does not cover "signature".')
+  }
+
+  // SignerInfo: { version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature, ... }
+  const signerInfo = signerInfos.children[0]
+  const [, sid, digestAlgorithm, signedAttrs] = signerInfo.children
+  const signerSignature = signerInfo.children[5]
+  const signerDigest = getDigestAlgorithm(digestAlgorithm)
+
+  if (signedAttrs?.tag !== 0xa0) {
+    throw new Error('Timestamp token has no signed attributes.')
+  }
+
+  // sid as IssuerAndSerialNumber: serial must match the certificate's
+  if (sid.tag === DER_TAGS.SEQUENCE) {
+    const serial = BigInt(`0x${sid.children[1].contents.toString('hex')}`)
+
+    if (serial !== BigInt(`0x${cert.serialNumber}`)) {
+      throw new Error('Timestamp was not signed by "timestampCert".')
+    }
+  }
+
+  // messageDigest attribute must match TSTInfo
+  const messageDigest = signedAttrs.children
+    .find(attr => decodeOID(attr.children[0]) === OIDS.MESSAGE_DIGEST)
+    ?.children[1].children[0].contents
+
+  if (!messageDigest || !createHash(signerDigest).update(tstInfoDER).digest().equals(messageDigest)) {
+    throw new Error('Timestamp signed attributes do not match its content.')
+  }
+
+  // Signature covers signed attributes, re-encoded as a SET
+  const signedAttrsSet = Buffer.from(signedAttrs.raw)
+  signedAttrsSet[0] = DER_TAGS.SET
+
+  if (!verify(signerDigest, signedAttrsSet, cert.publicKey, signerSignature.contents)) {
+    throw new Error('Timestamp signature is invalid.')
+  }
+
+  return decodeGeneralizedTime(tstInfo.children[4])
+}
+
+/**
+ * Returns the name of a digest algorithm from its AlgorithmIdentifier.
+ * @param {DERNode} algorithmIdentifier
+ * @returns {string}
+ */
+const getDigestAlgorithm = (algorithmIdentifier) => {
+  const oid = decodeOID(algorithmIdentifier.children[0])
+
+  if (!DIGEST_ALGORITHMS[oid]) {
+    throw new Error(`Unsupported digest algorithm: ${oid}.`)
+  }
+
+  return DIGEST_ALGORITHMS[oid]
+}
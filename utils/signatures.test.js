@@ -0,0 +1,178 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { generateKeyPairSync, sign } from 'crypto'
+
+import { readFile } from 'fs/promises'
+
+import { FIXTURES_PATH } from '../constants.js'
+
+import { verifyWACZSignature, parseCertificateChain, loadSigningKey, createAnonymousSignature } from './signatures.js'
+import { assertValidWACZSignatureFormat } from './assertions.js'
+
+/**
+ * Loads the authsign response fixture.
+ * Its `domain` was anonymized after signing and is restored here to match `domainCert`.
+ * @returns {Promise<object>}
+ */
+const loadDomainSignedData = async () => {
+  const signedData = JSON.parse(await readFile(`${FIXTURES_PATH}authsign-response.json`))
+  signedData.domain = 'authsign.lil.tools'
+  return signedData
+}
+
+/**
+ * Generates an anonymous signature block the way WebCrypto-based signers do (ECDSA P-384, IEEE P1363 encoding).
+ * @param {string} hash
+ * @returns {object}
+ */
+const createAnonymousSignedData = (hash) => {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+
+  return {
+    hash,
+    created: new Date().toISOString(),
+    software: 'js-wacz tests',
+    signature: sign('sha256', Buffer.from(hash), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64'),
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+  }
+}
+
+const HASH = 'sha256:c67da129b1366c20975936d20ea691b0d3789990424cf6f5379ef8076f1ad0f1'
+
+test('parseCertificateChain splits a PEM chain into individual certificates.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  assert.equal(parseCertificateChain(signedData.domainCert).length, 3)
+  assert.equal(parseCertificateChain(signedData.timestampCert).length, 2)
+  assert.equal(parseCertificateChain('foo').length, 0)
+})
+
+test('verifyWACZSignature accepts a valid domain identity signature.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  const result = verifyWACZSignature(signedData, signedData.hash)
+
+  assert.deepEqual(result.errors, [])
+  assert.equal(result.valid, true)
+  assert.equal(result.type, 'domain')
+  assert.equal(result.domain, signedData.domain)
+  assert.equal(result.created, signedData.created)
+})
+
+test('verifyWACZSignature rejects domain identity signatures that do not cover the stated hash and date.', async (_t) => {
+  const scenarios = [
+    { hash: HASH },
+    { created: '2023-03-22T15:50:02Z' },
+    { domain: 'example.com' }
+  ]
+
+  for (const scenario of scenarios) {
+    const signedData = { ...(await loadDomainSignedData()), ...scenario }
+    const result = verifyWACZSignature(signedData)
+
+    assert.equal(result.valid, false)
+    assert(result.errors.length > 0)
+  }
+})
+
+test('verifyWACZSignature rejects domain identity signatures with inconsistent certificate chains.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  const [leaf, , root] = signedData.domainCert.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+
+  // Missing intermediate
+  assert.equal(verifyWACZSignature({ ...signedData, domainCert: `${leaf}\n${root}\n` }).valid, false)
+
+  // Certificates swapped
+  assert.equal(verifyWACZSignature({
+    ...signedData,
+    domainCert: signedData.timestampCert,
+    timestampCert: signedData.domainCert
+  }).valid, false)
+})
+
+test('verifyWACZSignature reports malformed certificates past the first one of a chain as errors.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  const garbage = '-----BEGIN CERTIFICATE-----\nZm9vYmFyYmF6\n-----END CERTIFICATE-----\n'
+
+  for (const key of ['domainCert', 'timestampCert']) {
+    const result = verifyWACZSignature({ ...signedData, [key]: `${signedData[key]}${garbage}` }, signedData.hash)
+
+    assert.equal(result.valid, false)
+    assert(result.errors.some(error => error.startsWith(`"${key}" is not a valid PEM certificate chain.`)))
+  }
+})
+
+test('verifyWACZSignature rejects domain identity signatures with a tampered timestamp.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  const timeSignature = Buffer.from(signedData.timeSignature, 'base64')
+  timeSignature[timeSignature.length - 10] ^= 0xff
+
+  const result = verifyWACZSignature({ ...signedData, timeSignature: timeSignature.toString('base64') })
+  assert.equal(result.valid, false)
+})
+
+test('verifyWACZSignature accepts a valid anonymous signature.', async (_t) => {
+  const result = verifyWACZSignature(createAnonymousSignedData(HASH), HASH)
+
+  assert.deepEqual(result.errors, [])
+  assert.equal(result.valid, true)
+  assert.equal(result.type, 'anonymous')
+  assert.equal(result.domain, null)
+})
+
+test('verifyWACZSignature rejects anonymous signatures that do not match the stated or expected hash.', async (_t) => {
+  const signedData = createAnonymousSignedData(HASH)
+  const otherHash = 'sha256:0000000000000000000000000000000000000000000000000000000000000000'
+
+  assert.equal(verifyWACZSignature({ ...signedData, hash: otherHash }).valid, false)
+  assert.equal(verifyWACZSignature(signedData, otherHash).valid, false)
+  assert.equal(verifyWACZSignature({ ...signedData, publicKey: createAnonymousSignedData(HASH).publicKey }).valid, false)
+})
+
+test('verifyWACZSignature rejects signature blocks that are not in the expected format.', async (_t) => {
+  const signedData = await loadDomainSignedData()
+  delete signedData.signature
+
+  for (const scenario of [signedData, {}]) {
+    const result = verifyWACZSignature(scenario)
+    assert.equal(result.valid, false)
+    assert(result.errors.length > 0)
+  }
+})
+
+test('loadSigningKey accepts ECDSA P-384 private keys as PEM, JWK or KeyObject.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const scenarios = [
+    privateKey,
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    privateKey.export({ type: 'sec1', format: 'pem' }),
+    privateKey.export({ format: 'jwk' })
+  ]
+
+  for (const key of scenarios) {
+    assert.doesNotThrow(() => loadSigningKey(key))
+  }
+})
+
+test('loadSigningKey throws on keys that cannot be used for anonymous signatures.', async (_t) => {
+  const scenarios = [
+    'foo',
+    {},
+    generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey,
+    generateKeyPairSync('ec', { namedCurve: 'P-384' }).publicKey,
+    generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey
+  ]
+
+  for (const key of scenarios) {
+    assert.throws(() => loadSigningKey(key))
+  }
+})
+
+test('createAnonymousSignature produces a signature block that is well-formed and verifiable.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const created = new Date().toISOString()
+  const signedData = createAnonymousSignature({ hash: HASH, created }, privateKey)
+
+  assert.equal(signedData.hash, HASH)
+  assert.equal(signedData.created, created)
+  assert.doesNotThrow(() => assertValidWACZSignatureFormat(signedData))
+  assert.equal(verifyWACZSignature(signedData, HASH).valid, true)
+})
@@ -0,0 +1,108 @@
+/// <reference path="../types.js" />
+
+import { setTimeout as sleep } from 'timers/promises'
+
+import { createAnonymousSignature, loadSigningKey } from './signatures.js'
+
+/**
+ * Default options for `createHTTPSigner()`.
+ * @constant
+ */
+export const HTTP_SIGNER_DEFAULTS = Object.freeze({
+  timeout: 30000,
+  retries: 3,
+  retryDelay: 1000
+})
+
+/**
+ * Turns a signer, as accepted by `WACZOptions.signer`, into a function.
+ * @param {WACZSigner|{sign: WACZSigner}} signer - Async function or object exposing a `sign()` method.
+ * @returns {WACZSigner}
+ * @throws Error - If `signer` is neither.
+ */
+export const normalizeSigner = (signer) => {
+  if (typeof signer === 'function') {
+    return signer
+  }
+
+  if (typeof signer?.sign === 'function') {
+    return (data) => signer.sign(data)
+  }
+
+  throw new Error('"signer" must be a function or an object with a "sign" method.')
+}
+
+/**
+ * Creates a signer which produces anonymous signatures locally, using the given private key.
+ * @param {string|Buffer|object|KeyObject} key - ECDSA P-384 private key. See `loadSigningKey()`.
+ * @returns {WACZSigner}
+ */
+export const createPrivateKeySigner = (key) => {
+  const privateKey = loadSigningKey(key)
+  return async ({ hash, created }) => createAnonymousSignature({ hash, created }, privateKey)
+}
+
+/**
+ * Creates a signer which requests signatures from an authsign-compatible server (https://github.com/webrecorder/authsign).
+ * Requests that time out, fail at network level or receive an HTTP 408, 429 or 5XX are retried with exponential backoff.
+ * Pending requests and retries are cancelled if the `signal` provided alongside `hash` and `created` is aborted.
+ * @param {Object} options
+ * @param {string} options.url - URL of the signing endpoint.
+ * @param {?string} [options.token] - If set, will be sent as `Authorization` header.
+ * @param {?Object} [options.headers] - Additional HTTP headers to send.
+ * @param {number} [options.timeout=30000] - Per-attempt timeout, in milliseconds.
+ * @param {number} [options.retries=3] - How many times a failed request may be retried.
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry, in milliseconds. Doubles on every retry.
+ * @param {?any} [options.log] - Console API-compatible logger.
+ * @returns {WACZSigner}
+ */
+export const createHTTPSigner = (options = {}) => {
+  const { url, token, log = console } = options
+  const timeout = options?.timeout ?? HTTP_SIGNER_DEFAULTS.timeout
+  const retries = options?.retries ?? HTTP_SIGNER_DEFAULTS.retries
+  const retryDelay = options?.retryDelay ?? HTTP_SIGNER_DEFAULTS.retryDelay
+
+  new URL(url) // eslint-disable-line
+
+  const headers = { ...(options?.headers || {}), 'Content-Type': 'application/json' }
+
+  if (token) {
+    headers.Authorization = token
+  }
+
+  return async ({ hash, created, signal = null }) => {
+    const body = JSON.stringify({ hash, created })
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null
+
+      try {
+        const timeoutSignal = AbortSignal.timeout(timeout)
+        response = await fetch(url, { method: 'POST', headers, body, signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal })
+      } catch (err) {
+        log.trace(err)
+        signal?.throwIfAborted()
+
+        if (attempt >= retries) {
+          throw new Error(`Signing server could not be reached (${err.message}).`)
+        }
+      }
+
+      if (response?.status === 200) {
+        return await response.json()
+      }
+
+      if (response) {
+        const retryable = [408, 429].includes(response.status) || response.status >= 500
+
+        if (!retryable || attempt >= retries) {
+          throw new Error(`Server responded with HTTP ${response.status}.`)
+        }
+      }
+
+      const delay = retryDelay * (2 ** attempt)
+      log.warn(`Signature request failed${response ? ` with HTTP ${response.status}` : ''}. Retrying in ${delay}ms.`)
+      await sleep(delay, null, { signal: signal ?? undefined })
+    }
+  }
+}
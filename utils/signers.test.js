@@ -0,0 +1,165 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'http'
+import { generateKeyPairSync } from 'crypto'
+import { readFile } from 'fs/promises'
+
+import { FIXTURES_PATH } from '../constants.js'
+
+import { normalizeSigner, createHTTPSigner, createPrivateKeySigner } from './signers.js'
+import { verifyWACZSignature } from './signatures.js'
+
+const HASH = 'sha256:939f7f072a926c651dd2aa591f0d44bdfbc322819729de3354195ddda1290d0d'
+const CREATED = '2023-02-22T15:50:02Z'
+
+/**
+ * Silent Console API-compatible logger.
+ * @constant
+ */
+const SILENT_LOG = { trace: () => {}, info: () => {}, warn: () => {}, error: () => {} }
+
+/**
+ * Starts a local signing server which responds with the given HTTP statuses in order (200 = authsign fixture).
+ * @param {number[]} statuses
+ * @param {number} [delay=0] - Delay before responding, in milliseconds.
+ * @returns {Promise<{url: string, requests: object[], close: function}>}
+ */
+const startSigningServer = async (statuses, delay = 0) => {
+  const fixture = await readFile(`${FIXTURES_PATH}authsign-response.json`)
+  const requests = []
+
+  const server = createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const status = statuses[Math.min(requests.length, statuses.length - 1)]
+      requests.push({ headers: req.headers, body: JSON.parse(body) })
+
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(status === 200 ? fixture : '{}')
+      }, delay)
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/sign`,
+    requests,
+    close: () => {
+      server.closeAllConnections()
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
+
+test('normalizeSigner accepts functions and objects with a sign method.', async (_t) => {
+  const fn = async () => ({})
+  assert.equal(normalizeSigner(fn), fn)
+
+  const signer = { sign: async ({ hash }) => ({ hash }) }
+  assert.deepEqual(await normalizeSigner(signer)({ hash: HASH }), { hash: HASH })
+
+  for (const scenario of [null, 'foo', {}, 12]) {
+    assert.throws(() => normalizeSigner(scenario))
+  }
+})
+
+test('createPrivateKeySigner produces verifiable anonymous signatures.', async (_t) => {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  const signer = createPrivateKeySigner(privateKey)
+  const signedData = await signer({ hash: HASH, created: CREATED })
+
+  assert.equal(signedData.created, CREATED)
+  assert.equal(verifyWACZSignature(signedData, HASH).valid, true)
+  assert.throws(() => createPrivateKeySigner('foo'))
+})
+
+test('createHTTPSigner throws if url is invalid.', async (_t) => {
+  assert.throws(() => createHTTPSigner({ url: 'foo' }))
+  assert.throws(() => createHTTPSigner({}))
+})
+
+test('createHTTPSigner sends hash, created, token and custom headers.', async (_t) => {
+  const server = await startSigningServer([200])
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, token: 'FOO', headers: { 'X-Foo': 'BAR' }, log: SILENT_LOG })
+    const signedData = await signer({ hash: HASH, created: CREATED })
+
+    assert.equal(signedData.hash, HASH)
+    assert.equal(server.requests.length, 1)
+    assert.deepEqual(server.requests[0].body, { hash: HASH, created: CREATED })
+    assert.equal(server.requests[0].headers.authorization, 'FOO')
+    assert.equal(server.requests[0].headers['x-foo'], 'BAR')
+    assert.equal(server.requests[0].headers['content-type'], 'application/json')
+  } finally {
+    await server.close()
+  }
+})
+
+test('createHTTPSigner retries transient failures with backoff.', async (_t) => {
+  const server = await startSigningServer([502, 503, 200])
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, retries: 2, retryDelay: 1, log: SILENT_LOG })
+    const signedData = await signer({ hash: HASH, created: CREATED })
+
+    assert.equal(signedData.hash, HASH)
+    assert.equal(server.requests.length, 3)
+  } finally {
+    await server.close()
+  }
+})
+
+test('createHTTPSigner gives up after the maximum number of retries.', async (_t) => {
+  const server = await startSigningServer([502])
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, retries: 2, retryDelay: 1, log: SILENT_LOG })
+    await assert.rejects(signer({ hash: HASH, created: CREATED }))
+    assert.equal(server.requests.length, 3)
+  } finally {
+    await server.close()
+  }
+})
+
+test('createHTTPSigner does not retry client errors.', async (_t) => {
+  const server = await startSigningServer([401, 200])
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, retries: 2, retryDelay: 1, log: SILENT_LOG })
+    await assert.rejects(signer({ hash: HASH, created: CREATED }))
+    assert.equal(server.requests.length, 1)
+  } finally {
+    await server.close()
+  }
+})
+
+test('createHTTPSigner times out and retries slow requests.', async (_t) => {
+  const server = await startSigningServer([200], 500)
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, timeout: 50, retries: 1, retryDelay: 1, log: SILENT_LOG })
+    await assert.rejects(signer({ hash: HASH, created: CREATED }))
+    assert.equal(server.requests.length, 2)
+  } finally {
+    await server.close()
+  }
+})
+
+test('createHTTPSigner stops requesting and retrying if the signal provided is aborted.', async (_t) => {
+  const server = await startSigningServer([200], 2000)
+
+  try {
+    const signer = createHTTPSigner({ url: server.url, timeout: 5000, retries: 3, retryDelay: 1, log: SILENT_LOG })
+    const controller = new AbortController()
+
+    setTimeout(() => controller.abort(), 50)
+    await assert.rejects(signer({ hash: HASH, created: CREATED, signal: controller.signal }), { name: 'AbortError' })
+    assert.equal(server.requests.length, 1)
+  } finally {
+    await server.close()
+  }
+})
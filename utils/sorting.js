@@ -0,0 +1,99 @@
+import { createReadStream } from 'fs'
+import { createInterface } from 'readline'
+
+/**
+ * Reads a text file line by line.
+ * @param {string} path
+ * @returns {AsyncGenerator<string>} - Lines, including their trailing "\n".
+ */
+export async function * readLines (path) {
+  const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity })
+
+  for await (const line of lines) {
+    yield `${line}\n`
+  }
+}
+
+/**
+ * Merges sequences of sorted strings (i.e: sorted runs spilled to disk) into a single sorted sequence.
+ * Strings are compared the same way `sorted-btree` does by default. Duplicates are skipped.
+ * @param {Array<Iterable<string>|AsyncIterable<string>>} sources - Each source must already be sorted.
+ * @returns {AsyncGenerator<string>}
+ */
+export async function * mergeSorted (sources) {
+  /** @type {Array<{value: string, iterator: AsyncIterator<string>|Iterator<string>}>} */
+  const heap = []
+
+  const push = (entry) => {
+    let i = heap.push(entry) - 1
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+
+      if (heap[parent].value <= heap[i].value) {
+        break
+      }
+
+      [heap[parent], heap[i]] = [heap[i], heap[parent]]
+      i = parent
+    }
+  }
+
+  const pop = () => {
+    const top = heap[0]
+    const last = heap.pop()
+
+    if (heap.length > 0) {
+      heap[0] = last
+      let i = 0
+
+      for (;;) {
+        const left = i * 2 + 1
+        const right = left + 1
+        let smallest = i
+
+        if (left < heap.length && heap[left].value < heap[smallest].value) {
+          smallest = left
+        }
+
+        if (right < heap.length && heap[right].value < heap[smallest].value) {
+          smallest = right
+        }
+
+        if (smallest === i) {
+          break
+        }
+
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]]
+        i = smallest
+      }
+    }
+
+    return top
+  }
+
+  const next = async (iterator) => {
+    const { value, done } = await iterator.next()
+
+    if (!done) {
+      push({ value, iterator })
+    }
+  }
+
+  for (const source of sources) {
+    await next(source[Symbol.asyncIterator]?.() ?? source[Symbol.iterator]())
+  }
+
+  let previous = null
+
+  while (heap.length > 0) {
+    const { value, iterator } = pop()
+
+    if (value !== previous) {
+      yield value
+      previous = value
+    }
+
+    await next(iterator)
+  }
+}
@@ -0,0 +1,56 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+import { readLines, mergeSorted } from './sorting.js'
+
+/**
+ * Collects the values of an async iterable.
+ * @param {AsyncIterable<any>} iterable
+ * @returns {Promise<any[]>}
+ */
+const collect = async (iterable) => {
+  const values = []
+
+  for await (const value of iterable) {
+    values.push(value)
+  }
+
+  return values
+}
+
+test('readLines yields the lines of a file, including their trailing line break.', async (_t) => {
+  const directory = await fs.mkdtemp(join(tmpdir(), 'js-wacz-sorting-'))
+  const path = join(directory, 'lines.txt')
+
+  await fs.writeFile(path, 'a 1 {}\nb 2 {}\n')
+  assert.deepEqual(await collect(readLines(path)), ['a 1 {}\n', 'b 2 {}\n'])
+
+  await fs.rm(directory, { recursive: true, force: true })
+})
+
+test('mergeSorted merges sorted sources into a single sorted sequence, without duplicates.', async (_t) => {
+  const sources = [
+    ['a\n', 'd\n', 'g\n'],
+    (async function * () { yield * ['b\n', 'd\n', 'z\n'] })(),
+    [],
+    ['c\n', 'e\n', 'f\n', 'g\n']
+  ]
+
+  assert.deepEqual(await collect(mergeSorted(sources)), ['a\n', 'b\n', 'c\n', 'd\n', 'e\n', 'f\n', 'g\n', 'z\n'])
+  assert.deepEqual(await collect(mergeSorted([])), [])
+})
+
+test('mergeSorted sorts the same way as Array.prototype.sort() for strings.', async (_t) => {
+  const values = []
+
+  for (let i = 0; i < 1000; i++) {
+    values.push(`${Math.random().toString(36).slice(2)} ${i}\n`)
+  }
+
+  const sources = [0, 1, 2, 3, 4].map(i => values.filter((_value, index) => index % 5 === i).sort())
+
+  assert.deepEqual(await collect(mergeSorted(sources)), [...values].sort())
+})
@@ -0,0 +1,281 @@
+/// <reference path="types.js" />
+
+import { gunzipSync } from 'zlib'
+
+import StreamZip from 'node-stream-zip'
+
+import { sha256, byteLength } from './utils/hashing.js'
+import { verifyWACZSignature } from './utils/signatures.js'
+
+/**
+ * Opens an existing .wacz file and checks its integrity:
+ * - Every entry listed in `datapackage.json` `resources` is re-hashed and measured and compared against the stored `hash` and `bytes`.
+ * - `datapackage-digest.json` must reference and match `datapackage.json`.
+ * - If `datapackage-digest.json` is signed, its signature must be cryptographically valid (see `verifyWACZSignature()`).
+ * - Indexes (`index.cdx`, `index.cdx.gz` + `index.idx`) and pages lists must parse.
+ *
+ * Usage:
+ * ```
+ * const report = await validateWACZ('collection.wacz')
+ *
+ * if (!report.valid) {
+ *   console.log(report.checks.filter(check => !check.valid))
+ * }
+ * ```
+ *
+ * @param {string} filename - Path to the .wacz file to validate.
+ * @returns {Promise<WACZValidationReport>}
+ */
+export const validateWACZ = async (filename) => {
+  /** @type {WACZValidationReport} */
+  const report = { filename, valid: false, checks: [] }
+
+  /**
+   * Adds a check to the report.
+   * @param {string} name
+   * @param {?string} path
+   * @param {boolean} valid
+   * @param {?string} [message=null]
+   */
+  const addCheck = (name, path, valid, message = null) => {
+    report.checks.push({ name, path, valid, message })
+  }
+
+  let zip = null
+
+  try {
+    zip = new StreamZip.async({ file: filename }) // eslint-disable-line
+    await zip.entries() // Throws if file is not a readable ZIP
+    addCheck('zip', null, true)
+  } catch (err) {
+    addCheck('zip', null, false, `${filename} could not be read as a ZIP file (${err.message}).`)
+    return report
+  }
+
+  try {
+    const datapackage = await validateDatapackage(zip, addCheck)
+
+    if (datapackage) {
+      await validateResources(zip, datapackage, addCheck)
+      await validateDatapackageDigest(zip, addCheck)
+      await validateIndexes(zip, addCheck)
+      await validatePages(zip, addCheck)
+    }
+  } finally {
+    await zip.close()
+  }
+
+  report.valid = report.checks.every(check => check.valid)
+  return report
+}
+
+/**
+ * Checks that `datapackage.json` exists and holds a list of resources.
+ * @param {StreamZip.StreamZipAsync} zip
+ * @param {function} addCheck
+ * @returns {Promise<?object>} - Parsed datapackage, if valid.
+ */
+const validateDatapackage = async (zip, addCheck) => {
+  let datapackage = null
+
+  try {
+    datapackage = JSON.parse(await zip.entryData('datapackage.json'))
+  } catch (err) {
+    addCheck('datapackage', 'datapackage.json', false, `datapackage.json is missing or could not be parsed (${err.message}).`)
+    return null
+  }
+
+  if (!Array.isArray(datapackage?.resources)) {
+    addCheck('datapackage', 'datapackage.json', false, '"resources" is missing or is not an array.')
+    return null
+  }
+
+  addCheck('datapackage', 'datapackage.json', true)
+  return datapackage
+}
+
+/**
+ * Re-hashes and measures every entry listed in `datapackage.resources`.
+ * @param {StreamZip.StreamZipAsync} zip
+ * @param {object} datapackage
+ * @param {function} addCheck
+ * @returns {Promise<void>}
+ */
+const validateResources = async (zip, datapackage, addCheck) => {
+  const entries = await zip.entries()
+
+  for (const resource of datapackage.resources) {
+    const path = resource?.path
+
+    if (!path || !entries[path]) {
+      addCheck('resource', path || null, false, 'Resource is listed in datapackage.json but missing from the archive.')
+      continue
+    }
+
+    // Hash and measure in a single pass: both consumers listen to the same stream.
+    const stream = await zip.stream(path)
+    const [hash, bytes] = await Promise.all([sha256(stream), byteLength(stream)])
+
+    if (hash !== resource.hash) {
+      addCheck('resource', path, false, `Hash mismatch: expected ${resource.hash}, got ${hash}.`)
+      continue
+    }
+
+    if (bytes !== resource.bytes) {
+      addCheck('resource', path, false, `Size mismatch: expected ${resource.bytes} bytes, got ${bytes}.`)
+      continue
+    }
+
+    addCheck('resource', path, true)
+  }
+}
+
+/**
+ * Checks that `datapackage-digest.json` references and matches `datapackage.json`, and that its signature is valid, if any.
+ * @param {StreamZip.StreamZipAsync} zip
+ * @param {function} addCheck
+ * @returns {Promise<void>}
+ */
+const validateDatapackageDigest = async (zip, addCheck) => {
+  let digest = null
+
+  try {
+    digest = JSON.parse(await zip.entryData('datapackage-digest.json'))
+  } catch (err) {
+    addCheck('datapackage-digest', 'datapackage-digest.json', false, `datapackage-digest.json is missing or could not be parsed (${err.message}).`)
+    return
+  }
+
+  if (digest?.path !== 'datapackage.json') {
+    addCheck('datapackage-digest', 'datapackage-digest.json', false, '"path" does not reference datapackage.json.')
+    return
+  }
+
+  const hash = await sha256(await zip.entryData('datapackage.json'))
+
+  if (digest?.hash !== hash) {
+    addCheck('datapackage-digest', 'datapackage-digest.json', false, `Hash mismatch: expected ${digest?.hash}, got ${hash}.`)
+    return
+  }
+
+  addCheck('datapackage-digest', 'datapackage-digest.json', true)
+
+  if (digest?.signedData) {
+    const verification = verifyWACZSignature(digest.signedData, digest.hash)
+    addCheck('signature', 'datapackage-digest.json', verification.valid, verification.errors.join(' ') || null)
+  }
+}
+
+/**
+ * Checks that every CDXJ file under `indexes/` parses.
+ * For ZipNum Shared Indexes, also checks that the blocks referenced in `index.idx` match `index.cdx.gz`.
+ * @param {StreamZip.StreamZipAsync} zip
+ * @param {function} addCheck
+ * @returns {Promise<void>}
+ */
+const validateIndexes = async (zip, addCheck) => {
+  const paths = Object.keys(await zip.entries()).filter(path => path.startsWith('indexes/'))
+
+  if (!paths.some(path => path.endsWith('.cdx') || path.endsWith('.cdx.gz'))) {
+    addCheck('index', 'indexes/', false, 'No CDX index found.')
+    return
+  }
+
+  for (const path of paths) {
+    try {
+      const data = await zip.entryData(path)
+
+      // Simple CDXJ index
+      if (path.endsWith('.cdx')) {
+        assertCDXJLines(data.toString('utf-8'))
+      // ZipNum Shared Index: blocks are gzipped CDXJ, checked via their IDX
+      } else if (path.endsWith('.cdx.gz')) {
+        assertCDXJLines(gunzipSync(data).toString('utf-8'))
+      // ZipNum Shared Index: IDX entries must reference valid blocks
+      } else if (path.endsWith('.idx')) {
+        const lines = data.toString('utf-8').split('\n').filter(line => line && !line.startsWith('!meta'))
+        const blockFiles = {}
+
+        for (const line of lines) {
+          // IDX lines are keyed CDXJ-like entries, the JSON block of which points to a block of the `.cdx.gz` file.
+          const meta = JSON.parse(line.slice(line.indexOf(' {') + 1))
+          const blockPath = `indexes/${meta.filename}`
+
+          if (!blockFiles[blockPath]) {
+            blockFiles[blockPath] = await zip.entryData(blockPath)
+          }
+
+          const block = blockFiles[blockPath].subarray(meta.offset, meta.offset + meta.length)
+
+          if (block.byteLength !== meta.length || (meta.digest && await sha256(block) !== meta.digest)) {
+            throw new Error(`Block at offset ${meta.offset} of ${blockPath} does not match its IDX entry.`)
+          }
+        }
+      } else {
+        continue
+      }
+
+      addCheck('index', path, true)
+    } catch (err) {
+      addCheck('index', path, false, `Index could not be parsed (${err.message}).`)
+    }
+  }
+}
+
+/**
+ * Checks that `pages/pages.jsonl` exists, and that all pages lists parse.
+ * @param {StreamZip.StreamZipAsync} zip
+ * @param {function} addCheck
+ * @returns {Promise<void>}
+ */
+const validatePages = async (zip, addCheck) => {
+  const paths = Object.keys(await zip.entries()).filter(path => path.startsWith('pages/') && path.endsWith('.jsonl'))
+
+  if (!paths.includes('pages/pages.jsonl')) {
+    addCheck('pages', 'pages/pages.jsonl', false, 'pages/pages.jsonl is missing.')
+  }
+
+  for (const path of paths) {
+    try {
+      const lines = (await zip.entryData(path)).toString('utf-8').split('\n').filter(line => line.trim())
+      const header = JSON.parse(lines[0] ?? '')
+
+      if (!header?.format?.startsWith('json-pages-')) {
+        throw new Error('First line is not a valid "json-pages" header.')
+      }
+
+      for (const line of lines.slice(1)) {
+        const page = JSON.parse(line)
+
+        if (!page?.url) {
+          throw new Error(`Entry has no "url": ${line}`)
+        }
+      }
+
+      addCheck('pages', path, true)
+    } catch (err) {
+      addCheck('pages', path, false, `Pages list could not be parsed (${err.message}).`)
+    }
+  }
+}
+
+/**
+ * Throws if any of the given lines is not a valid CDXJ entry (`<searchable url> <timestamp> <json>`).
+ * @param {string} cdxj
+ * @returns {void}
+ */
+const assertCDXJLines = (cdxj) => {
+  for (const line of cdxj.split('\n')) {
+    if (!line.trim()) {
+      continue
+    }
+
+    const [url, timestamp] = line.split(' ', 2)
+
+    if (!url || !/^\d{1,14}$/.test(timestamp)) {
+      throw new Error(`Invalid CDXJ line: ${line}`)
+    }
+
+    JSON.parse(line.slice(url.length + timestamp.length + 2))
+  }
+}
@@ -0,0 +1,158 @@
+/// <reference path="types.js" />
+
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { sep } from 'path'
+import fs from 'fs/promises'
+import { generateKeyPairSync, sign } from 'crypto'
+
+import { validateWACZ } from './validate.js'
+import { FIXTURES_PATH } from './constants.js'
+import { createFixtureWACZ } from './fixtures/helpers.js'
+
+test('validateWACZ reports a WACZ created by js-wacz as valid.', async (_t) => {
+  const output = 'tmp-validate-valid.wacz'
+  await createFixtureWACZ(output)
+
+  const report = await validateWACZ(output)
+
+  assert.equal(report.valid, true)
+  assert.equal(report.filename, output)
+
+  for (const name of ['zip', 'datapackage', 'resource', 'datapackage-digest', 'index', 'pages']) {
+    assert(report.checks.find(check => check.name === name && check.valid))
+  }
+
+  await fs.unlink(output)
+})
+
+test('validateWACZ reports files that are not ZIP files as invalid.', async (_t) => {
+  const report = await validateWACZ(`${FIXTURES_PATH}${sep}example.pem`)
+
+  assert.equal(report.valid, false)
+  assert.equal(report.checks.length, 1)
+  assert.equal(report.checks[0].name, 'zip')
+  assert.equal(report.checks[0].valid, false)
+})
+
+test('validateWACZ reports resources which hash or size do not match datapackage.json.', async (_t) => {
+  const output = 'tmp-validate-resources.wacz'
+
+  await createFixtureWACZ(output, {
+    tamper: async (archive) => {
+      await archive.addFileToZip(Buffer.from('HELLO WORLD'), 'hello.txt')
+      await archive.addFileToZip(Buffer.from('HELLO AGAIN'), 'hello-again.txt')
+
+      archive.resources.find(entry => entry.path === 'hello.txt').hash = await archive.sha256(Buffer.from('FOO'))
+      archive.resources.find(entry => entry.path === 'hello-again.txt').bytes = 1
+    }
+  })
+
+  const report = await validateWACZ(output)
+  const failures = report.checks.filter(check => !check.valid)
+
+  assert.equal(report.valid, false)
+  assert.equal(failures.length, 2)
+  assert(failures.find(check => check.name === 'resource' && check.path === 'hello.txt'))
+  assert(failures.find(check => check.name === 'resource' && check.path === 'hello-again.txt'))
+
+  await fs.unlink(output)
+})
+
+test('validateWACZ reports resources listed in datapackage.json but missing from the archive.', async (_t) => {
+  const output = 'tmp-validate-missing.wacz'
+
+  await createFixtureWACZ(output, {
+    tamper: async (archive) => {
+      archive.resources.push({ name: 'foo.txt', path: 'foo.txt', hash: await archive.sha256(Buffer.from('FOO')), bytes: 3 })
+    }
+  })
+
+  const report = await validateWACZ(output)
+
+  assert.equal(report.valid, false)
+  assert(report.checks.find(check => check.name === 'resource' && check.path === 'foo.txt' && !check.valid))
+
+  await fs.unlink(output)
+})
+
+test('validateWACZ reports indexes and pages lists that do not parse.', async (_t) => {
+  const output = 'tmp-validate-unparsable.wacz'
+
+  await createFixtureWACZ(output, {
+    tamper: async (archive) => {
+      await archive.addFileToZip(Buffer.from('com,example)/ FOO {}\n'), 'indexes/extra.cdx')
+      await archive.addFileToZip(Buffer.from('{"url": "https://example.com"}\n'), 'pages/extraPages.jsonl')
+    }
+  })
+
+  const report = await validateWACZ(output)
+  const failures = report.checks.filter(check => !check.valid)
+
+  assert.equal(report.valid, false)
+  assert.equal(failures.length, 2)
+  assert(failures.find(check => check.name === 'index' && check.path === 'indexes/extra.cdx'))
+  assert(failures.find(check => check.name === 'pages' && check.path === 'pages/extraPages.jsonl'))
+
+  await fs.unlink(output)
+})
+
+test('validateWACZ reports a datapackage-digest.json that does not match datapackage.json.', async (_t) => {
+  const output = 'tmp-validate-digest.wacz'
+
+  await createFixtureWACZ(output, {
+    tamper: async (archive) => {
+      // Digest will be computed from the hash recorded for datapackage.json, which is tampered with here.
+      const addFileToZip = archive.addFileToZip
+
+      archive.addFileToZip = async (file, destination) => {
+        const resource = await addFileToZip(file, destination)
+        resource.hash = await archive.sha256(Buffer.from('FOO'))
+        return resource
+      }
+    }
+  })
+
+  const report = await validateWACZ(output)
+
+  assert.equal(report.valid, false)
+  assert(report.checks.find(check => check.name === 'datapackage-digest' && !check.valid))
+
+  await fs.unlink(output)
+})
+
+test('validateWACZ checks the signature of datapackage-digest.json, if any.', async (_t) => {
+  const scenarios = [
+    { output: 'tmp-validate-signed.wacz', tamperSignature: false },
+    { output: 'tmp-validate-signed-tampered.wacz', tamperSignature: true }
+  ]
+
+  for (const { output, tamperSignature } of scenarios) {
+    await createFixtureWACZ(output, {
+      tamper: async (archive) => {
+        const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-384' })
+
+        archive.signer = async ({ hash, created }) => {
+          const signed = tamperSignature ? await archive.sha256(Buffer.from('FOO')) : hash
+
+          return {
+            hash,
+            created,
+            software: 'js-wacz tests',
+            signature: sign('sha256', Buffer.from(signed), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64'),
+            publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+          }
+        }
+      }
+    })
+
+    const report = await validateWACZ(output)
+    const signatureCheck = report.checks.find(check => check.name === 'signature')
+
+    assert(signatureCheck)
+    assert.equal(signatureCheck.valid, !tamperSignature)
+    assert.equal(report.valid, !tamperSignature)
+
+    await fs.unlink(output)
+  }
+})
@@ -1,46 +1,245 @@
 /// <reference path="../types.js" />
 
+import { createHash, getHashes } from 'crypto'
 import { createReadStream } from 'fs'
 import fs from 'fs/promises'
 import { basename } from 'path'
+import { Readable } from 'stream'
+import { MessagePort } from 'worker_threads' // eslint-disable-line
+import { gunzipSync, constants as zlibConstants } from 'zlib'
 
 import { parse as parseHTML } from 'node-html-parser'
-import { CDXAndRecordIndexer } from 'warcio'
+import { CDXAndRecordIndexer, LimitReader, WARCParser } from 'warcio'
 import { v4 as uuidv4 } from 'uuid'
 
+import { createFilter } from '../utils/filters.js'
+import { createStableId } from '../utils/reproducibility.js'
+
+/**
+ * Default number of CDXJ entries and pages per batch, when results are sent over `options.port`.
+ * @constant
+ * @type {number}
+ */
+export const INDEX_BATCH_SIZE = 1000
+
+/**
+ * Number of bytes read at once when looking for the next record of a corrupt WARC.
+ * @constant
+ * @type {number}
+ */
+const RESYNC_CHUNK_SIZE = 64 * 1024
+
+/**
+ * Maximum size of the HTTP headers of a record, when verifying digests. Blocks with no end of headers within that range are treated as having no HTTP headers.
+ * @constant
+ * @type {number}
+ */
+const MAX_HTTP_HEADERS_SIZE = 64 * 1024
+
 /**
  * Iterates over a .warc or .warc.gz file and:
  * - Generates CDXJ entries
  * - Detect pages (optional)
  *
+ * Captures which do not pass `options.filters` are left out of both.
+ *
  * Worker function.
  *
+ * If `options.port` is provided, results are sent over it in batches while indexing, as `{cdx: string[], pages: WACZPage[], progress: WACZIndexingProgress}`
+ * messages, instead of being returned all at once. The last batch, which may be empty, is sent once the WARC has been read entirely. Each batch must be acknowledged by the receiving end (any message) before indexing resumes,
+ * so that memory use remains proportional to `options.batchSize`, regardless of the size of the WARC.
+ *
+ * Truncated or corrupt records make indexing fail, unless `options.tolerateErrors` is set: these records are then skipped and reported
+ * as `{offset, message}` under `errors`, and indexing resumes at the next record that can be found in the file.
+ * If no record at all could be read, indexing fails regardless.
+ *
+ * If `options.verifyDigests` is set, the WARC is read a second time once indexed, to recompute the `WARC-Block-Digest` and `WARC-Payload-Digest`
+ * of every record declaring them. Mismatches are reported under `digestMismatches`, and the number of digests checked as `progress.digestsVerified`.
+ * If the WARC cannot be read entirely during that second pass and `options.tolerateErrors` is set, the record at which verification stopped is reported under `errors`.
+ *
  * @param {Object} options
- * @param {string} options.filename
+ * @param {?string} options.filename - Path to the WARC file. Not needed if `buffer` is provided.
+ * @param {?Uint8Array} [options.buffer] - Contents of the WARC, for in-memory WARCs.
+ * @param {?string} [options.name] - Name of the WARC to be used in CDX entries. Defaults to the basename of `filename`.
  * @param {boolean} [options.detectPages=true]
+ * @param {?MessagePort} [options.port] - If provided, results will be sent over this port in batches.
+ * @param {number} [options.batchSize=INDEX_BATCH_SIZE] - Number of CDXJ entries and pages per batch.
+ * @param {boolean} [options.tolerateErrors=false] - If true, corrupt records are skipped and reported instead of failing.
+ * @param {boolean} [options.verifyDigests=false] - If true, record digests are recomputed and checked.
+ * @param {?WACZFilters} [options.filters] - Include / exclude rules applied to captures. Expected to be valid.
+ * @param {boolean} [options.reproducible=false] - If true, page ids are derived from their url and timestamp instead of being random.
  *
- * @returns {Promise<{cdx: string[], pages: WACZPage[]>}}
+ * @returns {Promise<{cdx: string[], pages: WACZPage[], errors: Array<{offset: number, message: string}>, digestMismatches: WACZDigestMismatch[]}>} - Empty if results were sent over `options.port`.
  */
 export default async (options = {}) => {
   const filename = options?.filename
+  const buffer = options?.buffer
   const detectPages = options?.detectPages !== false
+  const port = options?.port
+  const batchSize = options?.batchSize > 0 ? options.batchSize : INDEX_BATCH_SIZE
+  const tolerateErrors = options?.tolerateErrors === true
+  const verifyDigests = options?.verifyDigests === true
+  const filter = options?.filters ? createFilter(options.filters) : null
+  const reproducible = options?.reproducible === true
+
+  /** @type {{cdx: string[], pages: WACZPage[], errors: Array<{offset: number, message: string}>, digestMismatches: WACZDigestMismatch[]}} */
+  const output = { cdx: [], pages: [], errors: [], digestMismatches: [] }
 
-  /** @type {{cdx: string[], pages: WACZPage[]>} */
-  const output = { cdx: [], pages: [] }
+  if (!filename && !buffer) {
+    throw new Error('No filename or buffer provided.')
+  }
+
+  /** @type {WACZIndexingProgress} */
+  const progress = { bytesRead: 0, bytesTotal: 0, records: 0, recordsRead: 0 }
 
-  if (!filename) {
-    throw new Error('No filename provided.')
+  if (verifyDigests) {
+    progress.digestsVerified = 0
   }
 
-  await fs.access(filename) // throws if file does not exist / is not accessible
+  if (buffer) {
+    progress.bytesTotal = buffer.byteLength
+  } else {
+    progress.bytesTotal = (await fs.stat(filename)).size // throws if file does not exist / is not accessible
+  }
 
-  // For each record:
-  // - Grab CDX and convert to CDXJ
-  // - If page detection is active: parse HTML from record (if text/html response)
+  const name = options?.name || basename(filename)
+
+  // Sends and empties `output` if it is large enough (or if `force` is set), when a port was provided.
+  const flush = async (force = false) => {
+    const size = output.cdx.length + output.pages.length + output.errors.length + output.digestMismatches.length
+
+    if (!port || (!force && size < batchSize)) {
+      return
+    }
+
+    await sendBatch(port, { ...output, progress: { ...progress } })
+    output.cdx = []
+    output.pages = []
+    output.errors = []
+    output.digestMismatches = []
+  }
+
+  // Skips a corrupt record (or fails if errors are not tolerated)
+  let errors = 0
+
+  const skip = async (offset, message) => {
+    if (!tolerateErrors) {
+      throw new Error(`${message} (offset: ${offset})`)
+    }
+
+    errors += 1
+    output.errors.push({ offset, message })
+    await flush()
+  }
+
+  // Reads the WARC from `start` and, if a corrupt record is encountered, starts over from the next record that can be found.
   const indexer = new CDXAndRecordIndexer()
-  const stream = createReadStream(filename)
+  let start = 0
+
+  while (start !== null) {
+    const stream = buffer
+      ? Readable.from([Buffer.from(buffer.buffer, buffer.byteOffset + start, buffer.byteLength - start)])
+      : createReadStream(filename, { start })
+
+    progress.bytesRead = start
+
+    // Keeps track of how much of the WARC was read
+    const reader = (async function * () {
+      for await (const chunk of stream) {
+        progress.bytesRead += chunk.length
+        yield chunk
+      }
+    })()
+
+    const parser = new WARCParser(reader, { parseHttp: true })
+    let failure = null
+
+    // Same as `indexer.iterRecords()`, checking that each record could be read entirely before moving on to the next one
+    for (;;) {
+      let record = null
+
+      try {
+        record = await parser.parse()
+
+        if (record && !(await readRecord(record))) {
+          failure = { offset: parser.offset, message: 'Record is truncated or corrupt.' }
+          record = null
+        }
+      } catch (err) {
+        failure = { offset: parser.offset, message: `Record could not be parsed: ${err?.message}` }
+        record = null
+      }
+
+      // Requests are paired with their response: the indexer holds records back until the next one is known, and returns them once called with `null`
+      const entry = indexer.indexRecord(record, parser, name)
+
+      if (entry) {
+        entry.cdx.offset += start
+        await indexRecord(entry.cdx, entry.record)
+      }
+
+      if (!record) {
+        break
+      }
+
+      progress.recordsRead += 1
+    }
+
+    stream.destroy()
+
+    if (!failure) {
+      break
+    }
+
+    await skip(start + failure.offset, failure.message)
+    start = await findNextRecord(buffer ?? filename, start + failure.offset + 1, progress.bytesTotal)
+  }
+
+  // Captures left out by filters were still read
+  if (errors && progress.recordsRead === 0) {
+    throw new Error('No valid record could be found.')
+  }
+
+  progress.bytesRead = progress.bytesTotal
+
+  // Digests verification: corrupt records were already dealt with while indexing
+  if (verifyDigests) {
+    try {
+      for await (const check of checkDigests(buffer ?? filename)) {
+        progress.digestsVerified += 1
+
+        if (!check.valid) {
+          delete check.valid
+          output.digestMismatches.push(check)
+          await flush()
+        }
+      }
+    } catch (err) {
+      if (!tolerateErrors) {
+        throw err
+      }
+
+      await skip(err.offset, `Digests could not be verified from this record onwards: ${err.message}`)
+    }
+  }
+
+  await flush(true)
+  return output
+
+  /**
+   * Adds the CDXJ entry of a record to `output` and, if page detection is active, detects if it is a page.
+   * @param {Object} cdx
+   * @param {WARCRecord} record
+   * @returns {Promise<void>}
+   */
+  async function indexRecord (cdx, record) {
+    //
+    // Filtering
+    //
+    if (filter && !filter({ url: cdx.url, surt: cdx.urlkey, mime: cdx.mime, status: cdx.status, timestamp: cdx.timestamp })) {
+      return
+    }
 
-  for await (const { cdx, record } of indexer.iterIndex([{ reader: stream, filename: basename(filename) }])) {
     //
     // CDXJ processing
     //
@@ -48,13 +247,16 @@ export default async (options = {}) => {
 
     if (cdxj) {
       output.cdx.push(cdxj)
+      progress.records += 1
     }
 
+    await flush()
+
     //
     // Page detection
     //
     if (!detectPages) {
-      continue
+      return
     }
 
     const warcType = record.warcHeader('WARC-Type')
@@ -72,7 +274,7 @@ export default async (options = {}) => {
       !targetURI ||
       !warcDate
     ) {
-      continue
+      return
     }
 
     // Access content body and try to find page title, if any.
@@ -80,25 +282,350 @@ export default async (options = {}) => {
       const body = await record.contentText()
 
       if (!body) {
-        continue
+        return
       }
 
       const html = parseHTML(body)
 
       if (!html || html.querySelectorAll?.('body > *')?.length < 1) {
-        continue
+        return
       }
 
       const title = html?.querySelector('title')?.textContent
 
       output.pages.push({
-        id: uuidv4().replaceAll('-', ''),
+        id: reproducible ? createStableId(targetURI, warcDate) : uuidv4().replaceAll('-', ''),
         url: targetURI,
         title: title || targetURI,
         ts: warcDate
       })
     } catch (_err) { }
   }
+}
+
+/**
+ * Posts a batch of results over `port` and waits for the receiving end to acknowledge it.
+ * @param {MessagePort} port
+ * @param {Object} batch
+ * @returns {Promise<void>}
+ */
+const sendBatch = (port, batch) => {
+  return new Promise((resolve, reject) => {
+    const onMessage = () => {
+      port.off('close', onClose)
+      resolve()
+    }
+
+    const onClose = () => {
+      port.off('message', onMessage)
+      reject(new Error('Batch could not be delivered: port was closed.'))
+    }
+
+    port.once('message', onMessage)
+    port.once('close', onClose)
+    port.postMessage(batch)
+  })
+}
+
+/**
+ * Reads a record parsed by warcio entirely, so it can be indexed.
+ * Returns `false` if the record does not start with a WARC header, or is shorter than its `Content-Length` (i.e: truncated WARC, corrupt gzip member):
+ * warcio stops reading silently when a record is cut short, and the parser must not be used past that point.
+ * @param {WARCRecord} record - As returned by `WARCParser.parse()`, not read yet.
+ * @returns {Promise<boolean>}
+ */
+const readRecord = async (record) => {
+  const reader = record.reader // Block of the record, past its HTTP headers
+
+  if (!record.warcHeaders?.statusline?.startsWith('WARC/') || !(reader instanceof LimitReader)) {
+    return false
+  }
+
+  await record.readFully()
+  return reader.limit <= 0 // Bytes of the record that could not be read
+}
+
+/**
+ * Looks for the start of the next record of a WARC from a given offset: the next gzip member which decompresses to a WARC header
+ * for .warc.gz files, or the next line starting with a WARC header for .warc files.
+ * @param {string|Uint8Array} source - Path to the WARC, or contents of the WARC.
+ * @param {number} from - Offset from which to start looking.
+ * @param {number} size - Size of the WARC, in bytes.
+ * @returns {Promise<?number>} - Offset of the next record, or `null` if there is none.
+ */
+const findNextRecord = async (source, from, size) => {
+  const file = typeof source === 'string' ? await fs.open(source) : null
+  const margin = 512 // Enough to identify a record starting at the end of a chunk
+
+  const read = async (position, length) => {
+    if (!file) {
+      return Buffer.from(source.buffer, source.byteOffset + position, Math.min(length, size - position))
+    }
+
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, position)
+    return buffer.subarray(0, bytesRead)
+  }
+
+  try {
+    const head = await read(0, 2)
+    const compressed = head[0] === 0x1f && head[1] === 0x8b
+
+    for (let position = from - 1; position < size; position += RESYNC_CHUNK_SIZE) {
+      const chunk = await read(position, RESYNC_CHUNK_SIZE + margin)
+      const end = Math.min(RESYNC_CHUNK_SIZE, chunk.length)
+
+      for (let i = 1; i <= end; i++) {
+        if (compressed && chunk[i] === 0x1f && chunk[i + 1] === 0x8b && chunk[i + 2] === 0x08 && isWARCMember(chunk.subarray(i, i + margin))) {
+          return position + i
+        }
+
+        if (!compressed && chunk[i - 1] === 0x0a && chunk.subarray(i, i + 7).toString() === 'WARC/1.') {
+          return position + i
+        }
+      }
+    }
+
+    return null
+  } finally {
+    await file?.close()
+  }
+}
+
+/**
+ * Returns `true` if `data` starts with a gzip member which decompresses to a WARC header.
+ * @param {Uint8Array} data - Start of the gzip member. Does not need to be complete.
+ * @returns {boolean}
+ */
+const isWARCMember = (data) => {
+  try {
+    return gunzipSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH }).subarray(0, 5).toString() === 'WARC/'
+  } catch (_err) {
+    return false
+  }
+}
+
+/**
+ * Reads a WARC and recomputes the digests declared by its records (`WARC-Block-Digest` and, except for revisit records, `WARC-Payload-Digest`).
+ * The payload digest of a chunked HTTP response may have been computed with or without transfer encoding: both are accepted.
+ * Digests using an algorithm that is not supported by the runtime are ignored.
+ * @param {string|Uint8Array} source - Path to the WARC, or contents of the WARC.
+ * @returns {AsyncGenerator<{offset: number, url: ?string, header: string, expected: string, actual: string, valid: boolean}>}
+ * @throws {Error} - If the WARC cannot be read. `offset` is that of the record at which reading stopped.
+ */
+async function * checkDigests (source) {
+  const stream = typeof source === 'string'
+    ? createReadStream(source)
+    : Readable.from([Buffer.from(source.buffer, source.byteOffset, source.byteLength)])
+
+  const parser = new WARCParser(stream, { parseHttp: false }) // Keeps HTTP headers in the block
+
+  try {
+    for await (const record of parser) {
+      const offset = parser.offset
+      const url = record.warcTargetURI ?? null
+      const block = parseDigest(record.warcBlockDigest)
+      const payload = record.warcType !== 'revisit' ? parseDigest(record.warcPayloadDigest) : null
+
+      if (!block && !payload) {
+        continue
+      }
+
+      const blockHash = block ? createHash(block.algorithm) : null
+      const payloadHash = payload ? createHash(payload.algorithm) : null
+      let dechunkedHash = null // Payload without transfer encoding, if chunked
+      let dechunk = null
+
+      // HTTP records: the payload starts after the HTTP headers
+      let headers = record.warcContentType?.startsWith('application/http') ? Buffer.alloc(0) : null
+
+      const updatePayload = (chunk) => {
+        payloadHash?.update(chunk)
+        dechunk?.(chunk)
+      }
+
+      let length = 0
+
+      for await (const chunk of record.reader) {
+        length += chunk.length
+        blockHash?.update(chunk)
+
+        if (!headers) {
+          updatePayload(chunk)
+          continue
+        }
+
+        const from = Math.max(0, headers.length - 3) // End of headers may be split across chunks
+        headers = Buffer.concat([headers, chunk])
+        const end = headers.indexOf('\r\n\r\n', from)
+
+        if (end !== -1 && end < MAX_HTTP_HEADERS_SIZE) {
+          if (payload && /^transfer-encoding:\s*chunked/im.test(headers.subarray(0, end).toString())) {
+            dechunkedHash = createHash(payload.algorithm)
+            dechunk = createChunkedDecoder(data => dechunkedHash.update(data))
+          }
+
+          updatePayload(headers.subarray(end + 4))
+          headers = null
+        } else if (headers.length >= MAX_HTTP_HEADERS_SIZE) {
+          updatePayload(headers)
+          headers = null
+        }
+      }
+
+      // warcio stops reading silently when a record is cut short, and would not find the next one
+      if (length < record.warcContentLength) {
+        throw new Error('Record is truncated or corrupt.')
+      }
+
+      // No end of headers found
+      if (headers) {
+        updatePayload(headers)
+      }
+
+      if (block) {
+        yield { offset, url, header: 'WARC-Block-Digest', ...compareDigest(block, blockHash.digest()) }
+      }
+
+      if (payload) {
+        let result = compareDigest(payload, payloadHash.digest())
+
+        if (!result.valid && dechunkedHash) {
+          const dechunked = compareDigest(payload, dechunkedHash.digest())
+          result = dechunked.valid ? dechunked : result
+        }
+
+        yield { offset, url, header: 'WARC-Payload-Digest', ...result }
+      }
+    }
+  } catch (err) {
+    const error = new Error(err?.message, { cause: err })
+    error.offset = parser.offset
+    throw error
+  } finally {
+    stream.destroy()
+  }
+}
+
+/**
+ * Parses a digest declared in a WARC header (i.e: "sha1:<base32>", "sha256:<hex>").
+ * @param {?string} declared
+ * @returns {?{declared: string, prefix: string, algorithm: string, value: string}} - `null` if there is no digest, or if its algorithm is not supported.
+ */
+const parseDigest = (declared) => {
+  const separator = declared?.indexOf(':') ?? -1
+
+  if (separator < 1) {
+    return null
+  }
+
+  const prefix = declared.slice(0, separator)
+  const algorithm = prefix.toLowerCase().replace('-', '')
+
+  if (!getHashes().includes(algorithm)) {
+    return null
+  }
+
+  return { declared, prefix, algorithm, value: declared.slice(separator + 1).trim() }
+}
+
+/**
+ * Compares a digest parsed by `parseDigest()` with the one that was computed. Both hex and base32 encodings are supported.
+ * @param {{declared: string, prefix: string, value: string}} digest
+ * @param {Buffer} computed
+ * @returns {{expected: string, actual: string, valid: boolean}} - `actual` uses the same encoding as `expected`.
+ */
+const compareDigest = (digest, computed) => {
+  const { declared, prefix, value } = digest
+  const hex = computed.toString('hex')
+  const base32 = encodeBase32(computed)
+  const isHex = value.length === hex.length && /^[0-9a-f]+$/i.test(value)
+
+  return {
+    expected: declared,
+    actual: `${prefix}:${isHex ? hex : base32}`,
+    valid: isHex ? value.toLowerCase() === hex : value.toUpperCase().replace(/=+$/, '') === base32
+  }
+}
+
+/**
+ * Creates a function removing chunked transfer encoding from an HTTP payload, as it is read.
+ * Decoded data is passed to `onData` without being kept. Stops at the last chunk, or at the first malformed one.
+ * @param {function(Buffer): void} onData
+ * @returns {function(Uint8Array): void} - To be called with each piece of the encoded payload, in order.
+ */
+const createChunkedDecoder = (onData) => {
+  let state = 'size' // "size" line, chunk "data", "crlf" after data, or "done"
+  let line = ''
+  let remaining = 0
+
+  return (piece) => {
+    const chunk = Buffer.from(piece.buffer, piece.byteOffset, piece.byteLength) // warcio provides Uint8Arrays
+    let position = 0
+
+    while (position < chunk.length && state !== 'done') {
+      if (state === 'size') {
+        const end = chunk.indexOf(0x0a, position) // "\r\n" may be split across pieces: "\r" is left at the end of the line
+        line += chunk.subarray(position, end !== -1 ? end : chunk.length).toString('latin1')
+
+        if (end === -1) {
+          state = line.length > 1024 ? 'done' : state
+          return
+        }
+
+        const size = parseInt(line, 16)
+        position = end + 1
+        line = ''
+
+        if (!(size > 0)) {
+          state = 'done'
+        } else {
+          remaining = size
+          state = 'data'
+        }
+      } else if (state === 'data') {
+        const data = chunk.subarray(position, position + remaining)
+        onData(data)
+        position += data.length
+        remaining -= data.length
+
+        if (remaining === 0) {
+          remaining = 2
+          state = 'crlf'
+        }
+      } else {
+        const skipped = Math.min(remaining, chunk.length - position)
+        position += skipped
+        remaining -= skipped
+        state = remaining === 0 ? 'size' : state
+      }
+    }
+  }
+}
+
+/**
+ * Encodes binary data in base32 (RFC 4648), without padding: the encoding commonly used for sha1 digests in WARC headers.
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+const encodeBase32 = (data) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+  let output = ''
+  let bits = 0
+  let value = 0
+
+  for (const byte of data) {
+    value = ((value << 8) | byte) & 0xfff // Only the bits that have not been encoded yet are needed
+    bits += 8
+
+    while (bits >= 5) {
+      output += alphabet[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += alphabet[(value << (5 - bits)) & 31]
+  }
 
   return output
 }
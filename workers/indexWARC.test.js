@@ -3,6 +3,11 @@
 import test from 'node:test'
 import assert from 'node:assert/strict'
 import { sep } from 'path'
+import { createHash } from 'crypto'
+import fs from 'fs/promises'
+import { MessageChannel } from 'worker_threads'
+
+import { WARCRecord, WARCSerializer } from 'warcio'
 
 import indexWARC from './indexWARC.js'
 import { FIXTURES_PATH } from '../constants.js'
@@ -54,3 +59,189 @@ test('indexWARC does not detect pages if detectPages option is off.', async (_t)
   assert(results.cdx.length > 0)
   assert.equal(results.pages.length, 0)
 })
+
+test('indexWARC accepts WARC contents as a buffer, and uses the provided name in CDXJ entries.', async (_t) => {
+  const filename = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+  const fromFile = await indexWARC({ filename })
+  const fromBuffer = await indexWARC({ buffer: await fs.readFile(filename), name: 'in-memory.warc.gz' })
+
+  assert.equal(fromBuffer.cdx.length, fromFile.cdx.length)
+  assert.equal(fromBuffer.pages.length, fromFile.pages.length)
+
+  for (const entry of fromBuffer.cdx) {
+    assert.equal(JSON.parse(entry.split(' ')[2]).filename, 'in-memory.warc.gz')
+  }
+})
+
+test('indexWARC sends results in acknowledged batches if a port is provided.', async (_t) => {
+  const filename = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+  const expected = await indexWARC({ filename })
+
+  const { port1, port2 } = new MessageChannel()
+  const batches = []
+
+  port1.on('message', batch => {
+    batches.push(batch)
+    port1.postMessage(true)
+  })
+
+  const results = await indexWARC({ filename, port: port2, batchSize: 5 })
+  port1.close()
+
+  // Results were not returned, but sent over the port
+  assert.deepEqual(results, { cdx: [], pages: [], errors: [], digestMismatches: [] })
+  assert(batches.length > 1)
+
+  for (const batch of batches) {
+    assert(batch.cdx.length + batch.pages.length <= 6) // Entries of a single record may be added to a full batch
+  }
+
+  // Progress is reported with each batch
+  const { size } = await fs.stat(filename)
+  const { recordsRead, ...progress } = batches.at(-1).progress
+  assert.deepEqual(progress, { bytesRead: size, bytesTotal: size, records: expected.cdx.length })
+  assert(recordsRead > expected.cdx.length) // Includes requests and warcinfo records
+  assert(batches[0].progress.records < expected.cdx.length)
+
+  assert.deepEqual(batches.flatMap(batch => batch.cdx), expected.cdx)
+  assert.deepEqual(batches.flatMap(batch => batch.pages).map(page => page.url), expected.pages.map(page => page.url))
+})
+
+test('indexWARC stops if the port is closed before a batch was acknowledged.', async (_t) => {
+  const { port1, port2 } = new MessageChannel()
+  port1.on('message', () => port1.close())
+
+  await assert.rejects(indexWARC({ filename: `${FIXTURES_PATH}${sep}lil-projects.warc.gz`, port: port2, batchSize: 5 }))
+})
+
+test('indexWARC fails on truncated or corrupt records, unless options.tolerateErrors is set.', async (_t) => {
+  const original = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const expected = await indexWARC({ buffer: original, name: 'corrupt.warc.gz' })
+
+  const truncated = original.subarray(0, Math.floor(original.length * 0.5))
+  const corrupt = Buffer.from(original)
+  corrupt.fill(0, 500000, 500050) // Damages a single gzip member
+
+  for (const buffer of [truncated, corrupt]) {
+    await assert.rejects(indexWARC({ buffer, name: 'corrupt.warc.gz' }), /truncated or corrupt/)
+  }
+
+  // Truncated: records that could be read are indexed, the last one is reported
+  let results = await indexWARC({ buffer: truncated, name: 'corrupt.warc.gz', tolerateErrors: true })
+  assert.equal(results.errors.length, 1)
+  assert.deepEqual(results.cdx, expected.cdx.filter(line => JSON.parse(line.slice(line.indexOf('{'))).offset < results.errors[0].offset))
+
+  // Corrupt: indexing resumes after the damaged record
+  results = await indexWARC({ buffer: corrupt, name: 'corrupt.warc.gz', tolerateErrors: true })
+  assert.equal(results.errors.length, 1)
+  assert.equal(results.cdx.length, expected.cdx.length - 1)
+  assert(results.cdx.every(line => expected.cdx.includes(line)))
+  assert(!results.cdx.some(line => line.includes(`"offset":${results.errors[0].offset},`)))
+
+  // Uncompressed WARC, cut short in the middle of a record's payload
+  const records = ['https://example.com/', 'https://example.com/truncated'].map(url => {
+    return WARCRecord.create({ url, type: 'response', httpHeaders: { 'Content-Type': 'text/plain' } }, [Buffer.alloc(1000, 'a')])
+  })
+
+  const uncompressed = Buffer.concat(await Promise.all(records.map(record => WARCSerializer.serialize(record))))
+  results = await indexWARC({ buffer: uncompressed.subarray(0, uncompressed.length - 500), name: 'corrupt.warc', tolerateErrors: true })
+  assert.equal(results.cdx.length, 1)
+  assert.equal(results.errors.length, 1)
+  assert(results.cdx[0].includes('"url":"https://example.com/"'))
+
+  // Records left out by filters were still read
+  results = await indexWARC({ buffer: corrupt, name: 'corrupt.warc.gz', tolerateErrors: true, filters: { include: [{ url: 'https://example.org/*' }] } })
+  assert.equal(results.cdx.length, 0)
+  assert.equal(results.errors.length, 1)
+
+  // Not a WARC
+  await assert.rejects(indexWARC({ buffer: Buffer.from('Not a WARC'), name: 'text.warc', tolerateErrors: true }), /No valid record/)
+})
+
+test('indexWARC reports records which digests do not match their contents if options.verifyDigests is set.', async (_t) => {
+  // Fixture: sha1 digests, hex and base32, including chunked payloads
+  const filename = `${FIXTURES_PATH}${sep}lil-projects.warc.gz`
+  assert.deepEqual((await indexWARC({ filename, verifyDigests: true })).digestMismatches, [])
+
+  // Digests computed by warcio (sha256), and digests which do not match
+  const records = [
+    WARCRecord.create({ url: 'https://example.com/', type: 'response', httpHeaders: { 'Content-Type': 'text/plain' } }, [Buffer.from('Hello')]),
+    WARCRecord.create({
+      url: 'https://example.com/tampered',
+      type: 'response',
+      httpHeaders: { 'Content-Type': 'text/plain' },
+      warcHeaders: {
+        'WARC-Block-Digest': 'sha1:3I42H3S6NNFQ2MSVX7XZKYAYSCX5QBYJ',
+        'WARC-Payload-Digest': 'sha256:2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+      }
+    }, [Buffer.from('Tampered')])
+  ]
+
+  const buffer = Buffer.concat(await Promise.all(records.map(record => WARCSerializer.serialize(record, { gzip: true }))))
+  const results = await indexWARC({ buffer, name: 'digests.warc.gz', verifyDigests: true })
+  const tampered = results.cdx.find(line => line.includes('/tampered'))
+
+  assert.deepEqual(results.digestMismatches.map(({ header }) => header), ['WARC-Block-Digest', 'WARC-Payload-Digest'])
+
+  for (const mismatch of results.digestMismatches) {
+    assert.equal(mismatch.url, 'https://example.com/tampered')
+    assert(tampered.includes(`"offset":${mismatch.offset},`))
+    assert.notEqual(mismatch.actual, mismatch.expected)
+    assert.equal(mismatch.actual.split(':')[1].length, mismatch.expected.split(':')[1].length) // Same encoding
+  }
+
+  // Not checked unless requested
+  assert.deepEqual((await indexWARC({ buffer, name: 'digests.warc.gz' })).digestMismatches, [])
+})
+
+test('indexWARC verifies payload digests of chunked HTTP records, and of HTTP records with no end of headers.', async (_t) => {
+  const sha256 = (data) => `sha256:${createHash('sha256').update(data).digest('hex')}`
+
+  // Chunked response spanning several reads, with a payload digest computed without transfer encoding
+  const content = Buffer.alloc(200000, 'x')
+  const chunks = []
+
+  for (let i = 0; i < content.length; i += 1000) {
+    chunks.push(Buffer.from('3e8\r\n'), content.subarray(i, i + 1000), Buffer.from('\r\n'))
+  }
+
+  chunks.push(Buffer.from('0\r\n\r\n'))
+  const block = Buffer.concat([Buffer.from('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n'), ...chunks])
+
+  // Larger than the maximum size of HTTP headers: treated as payload
+  const noHeaders = Buffer.alloc(100000, 'y')
+
+  const records = [
+    WARCRecord.create({
+      url: 'https://example.com/chunked',
+      type: 'response',
+      httpHeaders: { 'Transfer-Encoding': 'chunked' },
+      warcHeaders: { 'WARC-Block-Digest': sha256(block), 'WARC-Payload-Digest': sha256(content) }
+    }, chunks),
+    WARCRecord.create({
+      url: 'https://example.com/no-headers',
+      type: 'resource',
+      warcHeaders: { 'Content-Type': 'application/http; msgtype=response', 'WARC-Payload-Digest': sha256(noHeaders) }
+    }, [noHeaders])
+  ]
+
+  const buffer = Buffer.concat(await Promise.all(records.map(record => WARCSerializer.serialize(record, { gzip: true }))))
+  const results = await indexWARC({ buffer, name: 'chunked.warc.gz', verifyDigests: true })
+
+  assert.equal(results.cdx.length, 2)
+  assert.deepEqual(results.digestMismatches, [])
+})
+
+test('indexWARC reports digests that could not be verified past a corrupt record if options.tolerateErrors is set.', async (_t) => {
+  const original = await fs.readFile(`${FIXTURES_PATH}${sep}lil-projects.warc.gz`)
+  const truncated = original.subarray(0, Math.floor(original.length * 0.5))
+
+  await assert.rejects(indexWARC({ buffer: truncated, name: 'corrupt.warc.gz', verifyDigests: true }), /truncated or corrupt/)
+
+  const results = await indexWARC({ buffer: truncated, name: 'corrupt.warc.gz', tolerateErrors: true, verifyDigests: true })
+  const [skipped, unverified] = results.errors
+
+  assert.equal(results.errors.length, 2)
+  assert.equal(unverified.offset, skipped.offset)
+  assert.match(unverified.message, /^Digests could not be verified/)
+})